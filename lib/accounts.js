@@ -0,0 +1,195 @@
+// lib/accounts.js
+// Local viewer accounts: data/accounts.json (username + scrypt hash), signed
+// session cookies, and one synced-state file per user in data/user-state/.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { DATA_DIR, writeAtomic } from "./catalogue.js";
+import { httpError } from "./router.js";
+import { hashPassword, verifyPassword } from "./passwords.js";
+
+export const ACCOUNTS_FILE = path.join(DATA_DIR, "accounts.json");
+export const STATE_DIR = path.join(DATA_DIR, "user-state");
+const SECRET_FILE = path.join(DATA_DIR, "session-secret");
+
+export const SESSION_COOKIE = "session";
+const SESSION_DAYS = 30;
+const MAX_FAVORITES = 1000;
+const MAX_HISTORY = 500;
+
+function readAccounts() {
+  if (!fs.existsSync(ACCOUNTS_FILE)) return [];
+  const parsed = JSON.parse(fs.readFileSync(ACCOUNTS_FILE, "utf8"));
+  if (!Array.isArray(parsed)) throw new Error("accounts.json must be an array");
+  return parsed;
+}
+
+function checkCredentials(username, password) {
+  const errors = [];
+  if (typeof username !== "string" || !/^[a-z0-9_.-]{3,32}$/i.test(username)) {
+    errors.push({ field: "username", message: "username must be 3-32 letters, digits, '.', '_' or '-'" });
+  }
+  if (typeof password !== "string" || password.length < 6) {
+    errors.push({ field: "password", message: "password must be at least 6 characters" });
+  }
+  if (errors.length) {
+    const err = httpError(422, "Invalid account");
+    err.details = errors;
+    throw err;
+  }
+}
+
+export function createAccount(username, password) {
+  checkCredentials(username, password);
+  const accounts = readAccounts();
+  if (accounts.some(a => a.username.toLowerCase() === username.toLowerCase())) {
+    throw httpError(409, "Username already taken");
+  }
+  const account = { username, password: hashPassword(password), createdAt: new Date().toISOString() };
+  accounts.push(account);
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  writeAtomic(ACCOUNTS_FILE, JSON.stringify(accounts, null, 2) + "\n");
+  return { username };
+}
+
+// username/password -> { username } or null
+export function authenticate(username, password) {
+  if (typeof username !== "string" || typeof password !== "string") return null;
+  const account = readAccounts().find(a => a.username.toLowerCase() === username.toLowerCase());
+  // hash anyway so unknown usernames take as long as wrong passwords
+  if (!account) {
+    verifyPassword(password, hashPassword("-"));
+    return null;
+  }
+  return verifyPassword(password, account.password) ? { username: account.username } : null;
+}
+
+// SESSION_SECRET, or a random one kept in data/ so sessions survive restarts
+function loadSecret(secret) {
+  if (secret) return secret;
+  try {
+    return fs.readFileSync(SECRET_FILE, "utf8").trim();
+  } catch (e) {
+    const generated = crypto.randomBytes(32).toString("base64url");
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(SECRET_FILE, generated + "\n", { mode: 0o600 });
+    return generated;
+  }
+}
+
+export function parseCookies(req) {
+  const out = {};
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i < 0) continue;
+    try {
+      out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch (e) {}
+  }
+  return out;
+}
+
+// Stateless sessions: "<username>.<expiry>.<hmac>" in an HttpOnly cookie
+export function createSessions({ secret } = {}) {
+  const key = loadSecret(secret);
+  const sign = payload => crypto.createHmac("sha256", key).update(payload).digest("base64url");
+
+  function cookie(value, maxAge, secure) {
+    return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure ? "; Secure" : ""}`;
+  }
+
+  return {
+    // Set-Cookie value for a fresh session
+    issue(username, { secure = false } = {}) {
+      const expires = Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000;
+      const payload = `${Buffer.from(username).toString("base64url")}.${expires}`;
+      return cookie(`${payload}.${sign(payload)}`, SESSION_DAYS * 24 * 60 * 60, secure);
+    },
+    clear({ secure = false } = {}) {
+      return cookie("", 0, secure);
+    },
+    // req -> username or null
+    user(req) {
+      const value = parseCookies(req)[SESSION_COOKIE];
+      if (!value) return null;
+      const [name, expires, mac] = value.split(".");
+      if (!name || !expires || !mac) return null;
+      const expected = Buffer.from(sign(`${name}.${expires}`));
+      const given = Buffer.from(mac);
+      if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+      if (Number(expires) < Date.now()) return null;
+      return Buffer.from(name, "base64url").toString("utf8");
+    }
+  };
+}
+
+// ---- Synced per-user state ----
+
+const stateFile = username => path.join(STATE_DIR, `${Buffer.from(username.toLowerCase()).toString("hex")}.json`);
+
+export function emptyState() {
+  return { favorites: [], history: [], volume: null, tier: null, filter: { category: null, hideOffline: false }, updatedAt: null };
+}
+
+export function readState(username) {
+  try {
+    return { ...emptyState(), ...JSON.parse(fs.readFileSync(stateFile(username), "utf8")) };
+  } catch (e) {
+    return emptyState();
+  }
+}
+
+// Validate client input into the stored shape; 422 with details on bad fields
+export function normalizeState(input) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+  const state = emptyState();
+  if (!input || typeof input !== "object" || Array.isArray(input)) fail("", "State must be an object");
+  else {
+    if (input.favorites !== undefined) {
+      if (!Array.isArray(input.favorites) || !input.favorites.every(id => typeof id === "string")) fail("favorites", "favorites must be a list of channel ids");
+      else state.favorites = [...new Set(input.favorites)].slice(0, MAX_FAVORITES);
+    }
+    if (input.history !== undefined) {
+      // entries that aren't { id, time } (older players saved { index, time }) are
+      // dropped rather than failing the whole sync
+      if (!Array.isArray(input.history)) fail("history", "history must be a list of { id, time }");
+      else {
+        state.history = input.history
+          .filter(h => h && typeof h.id === "string" && Number.isFinite(h.time))
+          .map(h => ({ id: h.id, time: h.time }))
+          .slice(-MAX_HISTORY);
+      }
+    }
+    if (input.volume !== undefined && input.volume !== null) {
+      if (typeof input.volume !== "number" || input.volume < 0 || input.volume > 1) fail("volume", "volume must be between 0 and 1");
+      else state.volume = input.volume;
+    }
+    if (input.tier !== undefined && input.tier !== null) {
+      if (typeof input.tier !== "string" || input.tier.length > 20) fail("tier", "tier must be a tier key");
+      else state.tier = input.tier;
+    }
+    if (input.filter !== undefined) {
+      const f = input.filter;
+      if (!f || typeof f !== "object" || Array.isArray(f)) fail("filter", "filter must be an object");
+      else {
+        if (f.category !== undefined && f.category !== null && typeof f.category !== "string") fail("filter.category", "category must be a string");
+        if (f.hideOffline !== undefined && typeof f.hideOffline !== "boolean") fail("filter.hideOffline", "hideOffline must be true or false");
+        state.filter = { category: f.category ?? null, hideOffline: !!f.hideOffline };
+      }
+    }
+  }
+  if (errors.length) {
+    const err = httpError(422, "Invalid state");
+    err.details = errors;
+    throw err;
+  }
+  return state;
+}
+
+export function writeState(username, state) {
+  const saved = { ...state, updatedAt: new Date().toISOString() };
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  writeAtomic(stateFile(username), JSON.stringify(saved, null, 2) + "\n");
+  return saved;
+}
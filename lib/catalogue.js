@@ -0,0 +1,215 @@
+// lib/catalogue.js
+// Reading and writing data/channels.json: ids, public descriptors, atomic saves and backups.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { typeFromUrl } from "./sniff.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DATA_DIR = path.join(__dirname, "..", "data");
+export const CHANNELS_FILE = path.join(DATA_DIR, "channels.json");
+export const BACKUP_DIR = path.join(DATA_DIR, "backups");
+const MAX_BACKUPS = parseInt(process.env.CHANNEL_BACKUPS, 10) || 20;
+
+// "HBO Signature" -> "hbo-signature"
+export function slugify(name) {
+  return String(name || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "channel";
+}
+
+// Next free id for `name`, given the ids already taken
+export function uniqueId(name, taken) {
+  const base = slugify(name);
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+// Channels keep an explicit "id" when channels.json has one; otherwise the id is
+// derived from the name, with -2, -3... for repeats, so it survives reordering
+export function assignIds(list) {
+  const seen = new Set(list.filter(ch => ch && ch.id).map(ch => String(ch.id)));
+  return list.map(ch => {
+    if (ch.id) return { ...ch, id: String(ch.id) };
+    const { id: _unused, ...rest } = ch;
+    const id = uniqueId(ch.name, seen);
+    seen.add(id);
+    return { id, ...rest };
+  });
+}
+
+// Logical channel numbers (id -> number). An explicit "lcn" wins unless an earlier
+// entry already took it; everything else gets the lowest free number in file order.
+export function assignLcns(list) {
+  const numbers = new Map();
+  const taken = new Set();
+  for (const ch of list) {
+    if (Number.isInteger(ch.lcn) && ch.lcn > 0 && !taken.has(ch.lcn)) {
+      numbers.set(ch.id, ch.lcn);
+      taken.add(ch.lcn);
+    }
+  }
+  let next = 1;
+  for (const ch of list) {
+    if (numbers.has(ch.id)) continue;
+    while (taken.has(next)) next++;
+    numbers.set(ch.id, next);
+    taken.add(next);
+  }
+  return numbers;
+}
+
+// Raw file contents ("[]" when the file is missing)
+export function readChannelsText() {
+  if (!fs.existsSync(CHANNELS_FILE)) return "[]";
+  return fs.readFileSync(CHANNELS_FILE, "utf8");
+}
+
+// Load channels.json with ids attached ([] when the file is missing)
+export function readChannels() {
+  const parsed = JSON.parse(readChannelsText());
+  if (!Array.isArray(parsed)) throw new Error("channels.json must be an array");
+  return assignIds(parsed);
+}
+
+function timestamp() {
+  return new Date().toISOString().replace(/[:.]/g, "-");
+}
+
+// Copy the current file into data/backups and drop the oldest beyond MAX_BACKUPS
+function backupCurrent() {
+  if (!fs.existsSync(CHANNELS_FILE)) return null;
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  const name = `channels-${timestamp()}.json`;
+  fs.copyFileSync(CHANNELS_FILE, path.join(BACKUP_DIR, name));
+  listBackups().slice(MAX_BACKUPS).forEach(b => {
+    try { fs.unlinkSync(path.join(BACKUP_DIR, b.name)); } catch (e) {}
+  });
+  return name;
+}
+
+// Write to a temp file next to the target, flush it, then rename over the original
+export function writeAtomic(file, text) {
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  const fd = fs.openSync(tmp, "w");
+  try {
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    try { fs.unlinkSync(tmp); } catch (err) {}
+    throw e;
+  }
+}
+
+// Save the whole list (ids included, so they stay put from now on)
+export function writeChannels(list) {
+  const backup = backupCurrent();
+  writeAtomic(CHANNELS_FILE, JSON.stringify(list, null, 2) + "\n");
+  return { backup };
+}
+
+// Newest first
+export function listBackups() {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+  return fs.readdirSync(BACKUP_DIR)
+    .filter(name => /^channels-[\w-]+\.json$/.test(name))
+    .map(name => {
+      const stat = fs.statSync(path.join(BACKUP_DIR, name));
+      return { name, size: stat.size, createdAt: stat.mtime.toISOString() };
+    })
+    .sort((a, b) => b.name.localeCompare(a.name));
+}
+
+// Put a backup back in place; the file being replaced is itself backed up first
+export function restoreBackup(name) {
+  if (!/^channels-[\w-]+\.json$/.test(name)) return null;
+  const file = path.join(BACKUP_DIR, name);
+  if (!fs.existsSync(file)) return null;
+  const text = fs.readFileSync(file, "utf8");
+  const parsed = JSON.parse(text);
+  if (!Array.isArray(parsed)) throw new Error("Backup is not a channel list");
+  const backup = backupCurrent();
+  writeAtomic(CHANNELS_FILE, text);
+  return { restored: name, backup, count: parsed.length };
+}
+
+// Work out how a channel should be played: explicit "type" wins, then the URL
+// path, then what sniffing the stream found (detectedType, see lib/sniff.js),
+// then which field the URL was stored under
+export function sourceType(ch) {
+  if (["hls", "dash", "progressive"].includes(ch.type)) return ch.type;
+  return typeFromUrl(ch.manifestUri || ch.url) || ch.detectedType || (ch.manifestUri ? "dash" : "hls");
+}
+
+// A source's stream URL. Sources are written like the channel's own URL fields:
+// { url | manifestUri, type?, clearKey?, headers?, priority?, label? }, with
+// manifestUri meaning DASH when neither "type" nor the path says otherwise.
+export const sourceUri = s => s.manifestUri || s.url;
+
+// Every place a channel can be played from, in the order to try them: its own
+// url/manifestUri first, then "sources" by priority (lower first, ties keep file
+// order). A source's own headers replace the channel's.
+export function channelSources(ch) {
+  const list = [];
+  if (ch.manifestUri || ch.url) {
+    const main = { url: ch.url, manifestUri: ch.manifestUri, type: ch.type, clearKey: ch.clearKey };
+    list.push(Object.fromEntries(Object.entries(main).filter(([, v]) => v !== undefined)));
+  }
+  const backups = (Array.isArray(ch.sources) ? ch.sources : [])
+    .map((s, i) => ({ s, i }))
+    .sort((a, b) => (a.s.priority ?? 0) - (b.s.priority ?? 0) || a.i - b.i)
+    .map(({ s }) => s);
+  return [...list, ...backups];
+}
+
+// The channel as if source `index` were its own URL, with the others left in
+// "sources" (index 0 is how the server keeps catalogue entries, so everything
+// that reads url/manifestUri gets the main source). null for a missing index.
+export function withSource(ch, index = 0) {
+  const list = channelSources(ch);
+  if (!list[index]) return null;
+  const { url, manifestUri, type, clearKey, sources, detectedType, ...rest } = ch;
+  const { priority, label, ...chosen } = list[index];
+  return {
+    ...rest,
+    ...chosen,
+    ...(index === 0 && detectedType ? { detectedType } : {}),
+    ...(list.length > 1 ? { sources: list.filter((_, i) => i !== index) } : {})
+  };
+}
+
+// Public view of a channel: typed source descriptors, never the keys.
+// `proxied(ch)` says whether a source (as withSource() gives it) goes through
+// /proxy/:id/ instead of the upstream URL; backups there are ?source=n.
+export function publicChannel(ch, { proxied = () => false } = {}) {
+  const licenseUri = `/license/${encodeURIComponent(ch.id)}`;
+  const sources = channelSources(ch).map((s, index) => {
+    const drm = s.clearKey && Object.keys(s.clearKey).length ? { keySystem: "org.w3.clearkey", licenseUri } : null;
+    const proxyUri = `/proxy/${encodeURIComponent(ch.id)}/${index ? `?source=${index}` : ""}`;
+    return {
+      type: sourceType(index === 0 ? { ...s, detectedType: ch.detectedType } : s),
+      uri: proxied(withSource(ch, index)) ? proxyUri : sourceUri(s),
+      drm,
+      ...(s.label ? { label: s.label } : {})
+    };
+  });
+  return {
+    id: ch.id,
+    name: ch.name,
+    logo: ch.logo,
+    category: ch.category,
+    ...(ch.lcn ? { lcn: ch.lcn } : {}),
+    ...(ch.rating ? { rating: ch.rating } : {}),
+    source: sources[0],
+    sources
+  };
+}
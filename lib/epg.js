@@ -0,0 +1,195 @@
+// lib/epg.js
+// XMLTV programme guide: load one or more XMLTV files (path or URL, plain or
+// gzipped), index programmes by XMLTV channel id and map our channels onto them
+// by tvgId first, then by display-name alias.
+import fs from "fs";
+import zlib from "zlib";
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decode(text) {
+  return String(text || "")
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) => {
+      if (e[0] === "#") {
+        const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+      }
+      return ENTITIES[e.toLowerCase()] ?? m;
+    })
+    .trim();
+}
+
+function attrs(tag) {
+  const out = {};
+  for (const m of tag.matchAll(/([\w-]+)\s*=\s*"([^"]*)"/g)) out[m[1]] = decode(m[2]);
+  return out;
+}
+
+// First <name ...>text</name> inside an element body
+function child(body, name) {
+  const m = new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`).exec(body);
+  return m ? decode(m[1]) : "";
+}
+
+// XMLTV time "20240101123000 +0800" -> epoch ms (offset optional, UTC assumed)
+export function parseXmltvTime(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?\s*([+-]\d{2}:?\d{2}|Z)?/.exec(String(value || "").trim());
+  if (!m) return null;
+  const [, y, mo, d, h = "00", mi = "00", s = "00", tz] = m;
+  let ms = Date.UTC(+y, +mo - 1, +d, +h, +mi, +s);
+  if (tz && tz !== "Z") {
+    const sign = tz[0] === "-" ? -1 : 1;
+    const digits = tz.slice(1).replace(":", "");
+    ms -= sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2))) * 60000;
+  }
+  return ms;
+}
+
+// Loose name key so "GMA HD", "gma-hd" and "GMA" find each other
+export function nameKey(name) {
+  return String(name || "")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\b(hd|fhd|uhd|4k|sd)\b/g, "")
+    .replace(/[^a-z0-9]+/g, "");
+}
+
+export function parseXmltv(text) {
+  const channels = [];
+  const programmes = [];
+  for (const m of text.matchAll(/<channel\b([^>]*)>([\s\S]*?)<\/channel>/g)) {
+    const { id } = attrs(m[1]);
+    if (!id) continue;
+    const names = [...m[2].matchAll(/<display-name\b[^>]*>([\s\S]*?)<\/display-name>/g)].map(n => decode(n[1]));
+    channels.push({ id, names });
+  }
+  for (const m of text.matchAll(/<programme\b([^>]*)>([\s\S]*?)<\/programme>/g)) {
+    const a = attrs(m[1]);
+    const start = parseXmltvTime(a.start);
+    const stop = parseXmltvTime(a.stop);
+    if (!a.channel || start === null) continue;
+    const icon = /<icon\b([^>]*)\/?>/.exec(m[2]);
+    programmes.push({
+      channel: a.channel,
+      start,
+      stop,
+      title: child(m[2], "title"),
+      subTitle: child(m[2], "sub-title") || undefined,
+      desc: child(m[2], "desc") || undefined,
+      category: child(m[2], "category") || undefined,
+      icon: icon ? attrs(icon[1]).src : undefined
+    });
+  }
+  return { channels, programmes };
+}
+
+async function readSource(source) {
+  let buf;
+  if (/^https?:\/\//i.test(source)) {
+    const res = await fetch(source, { signal: AbortSignal.timeout(60000) });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    buf = Buffer.from(await res.arrayBuffer());
+  } else {
+    buf = fs.readFileSync(source);
+  }
+  // .xml.gz is how most providers publish their guides
+  if (buf[0] === 0x1f && buf[1] === 0x8b) buf = zlib.gunzipSync(buf);
+  return buf.toString("utf8");
+}
+
+// sources: list of paths/URLs; refreshMs: reload period (0 = load once).
+// A source that fails to load keeps its programmes from the last time it worked.
+export function createEpg(sources, { refreshMs = 6 * 60 * 60 * 1000 } = {}) {
+  const parsed = new Map();    // source -> last good parseXmltv() result
+  let byChannel = new Map();   // xmltv channel id (lowercase) -> programmes sorted by start
+  let aliases = new Map();     // nameKey(display-name) -> xmltv channel id (lowercase)
+  let loadedAt = null;
+  const errors = [];
+  let timer = null;
+
+  async function load() {
+    errors.length = 0;
+    for (const source of sources) {
+      try {
+        const guide = parseXmltv(await readSource(source));
+        parsed.set(source, guide);
+        console.log(`📺 EPG: ${guide.programmes.length} programmes from ${source}`);
+      } catch (e) {
+        errors.push({ source, error: e.message });
+        const kept = parsed.has(source) ? ", keeping the previous guide" : "";
+        console.error(`❌ EPG source ${source} failed: ${e.message}${kept}`);
+      }
+    }
+
+    const nextByChannel = new Map();
+    const nextAliases = new Map();
+    for (const source of sources) {
+      const { channels, programmes } = parsed.get(source) || { channels: [], programmes: [] };
+      for (const ch of channels) {
+        const id = ch.id.toLowerCase();
+        for (const name of [ch.id, ...ch.names]) {
+          const key = nameKey(name);
+          if (key && !nextAliases.has(key)) nextAliases.set(key, id);
+        }
+      }
+      for (const p of programmes) {
+        const id = p.channel.toLowerCase();
+        if (!nextByChannel.has(id)) nextByChannel.set(id, []);
+        // copied, since stop times get filled in below and the parse is reused next time
+        nextByChannel.get(id).push({ ...p });
+      }
+    }
+    for (const list of nextByChannel.values()) {
+      list.sort((a, b) => a.start - b.start);
+      // fill missing stop times from the next programme
+      list.forEach((p, i) => { if (p.stop === null) p.stop = list[i + 1]?.start ?? p.start + 30 * 60000; });
+    }
+    byChannel = nextByChannel;
+    aliases = nextAliases;
+    loadedAt = new Date().toISOString();
+  }
+
+  // Our channel -> its programme list (or null)
+  function programmesFor(ch) {
+    if (ch.tvgId && byChannel.has(ch.tvgId.toLowerCase())) return byChannel.get(ch.tvgId.toLowerCase());
+    const viaTvg = ch.tvgId && aliases.get(nameKey(ch.tvgId));
+    if (viaTvg && byChannel.has(viaTvg)) return byChannel.get(viaTvg);
+    const viaName = aliases.get(nameKey(ch.name));
+    return viaName ? byChannel.get(viaName) || null : null;
+  }
+
+  // Programmes overlapping [from, to) for each channel that has any
+  function query(channels, from, to) {
+    const out = {};
+    for (const ch of channels) {
+      const list = programmesFor(ch);
+      if (!list) continue;
+      const hits = list
+        .filter(p => p.stop > from && p.start < to)
+        .map(({ channel, start, stop, ...rest }) => ({
+          start: new Date(start).toISOString(),
+          stop: new Date(stop).toISOString(),
+          ...rest
+        }));
+      if (hits.length) out[ch.id] = hits;
+    }
+    return out;
+  }
+
+  return {
+    load,
+    query,
+    start() {
+      if (!sources.length) return;
+      load().catch(e => console.error("❌ EPG load failed:", e));
+      if (refreshMs && !timer) {
+        timer = setInterval(() => load().catch(e => console.error("❌ EPG load failed:", e)), refreshMs);
+        timer.unref();
+      }
+    },
+    status() {
+      return { sources: sources.length, loadedAt, channels: byChannel.size, errors: errors.slice() };
+    }
+  };
+}
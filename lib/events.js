@@ -0,0 +1,64 @@
+// lib/events.js
+// Server-Sent Events: a small broadcast hub plus a watcher that turns edits of
+// channels.json into added/removed/changed events.
+import fs from "fs";
+import path from "path";
+
+const HEARTBEAT_MS = 25000;
+
+export function createSseHub() {
+  const clients = new Set();
+  let nextId = 1;
+
+  // GET handler: keep the response open and register it
+  function handle(req, res) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      // nginx buffers responses unless told otherwise
+      "X-Accel-Buffering": "no"
+    });
+    res.write("retry: 3000\n\n");
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+    clients.add(res);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      clients.delete(res);
+    });
+  }
+
+  function send(event, data) {
+    const frame = `id: ${nextId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of clients) res.write(frame);
+  }
+
+  return { handle, send, get size() { return clients.size; } };
+}
+
+// prev/next: arrays of channels with ids. Changed = same id, different JSON.
+export function diffChannels(prev, next) {
+  const before = new Map(prev.map(ch => [ch.id, ch]));
+  const after = new Map(next.map(ch => [ch.id, ch]));
+  const added = next.filter(ch => !before.has(ch.id));
+  const removed = prev.filter(ch => !after.has(ch.id)).map(ch => ch.id);
+  const changed = next.filter(ch => before.has(ch.id) && JSON.stringify(before.get(ch.id)) !== JSON.stringify(ch));
+  return { added, removed, changed };
+}
+
+// Call onChange() after `file` is written. The directory is watched rather than
+// the file itself because writeChannels() replaces it with a rename.
+export function watchFile(file, onChange, { debounceMs = 250 } = {}) {
+  const name = path.basename(file);
+  let timer = null;
+  const watcher = fs.watch(path.dirname(file), (type, changed) => {
+    if (changed && changed !== name) return;
+    clearTimeout(timer);
+    timer = setTimeout(onChange, debounceMs);
+  });
+  watcher.on("error", e => console.error(`❌ Watching ${file} failed:`, e.message));
+  return () => {
+    clearTimeout(timer);
+    watcher.close();
+  };
+}
@@ -0,0 +1,197 @@
+// lib/health.js
+// Background stream prober: fetch each channel's manifest, parse it, then pull
+// the first bytes of one segment so "manifest up, CDN down" counts as broken too.
+import { sourceType, channelSources, withSource } from "./catalogue.js";
+
+const SEGMENT_BYTES = 64 * 1024;
+
+// Fetch with the channel's upstream headers and a hard timeout
+async function get(url, { headers, timeoutMs, range } = {}) {
+  const res = await fetch(url, {
+    headers: { ...headers, ...(range ? { Range: `bytes=0-${SEGMENT_BYTES - 1}` } : {}) },
+    redirect: "follow",
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (!res.ok) {
+    res.body?.cancel().catch(() => {});
+    throw new Error(`HTTP ${res.status} from ${range ? "segment" : "manifest"}`);
+  }
+  return res;
+}
+
+// Read a little of a segment and drop the rest; servers that ignore Range still only cost us one chunk
+async function touchSegment(url, opts) {
+  const res = await get(url, { ...opts, range: true });
+  const reader = res.body.getReader();
+  const { value } = await reader.read();
+  reader.cancel().catch(() => {});
+  if (!value || !value.length) throw new Error("Empty segment");
+}
+
+// URI lines of an M3U8 (everything that isn't a tag or blank)
+function playlistUris(text) {
+  return text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith("#"));
+}
+
+async function probeHls(manifestUrl, opts) {
+  let res = await get(manifestUrl, opts);
+  let text = await res.text();
+  if (!text.trimStart().startsWith("#EXTM3U")) throw new Error("Not an M3U8 playlist");
+
+  let variants = 1;
+  if (/#EXT-X-STREAM-INF/.test(text)) {
+    const uris = playlistUris(text);
+    variants = (text.match(/#EXT-X-STREAM-INF/g) || []).length;
+    if (!uris.length) throw new Error("Master playlist has no variants");
+    res = await get(new URL(uris[0], res.url).href, opts);
+    text = await res.text();
+  }
+  const segment = playlistUris(text)[0];
+  if (!segment) throw new Error("Media playlist has no segments");
+  await touchSegment(new URL(segment, res.url).href, opts);
+  return { variants };
+}
+
+// First initialization (or media) segment URL we can build from the MPD
+function firstDashSegment(mpd, base) {
+  const rep = /<Representation\b([^>]*)>/.exec(mpd);
+  const repAttr = name => (rep && new RegExp(`\\b${name}="([^"]*)"`).exec(rep[1]) || [])[1] || "";
+  const baseUrl = (/<BaseURL>([^<]+)<\/BaseURL>/.exec(mpd) || [])[1];
+  const root = baseUrl ? new URL(baseUrl.trim(), base).href : base;
+
+  const template = /<SegmentTemplate\b([^>]*)>?/.exec(mpd);
+  const init = template && (/\binitialization="([^"]*)"/.exec(template[1]) || [])[1];
+  if (init) {
+    const path = init
+      .replace(/\$RepresentationID\$/g, repAttr("id"))
+      .replace(/\$Bandwidth\$/g, repAttr("bandwidth"));
+    return new URL(path, root).href;
+  }
+  const listed = /<(?:Initialization|SegmentURL)\b[^>]*(?:sourceURL|media)="([^"]*)"/.exec(mpd);
+  if (listed) return new URL(listed[1], root).href;
+  // SegmentBase: the whole representation is one file at its BaseURL
+  return baseUrl ? root : null;
+}
+
+async function probeDash(manifestUrl, opts) {
+  const res = await get(manifestUrl, opts);
+  const mpd = await res.text();
+  if (!/<MPD\b/.test(mpd)) throw new Error("Not a DASH manifest");
+  const variants = (mpd.match(/<Representation\b/g) || []).length;
+  if (!variants) throw new Error("MPD has no representations");
+  const segment = firstDashSegment(mpd, res.url);
+  if (!segment) throw new Error("Could not locate a segment in the MPD");
+  await touchSegment(segment, opts);
+  return { variants };
+}
+
+// Probe one channel. Never throws; failures come back as { ok: false, error }.
+export async function probeChannel(ch, { timeoutMs = 10000 } = {}) {
+  const uri = ch.manifestUri || ch.url;
+  const opts = { headers: ch.headers || {}, timeoutMs };
+  const started = Date.now();
+  try {
+    const type = sourceType(ch);
+    let info;
+    if (type === "dash") info = await probeDash(uri, opts);
+    else if (type === "hls") info = await probeHls(uri, opts);
+    else {
+      await touchSegment(uri, opts);
+      info = { variants: 1 };
+    }
+    return { ok: true, latencyMs: Date.now() - started, ...info };
+  } catch (e) {
+    const error = e.name === "TimeoutError" ? `Timed out after ${timeoutMs}ms` : e.cause?.code || e.cause?.message || e.message;
+    return { ok: false, latencyMs: Date.now() - started, error };
+  }
+}
+
+// A channel is up while any of its sources is; backups are only tried when the
+// main one fails
+async function probeSources(ch, opts) {
+  const count = channelSources(ch).length;
+  let probe;
+  for (let i = 0; i < count; i++) {
+    probe = await probeChannel(withSource(ch, i), opts);
+    if (probe.ok) return probe;
+  }
+  return probe;
+}
+
+// Periodic checker over whatever getChannels() returns at the start of each round.
+//   intervalMs   time between rounds (0 = only when checkNow() is called)
+//   concurrency  probes in flight at once
+export function createHealthChecker(getChannels, { intervalMs = 10 * 60 * 1000, concurrency = 4, timeoutMs = 10000 } = {}) {
+  const results = new Map();
+  let timer = null;
+  let running = null;
+  let lastRun = null;
+
+  function record(ch, probe) {
+    const prev = results.get(ch.id) || { lastSuccess: null, failures: 0 };
+    results.set(ch.id, {
+      status: probe.ok ? "online" : "offline",
+      latencyMs: probe.latencyMs,
+      variants: probe.ok ? probe.variants : prev.variants ?? null,
+      lastChecked: new Date().toISOString(),
+      lastSuccess: probe.ok ? new Date().toISOString() : prev.lastSuccess,
+      failures: probe.ok ? 0 : prev.failures + 1,
+      error: probe.ok ? null : probe.error
+    });
+  }
+
+  async function round() {
+    const list = getChannels();
+    const ids = new Set(list.map(ch => ch.id));
+    for (const id of results.keys()) if (!ids.has(id)) results.delete(id);
+
+    const started = Date.now();
+    let next = 0;
+    const worker = async () => {
+      while (next < list.length) {
+        const ch = list[next++];
+        record(ch, await probeSources(ch, { timeoutMs }));
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, list.length) }, worker));
+    lastRun = { finishedAt: new Date().toISOString(), durationMs: Date.now() - started, checked: list.length };
+  }
+
+  // One round at a time; a second caller waits on the round already running
+  function checkNow() {
+    if (!running) {
+      running = round()
+        .catch(e => console.error("❌ Health check round failed:", e))
+        .finally(() => { running = null; });
+    }
+    return running;
+  }
+
+  return {
+    start() {
+      if (timer || !intervalMs) return;
+      checkNow();
+      timer = setInterval(checkNow, intervalMs);
+      timer.unref();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    checkNow,
+    get(id) {
+      return results.get(id) || null;
+    },
+    snapshot() {
+      const channels = {};
+      for (const [id, r] of results) channels[id] = r;
+      const count = status => [...results.values()].filter(r => r.status === status).length;
+      return {
+        running: !!running,
+        lastRun,
+        summary: { online: count("online"), offline: count("offline"), checked: results.size },
+        channels
+      };
+    }
+  };
+}
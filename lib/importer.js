@@ -0,0 +1,105 @@
+// lib/importer.js
+// Turns parsed M3U entries into channels.json entries and works out how they land in the catalogue.
+import { sourceType, uniqueId, channelSources, sourceUri } from "./catalogue.js";
+import { CATEGORIES, checkChannel } from "./validate.js";
+
+// Fields compared when deciding whether an existing channel changed
+const COMPARED = ["name", "logo", "category", "url", "manifestUri", "clearKey", "tvgId", "headers", "sources"];
+
+// The URL a channel is matched on: its main source (the best backup when it only has "sources")
+const uriOf = ch => {
+  const main = channelSources(ch)[0];
+  return main ? sourceUri(main) : undefined;
+};
+
+// group-title is matched to a known category regardless of case; anything else
+// falls back to defaultCategory (and fails validation when there is none)
+function matchCategory(group, defaultCategory) {
+  const g = String(group || "").trim().toLowerCase();
+  return CATEGORIES.find(c => c.toLowerCase() === g) || defaultCategory || String(group || "").trim();
+}
+
+// Parsed M3U entry -> channels.json shape
+export function toChannel(entry, { defaultCategory } = {}) {
+  const ch = { name: entry.name || entry.tvgId || entry.uri };
+  // a tvg-logo that isn't an http(s) URL is dropped rather than failing the channel
+  if (/^https?:\/\//i.test(entry.logo || "")) ch.logo = entry.logo;
+  ch.category = matchCategory(entry.group, defaultCategory);
+  if (entry.manifestType === "mpd" || sourceType({ url: entry.uri }) === "dash") ch.manifestUri = entry.uri;
+  else ch.url = entry.uri;
+  if (entry.clearKey) ch.clearKey = entry.clearKey;
+  if (entry.tvgId) ch.tvgId = entry.tvgId;
+  if (entry.lcn >= 1 && entry.lcn <= 9999) ch.lcn = entry.lcn;
+  if (entry.headers && Object.keys(entry.headers).length) ch.headers = entry.headers;
+  return ch;
+}
+
+// Plan an import against the existing catalogue (entries with ids).
+//   merge:   keep everything, update channels whose URL matches, append new ones
+//   replace: the catalogue becomes the playlist; matching URLs keep their ids
+// Entries are de-duplicated by URL (first one wins), and so are existing
+// channels when matching. Nothing is written here.
+export function planImport(existing, entries, { mode = "merge", defaultCategory } = {}) {
+  if (mode !== "merge" && mode !== "replace") throw new Error(`Unknown import mode "${mode}"`);
+  const diff = { mode, added: [], updated: [], unchanged: 0, removed: [], invalid: [], duplicates: [] };
+
+  const incoming = [];
+  const seen = new Set();
+  for (const entry of entries) {
+    if (seen.has(entry.uri)) {
+      diff.duplicates.push({ line: entry.line, name: entry.name, uri: entry.uri });
+      continue;
+    }
+    seen.add(entry.uri);
+    const ch = toChannel(entry, { defaultCategory });
+    const { errors } = checkChannel(ch);
+    if (errors.length) diff.invalid.push({ line: entry.line, name: ch.name, errors });
+    else incoming.push(ch);
+  }
+
+  // catalogue entries that already share a URL: the first one is the one
+  // imports update, the others are reported so they can be cleaned up
+  const byUri = new Map();
+  for (const ch of existing) {
+    const uri = uriOf(ch);
+    if (!uri) continue;
+    if (byUri.has(uri)) diff.duplicates.push({ id: ch.id, name: ch.name, uri, existing: true });
+    else byUri.set(uri, ch);
+  }
+  const taken = new Set(existing.map(ch => ch.id));
+  const result = mode === "replace" ? [] : existing.slice();
+  const position = new Map(result.map((ch, i) => [ch.id, i]));
+
+  for (const ch of incoming) {
+    const current = byUri.get(uriOf(ch));
+    if (!current) {
+      const id = uniqueId(ch.name, taken);
+      taken.add(id);
+      result.push({ id, ...ch });
+      diff.added.push({ id, name: ch.name, category: ch.category });
+      continue;
+    }
+    // the import decides which field the URL lives under; backups stay, minus
+    // the one that just became the main URL
+    const { url, manifestUri, sources, ...rest } = current;
+    const next = { ...rest, ...ch, id: current.id };
+    const backups = (sources || []).filter(s => sourceUri(s) !== uriOf(ch));
+    if (backups.length) next.sources = backups;
+    const fields = COMPARED.filter(f => JSON.stringify(current[f]) !== JSON.stringify(next[f]));
+    if (fields.length) diff.updated.push({ id: current.id, name: next.name, fields });
+    else diff.unchanged++;
+    if (mode === "replace") result.push(next);
+    else result[position.get(current.id)] = next;
+  }
+
+  if (mode === "replace") {
+    const kept = new Set(result.map(ch => ch.id));
+    diff.removed = existing.filter(ch => !kept.has(ch.id)).map(ch => ({ id: ch.id, name: ch.name }));
+  }
+
+  diff.summary = {
+    added: diff.added.length, updated: diff.updated.length, unchanged: diff.unchanged,
+    removed: diff.removed.length, invalid: diff.invalid.length, duplicates: diff.duplicates.length
+  };
+  return { channels: result, diff };
+}
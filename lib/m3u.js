@@ -0,0 +1,156 @@
+// lib/m3u.js
+// Extended M3U for players like VLC, Kodi and TiviMate: rendering the lineup and parsing provider lists.
+import { sourceType } from "./catalogue.js";
+
+// Attribute values go inside double quotes and must stay on one line
+function attr(value) {
+  return oneLine(value).replace(/"/g, "'");
+}
+
+// A line break in a value would start a line of its own in the playlist
+function oneLine(value) {
+  return String(value ?? "").replace(/[\r\n]+/g, " ");
+}
+
+// channels: full entries (with clearKey). Options:
+//   baseUrl     absolute origin used for license and proxy URLs
+//   inlineKeys  write kid:key pairs instead of pointing Kodi at /license/:id
+//   proxied     ch => whether the channel plays through /proxy/:id/, in which
+//               case neither its upstream URL nor its headers are written
+export function renderM3u(channels, { baseUrl = "", inlineKeys = false, proxied = () => false } = {}) {
+  const lines = ["#EXTM3U"];
+  for (const ch of channels) {
+    const uri = ch.manifestUri || ch.url;
+    if (!uri) continue;
+    const name = oneLine(ch.name || ch.id);
+    const chno = ch.lcn ? ` tvg-chno="${ch.lcn}"` : "";
+    lines.push(`#EXTINF:-1 tvg-id="${attr(ch.tvgId || ch.id)}"${chno} tvg-name="${attr(ch.name)}" tvg-logo="${attr(ch.logo)}" group-title="${attr(ch.category)}",${name}`);
+
+    const type = sourceType(ch);
+    if (type === "dash") {
+      lines.push("#KODIPROP:inputstream=inputstream.adaptive");
+      lines.push("#KODIPROP:inputstream.adaptive.manifest_type=mpd");
+    }
+    if (ch.clearKey && Object.keys(ch.clearKey).length) {
+      const licenseKey = inlineKeys
+        ? Object.entries(ch.clearKey).map(([kid, key]) => `${kid}:${key}`).join(",")
+        : `${baseUrl}/license/${encodeURIComponent(ch.id)}`;
+      lines.push("#KODIPROP:inputstream.adaptive.license_type=clearkey");
+      lines.push(`#KODIPROP:inputstream.adaptive.license_key=${licenseKey}`);
+    }
+    if (proxied(ch)) {
+      lines.push(`${baseUrl}/proxy/${encodeURIComponent(ch.id)}/`);
+      continue;
+    }
+    const headers = ch.headers || {};
+    if (headers.Referer) lines.push(`#EXTVLCOPT:http-referrer=${oneLine(headers.Referer)}`);
+    if (headers["User-Agent"]) lines.push(`#EXTVLCOPT:http-user-agent=${oneLine(headers["User-Agent"])}`);
+    lines.push(oneLine(uri));
+  }
+  return lines.join("\n") + "\n";
+}
+
+// base64url (as used in W3C ClearKey JSON) -> hex
+function b64ToHex(value) {
+  return Buffer.from(String(value).replace(/-/g, "+").replace(/_/g, "/"), "base64").toString("hex");
+}
+
+// license_key as written by the various list makers:
+//   kid:key[,kid:key]  (hex)
+//   {"kid":"key"}      (hex)
+//   {"keys":[{"kty":"oct","kid":"..","k":".."}]}  (base64url)
+// A license server URL carries no keys and yields null.
+export function parseLicenseKey(value) {
+  const text = String(value || "").trim();
+  if (!text || /^https?:\/\//i.test(text)) return null;
+  if (text.startsWith("{")) {
+    try {
+      const json = JSON.parse(text);
+      if (Array.isArray(json.keys)) {
+        const out = {};
+        for (const k of json.keys) if (k && k.kid && k.k) out[b64ToHex(k.kid)] = b64ToHex(k.k);
+        return Object.keys(out).length ? out : null;
+      }
+      const out = {};
+      for (const [kid, key] of Object.entries(json)) out[String(kid).toLowerCase()] = String(key).toLowerCase();
+      return Object.keys(out).length ? out : null;
+    } catch (e) {
+      return null;
+    }
+  }
+  const out = {};
+  for (const pair of text.split(",")) {
+    const [kid, key] = pair.split(":").map(s => (s || "").trim().toLowerCase());
+    if (kid && key) out[kid] = key;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// `#EXTINF:-1 tvg-id="x" group-title="News",Title` -> { attrs, title }
+function parseExtinf(line) {
+  const body = line.slice(line.indexOf(":") + 1);
+  let inQuote = false, comma = -1;
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === '"') inQuote = !inQuote;
+    else if (body[i] === "," && !inQuote) { comma = i; break; }
+  }
+  const head = comma >= 0 ? body.slice(0, comma) : body;
+  const attrs = {};
+  for (const m of head.matchAll(/([\w-]+)="([^"]*)"/g)) attrs[m[1].toLowerCase()] = m[2];
+  return { attrs, title: comma >= 0 ? body.slice(comma + 1).trim() : "" };
+}
+
+const VLC_HEADERS = { "http-referrer": "Referer", "http-referer": "Referer", "http-user-agent": "User-Agent", "http-origin": "Origin" };
+
+// Parse an (extended) M3U playlist into raw entries:
+// { name, logo, group, tvgId, uri, manifestType, clearKey, headers, line }
+export function parseM3u(text) {
+  const entries = [];
+  let pending = null;
+  const start = line => (pending = pending || { headers: {}, line });
+
+  String(text).replace(/^\uFEFF/, "").split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    const lineNo = i + 1;
+    if (!line || line === "#EXTM3U" || line.startsWith("#EXTM3U ")) return;
+
+    if (line.startsWith("#EXTINF")) {
+      const { attrs, title } = parseExtinf(line);
+      const entry = start(lineNo);
+      entry.name = title || attrs["tvg-name"] || "";
+      entry.logo = attrs["tvg-logo"] || "";
+      entry.group = attrs["group-title"] || entry.group || "";
+      entry.tvgId = attrs["tvg-id"] || "";
+      if (/^\d+$/.test(attrs["tvg-chno"] || "")) entry.lcn = Number(attrs["tvg-chno"]);
+    } else if (line.startsWith("#EXTGRP:")) {
+      start(lineNo).group = start(lineNo).group || line.slice(8).trim();
+    } else if (line.startsWith("#KODIPROP:")) {
+      const [key, ...rest] = line.slice(10).split("=");
+      const value = rest.join("=").trim();
+      const entry = start(lineNo);
+      if (key === "inputstream.adaptive.license_key") entry.licenseKey = value;
+      else if (key === "inputstream.adaptive.license_type") entry.licenseType = value.toLowerCase();
+      else if (key === "inputstream.adaptive.manifest_type") entry.manifestType = value.toLowerCase();
+    } else if (line.startsWith("#EXTVLCOPT:")) {
+      const [key, ...rest] = line.slice(11).split("=");
+      const header = VLC_HEADERS[key.trim().toLowerCase()];
+      if (header) start(lineNo).headers[header] = rest.join("=").trim();
+    } else if (!line.startsWith("#")) {
+      const entry = start(lineNo);
+      // Kodi style "url|Referer=...&User-Agent=..."
+      const [uri, pipeHeaders] = line.split("|");
+      entry.uri = uri.trim();
+      if (pipeHeaders) {
+        for (const [key, value] of new URLSearchParams(pipeHeaders)) entry.headers[key] = value;
+      }
+      if (entry.licenseKey && (!entry.licenseType || /clearkey/.test(entry.licenseType))) {
+        entry.clearKey = parseLicenseKey(entry.licenseKey);
+      }
+      delete entry.licenseKey;
+      delete entry.licenseType;
+      entries.push(entry);
+      pending = null;
+    }
+  });
+  return entries;
+}
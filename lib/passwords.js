@@ -0,0 +1,19 @@
+// lib/passwords.js
+// Password hashes for the local user files: "scrypt$<salt>$<hash>", base64url parts.
+import crypto from "crypto";
+
+const KEY_LENGTH = 32;
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt.toString("base64url")}$${hash.toString("base64url")}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64url");
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, "base64url"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
@@ -0,0 +1,236 @@
+// lib/proxy.js
+// Streaming reverse proxy for channel manifests and segments.
+// Every upstream URL handed to the browser is sealed into an opaque token
+// (AES-GCM, bound to the channel id and source), so the player only ever sees
+// /proxy/<channelId>/<token>[/<relative path>]. We only fetch URLs we minted,
+// or paths below a minted URL's directory on the same host (resolveProxied()).
+import crypto from "crypto";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { sourceType } from "./catalogue.js";
+import { httpError } from "./router.js";
+
+const MANIFEST_LIMIT = 5 * 1024 * 1024;
+const CONNECT_TIMEOUT_MS = 15000;
+
+// Request headers worth passing upstream, and response headers worth passing back
+const FORWARD_REQUEST = ["range", "accept", "if-none-match", "if-modified-since"];
+const FORWARD_RESPONSE = ["content-type", "content-length", "content-range", "accept-ranges", "cache-control", "etag", "last-modified", "expires"];
+
+// PROXY_MODE: "auto" proxies http:// sources and channels that need custom
+// headers, "all" proxies everything, "off" nothing. A channel's own
+// `proxy: true|false` wins over the mode.
+export function shouldProxy(ch, mode = "auto") {
+  if (typeof ch.proxy === "boolean") return ch.proxy;
+  if (mode === "all") return true;
+  if (mode === "off") return false;
+  const uri = ch.manifestUri || ch.url || "";
+  return /^http:\/\//i.test(uri) || !!(ch.headers && Object.keys(ch.headers).length);
+}
+
+// Upstream URL for <token>/<relative>: the relative part may only walk down from
+// the sealed URL's directory on the same origin. Absolute and protocol-relative
+// paths, and anything that resolves elsewhere, are a 403.
+export function resolveProxied(base, relative, search = "") {
+  if (!relative) return base;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(relative) || /^(\/\/|\\)/.test(relative)) {
+    throw httpError(403, "Proxy path leaves the channel's source");
+  }
+  const sealed = new URL(base);
+  const target = new URL(relative + search, sealed);
+  const prefix = sealed.pathname.slice(0, sealed.pathname.lastIndexOf("/") + 1);
+  if (target.origin !== sealed.origin || !target.pathname.startsWith(prefix)) {
+    throw httpError(403, "Proxy path leaves the channel's source");
+  }
+  return target.href;
+}
+
+export function createProxy({ secret } = {}) {
+  // Without a configured secret tokens only live as long as the process
+  const key = secret
+    ? crypto.createHash("sha256").update(secret).digest()
+    : crypto.randomBytes(32);
+
+  // source: which of the channel's sources the URL belongs to (its headers apply)
+  function seal(channelId, url, source = 0) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    const body = Buffer.concat([cipher.update(`${channelId}\n${source}\n${url}`, "utf8"), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), body]).toString("base64url");
+  }
+
+  // token -> { url, source }, or null if it was not minted for this channel
+  function open(channelId, token) {
+    try {
+      const raw = Buffer.from(token, "base64url");
+      if (raw.length < 29) return null;
+      const decipher = crypto.createDecipheriv("aes-256-gcm", key, raw.subarray(0, 12));
+      decipher.setAuthTag(raw.subarray(12, 28));
+      const text = Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString("utf8");
+      const [id, source, ...url] = text.split("\n");
+      return id === channelId ? { url: url.join("\n"), source: Number(source) } : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  const proxyUrl = (channelId, url, source) => `/proxy/${encodeURIComponent(channelId)}/${seal(channelId, url, source)}`;
+
+  // Absolute upstream URL -> proxy path; data:, skd:// and friends are left alone
+  function rewriteUri(channelId, value, base, source) {
+    let abs;
+    try {
+      abs = new URL(value, base);
+    } catch (e) {
+      return value;
+    }
+    if (abs.protocol !== "http:" && abs.protocol !== "https:") return value;
+    return proxyUrl(channelId, abs.href, source);
+  }
+
+  function rewriteHls(channelId, text, base, source = 0) {
+    return text.split(/\r?\n/).map(line => {
+      const trimmed = line.trim();
+      if (!trimmed) return line;
+      if (!trimmed.startsWith("#")) return rewriteUri(channelId, trimmed, base, source);
+      // EXT-X-KEY, EXT-X-MEDIA, EXT-X-MAP, EXT-X-I-FRAME-STREAM-INF, EXT-X-PART, ...
+      return line.replace(/URI="([^"]*)"/g, (_, uri) => `URI="${rewriteUri(channelId, uri, base, source)}"`);
+    }).join("\n");
+  }
+
+  // Absolute SegmentTemplate URLs keep their $Number$/$Time$ tail in clear so
+  // the player can still expand it; the directory before it is sealed.
+  function rewriteTemplate(channelId, value, base, source) {
+    if (!/^https?:\/\//i.test(value)) return value;
+    const dollar = value.indexOf("$");
+    const cut = dollar < 0 ? -1 : value.lastIndexOf("/", dollar);
+    if (cut < 0) return rewriteUri(channelId, value, base, source);
+    return `${proxyUrl(channelId, value.slice(0, cut + 1), source)}/${value.slice(cut + 1)}`;
+  }
+
+  function rewriteDash(channelId, text, base, source = 0) {
+    const periodAt = text.search(/<Period\b/);
+    let topLevelBase = false;
+    let out = text.replace(/<BaseURL([^>]*)>([^<]*)<\/BaseURL>/g, (match, attrs, value, offset) => {
+      const topLevel = periodAt < 0 || offset < periodAt;
+      // nested relative BaseURLs resolve against the (rewritten) outer one
+      if (!topLevel && !/^https?:\/\//i.test(value.trim())) return match;
+      if (topLevel) topLevelBase = true;
+      const abs = new URL(value.trim(), base).href;
+      return `<BaseURL${attrs}>${proxyUrl(channelId, abs, source)}/</BaseURL>`;
+    });
+    out = out
+      .replace(/<Location([^>]*)>([^<]*)<\/Location>/g, (_, attrs, value) =>
+        `<Location${attrs}>${rewriteUri(channelId, value.trim(), base, source)}</Location>`)
+      .replace(/\b(media|initialization|sourceURL|index)="([^"]*)"/g, (_, name, value) =>
+        `${name}="${rewriteTemplate(channelId, value, base, source)}"`);
+    // Relative segment paths would otherwise resolve against our /proxy URL
+    if (!topLevelBase) {
+      const dir = new URL(".", base).href;
+      out = out.replace(/<MPD\b[^>]*>/, tag => `${tag}\n  <BaseURL>${proxyUrl(channelId, dir, source)}/</BaseURL>`);
+    }
+    return out;
+  }
+
+  function manifestKind(upstreamUrl, contentType, ch, isEntry) {
+    const type = String(contentType || "").toLowerCase();
+    let pathname = "";
+    try { pathname = new URL(upstreamUrl).pathname.toLowerCase(); } catch (e) {}
+    if (type.includes("mpegurl") || /\.m3u8?$/.test(pathname)) return "hls";
+    if (type.includes("dash+xml") || pathname.endsWith(".mpd")) return "dash";
+    if (isEntry) {
+      const kind = sourceType(ch);
+      return kind === "progressive" ? null : kind;
+    }
+    return null;
+  }
+
+  // Which source a /proxy/:id/<token>/... path belongs to, or null for a bad token
+  function sourceOf(channelId, rest) {
+    const sealed = open(channelId, rest.split("/")[0]);
+    return sealed ? sealed.source : null;
+  }
+
+  // Serve one proxied request. `rest` is everything after /proxy/:id/ ("" = the
+  // manifest of `ch`, which is the channel as withSource(channel, source) gives it).
+  // Throws errors with .status for the router.
+  async function handle(req, res, ch, rest, { source = 0 } = {}) {
+    let upstream;
+    if (!rest) {
+      upstream = ch.manifestUri || ch.url;
+    } else {
+      const slash = rest.indexOf("/");
+      const sealed = open(ch.id, slash < 0 ? rest : rest.slice(0, slash));
+      if (!sealed || sealed.source !== source) throw httpError(404, "Unknown proxy URL");
+      const relative = slash < 0 ? "" : rest.slice(slash + 1);
+      upstream = resolveProxied(sealed.url, relative, req.query.toString() ? `?${req.query}` : "");
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CONNECT_TIMEOUT_MS);
+    res.on("close", () => controller.abort());
+
+    const headers = {};
+    for (const name of FORWARD_REQUEST) if (req.headers[name]) headers[name] = req.headers[name];
+    Object.assign(headers, ch.headers || {});
+
+    let up;
+    try {
+      up = await fetch(upstream, { headers, redirect: "follow", signal: controller.signal });
+    } catch (e) {
+      if (res.destroyed) return;
+      throw httpError(502, "Upstream unreachable");
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const kind = up.ok ? manifestKind(up.url, up.headers.get("content-type"), ch, !rest) : null;
+    const outHeaders = {};
+    for (const name of FORWARD_RESPONSE) {
+      const value = up.headers.get(name);
+      if (value) outHeaders[name] = value;
+    }
+
+    if (kind) {
+      const text = await readLimited(up, MANIFEST_LIMIT);
+      const body = kind === "hls" ? rewriteHls(ch.id, text, up.url, source) : rewriteDash(ch.id, text, up.url, source);
+      delete outHeaders["content-length"];
+      delete outHeaders["content-range"];
+      delete outHeaders["etag"];
+      outHeaders["content-type"] = kind === "hls" ? "application/vnd.apple.mpegurl" : "application/dash+xml";
+      // live manifests change every few seconds
+      outHeaders["cache-control"] = "no-cache";
+      res.writeHead(up.status, outHeaders);
+      return res.end(req.method === "HEAD" ? undefined : body);
+    }
+
+    // Segments, keys, subtitles: stream through unchanged
+    res.writeHead(up.status, outHeaders);
+    if (req.method === "HEAD" || !up.body) {
+      up.body?.cancel().catch(() => {});
+      return res.end();
+    }
+    await pipeline(Readable.fromWeb(up.body), res).catch(() => {});
+  }
+
+  return { handle, sourceOf, seal, open, rewriteHls, rewriteDash };
+}
+
+async function readLimited(res, limit) {
+  const chunks = [];
+  let size = 0;
+  if (!res.body) return "";
+  const reader = res.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > limit) {
+      // let the upstream connection go instead of leaving it half read
+      reader.cancel().catch(() => {});
+      throw httpError(502, "Upstream manifest too large");
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
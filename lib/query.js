@@ -0,0 +1,60 @@
+// lib/query.js
+// Query parameters for GET /channels: filtering, field selection, sorting and paging
+// over the public lineup. Bad parameters are 400s.
+import { httpError } from "./router.js";
+
+export const LINEUP_FIELDS = ["id", "name", "logo", "category", "lcn", "rating", "source", "sources"];
+const SORT_KEYS = ["id", "name", "category", "lcn"];
+
+const list = value => (value || "").split(",").map(s => s.trim()).filter(Boolean);
+
+function nonNegativeInt(name, value) {
+  if (value === null || value === "") return null;
+  if (!/^\d+$/.test(value)) throw httpError(400, `${name} must be a non-negative integer`);
+  return Number(value);
+}
+
+// channels: public lineup entries; query: URLSearchParams.
+//   category=News,Sports  q=name  ids=a,b  fields=id,name  sort=name,-category  limit=  offset=
+// Returns { total, items } where total counts matches before paging.
+export function queryLineup(channels, query) {
+  const categories = list(query.get("category")).map(c => c.toLowerCase());
+  const q = (query.get("q") || "").trim().toLowerCase();
+  const ids = new Set(list(query.get("ids")));
+  const fields = list(query.get("fields"));
+  const sort = list(query.get("sort"));
+  const limit = nonNegativeInt("limit", query.get("limit"));
+  const offset = nonNegativeInt("offset", query.get("offset")) || 0;
+
+  const unknownField = fields.find(f => !LINEUP_FIELDS.includes(f));
+  if (unknownField) throw httpError(400, `Unknown field "${unknownField}" (allowed: ${LINEUP_FIELDS.join(", ")})`);
+  const unknownSort = sort.find(s => !SORT_KEYS.includes(s.replace(/^-/, "")));
+  if (unknownSort) throw httpError(400, `Cannot sort by "${unknownSort}" (allowed: ${SORT_KEYS.join(", ")})`);
+
+  let items = channels.filter(ch =>
+    (!categories.length || categories.includes(String(ch.category).toLowerCase())) &&
+    (!q || String(ch.name).toLowerCase().includes(q)) &&
+    (!ids.size || ids.has(ch.id))
+  );
+
+  if (sort.length) {
+    const keys = sort.map(s => ({ key: s.replace(/^-/, ""), dir: s.startsWith("-") ? -1 : 1 }));
+    items = items.slice().sort((a, b) => {
+      for (const { key, dir } of keys) {
+        const cmp = String(a[key] ?? "").localeCompare(String(b[key] ?? ""), undefined, { sensitivity: "base", numeric: true });
+        if (cmp) return cmp * dir;
+      }
+      return 0;
+    });
+  }
+
+  const total = items.length;
+  items = items.slice(offset, limit === null ? undefined : offset + limit);
+
+  if (fields.length) {
+    // id always comes along so clients can key what they get back
+    const keep = new Set(["id", ...fields]);
+    items = items.map(ch => Object.fromEntries(Object.entries(ch).filter(([k]) => keep.has(k))));
+  }
+  return { total, items };
+}
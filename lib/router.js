@@ -0,0 +1,107 @@
+// lib/router.js
+// Minimal method + path router for the raw http server.
+// Patterns: "/api/channels/:id" for named segments, a trailing "/*" for the rest of the path.
+
+export function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+export function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+// Read a request body as text, refusing anything larger than `limit` bytes
+export function readBody(req, limit = 1024 * 1024) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(httpError(413, "Body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+export async function readJson(req, limit) {
+  const text = await readBody(req, limit);
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw httpError(400, "Invalid JSON body");
+  }
+}
+
+function compile(pattern) {
+  const keys = [];
+  const source = pattern
+    .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/\/:(\w+)|\/\*$/g, (_, key) => {
+      keys.push(key || "*");
+      return key ? "/([^/]+)" : "(?:/(.*))?";
+    });
+  return { regex: new RegExp(`^${source}/?$`), keys };
+}
+
+export function createRouter() {
+  const routes = [];
+
+  function add(method, pattern, handler) {
+    routes.push({ method, handler, ...compile(pattern) });
+  }
+
+  // Dispatch a request; HEAD is answered by GET handlers. Handlers get
+  // req.params (decoded) and req.query (URLSearchParams).
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    req.pathname = url.pathname;
+    req.query = url.searchParams;
+
+    const allowed = new Set();
+    for (const r of routes) {
+      const m = r.regex.exec(url.pathname);
+      if (!m) continue;
+      if (r.method !== req.method && !(r.method === "GET" && req.method === "HEAD")) {
+        allowed.add(r.method);
+        continue;
+      }
+      try {
+        req.params = {};
+        r.keys.forEach((key, i) => { req.params[key] = decodeURIComponent(m[i + 1] || ""); });
+      } catch (e) {
+        return sendJson(res, 400, { error: "Malformed URL" });
+      }
+      try {
+        return await r.handler(req, res);
+      } catch (e) {
+        const status = e.status || 500;
+        if (status >= 500) console.error(`❌ ${req.method} ${url.pathname}:`, e);
+        if (res.headersSent) return res.destroy();
+        const body = { error: status >= 500 ? "Internal server error" : e.message };
+        if (e.details && status < 500) body.details = e.details;
+        return sendJson(res, status, body);
+      }
+    }
+
+    if (allowed.size) return sendJson(res, 405, { error: "Method not allowed" }, { Allow: [...allowed].join(", ") });
+    sendJson(res, 404, { error: "Not found" });
+  }
+
+  return {
+    get: (pattern, handler) => add("GET", pattern, handler),
+    post: (pattern, handler) => add("POST", pattern, handler),
+    put: (pattern, handler) => add("PUT", pattern, handler),
+    patch: (pattern, handler) => add("PATCH", pattern, handler),
+    delete: (pattern, handler) => add("DELETE", pattern, handler),
+    handle
+  };
+}
@@ -0,0 +1,163 @@
+// lib/sniff.js
+// What kind of stream a URL serves: first from the URL path, then, for URLs that
+// don't say, from a HEAD's Content-Type or the first bytes of a small GET
+// (#EXTM3U, <MPD, an MP4 "ftyp" box, MPEG-TS sync bytes, MP3/AAC frames).
+const SNIFF_BYTES = 4096;
+// Streams that couldn't be sniffed are tried again after this long
+const RETRY_FAILED_MS = 30 * 60 * 1000;
+// Detections are handed over together: when the queue runs dry, or at the
+// latest this long after the first one of a batch
+const BATCH_MS = 5000;
+
+const PROGRESSIVE_EXTENSIONS = ["mp4", "m4v", "m4a", "ts", "webm", "mkv", "mp3", "aac", "ogg", "oga", "opus", "flac"];
+
+// Type from the URL path alone (query string and fragment ignored), or null
+export function typeFromUrl(uri) {
+  let pathname = String(uri || "");
+  try {
+    pathname = new URL(pathname).pathname;
+  } catch (e) {
+    pathname = pathname.split(/[?#]/)[0];
+  }
+  // Smooth Streaming style servers: ".../channel.isml/manifest(format=m3u8-aapl)"
+  const format = (/\(format=([a-z0-9-]+)/i.exec(pathname) || [])[1];
+  if (format) {
+    if (/^m3u8/i.test(format)) return "hls";
+    if (/^mpd/i.test(format)) return "dash";
+  }
+  // last path segment, so ".../live/.mpd" counts too
+  const ext = ((/\.([a-z0-9]+)$/i.exec(pathname) || [])[1] || "").toLowerCase();
+  if (ext === "mpd") return "dash";
+  if (ext === "m3u8" || ext === "m3u") return "hls";
+  if (PROGRESSIVE_EXTENSIONS.includes(ext)) return "progressive";
+  return null;
+}
+
+export function typeFromContentType(value) {
+  const mime = String(value || "").split(";")[0].trim().toLowerCase();
+  if (/^(application|audio)\/(x-)?mpegurl$|^application\/vnd\.apple\.mpegurl$/.test(mime)) return "hls";
+  if (mime === "application/dash+xml") return "dash";
+  if (/^(video|audio)\//.test(mime)) return "progressive";
+  return null;
+}
+
+// First bytes of the response -> type, or null when they don't look like anything we know
+export function typeFromBytes(bytes) {
+  if (!bytes || !bytes.length) return null;
+  const buf = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const text = buf.subarray(0, 1024).toString("utf8").replace(/^\uFEFF/, "").trimStart();
+  if (text.startsWith("#EXTM3U")) return "hls";
+  if (/<MPD[\s>]/.test(text)) return "dash";
+  if (buf.length >= 8 && buf.toString("latin1", 4, 8) === "ftyp") return "progressive";
+  // MPEG-TS packets are 188 bytes and each starts with 0x47
+  if (buf[0] === 0x47 && (buf.length <= 188 || buf[188] === 0x47)) return "progressive";
+  // MP3 with an ID3 tag, or bare MP3/AAC frames (Icecast/Shoutcast radio)
+  if (text.startsWith("ID3") || (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0)) return "progressive";
+  // Ogg, WebM/Matroska
+  if (text.startsWith("OggS") || (buf.length >= 4 && buf.readUInt32BE(0) === 0x1a45dfa3)) return "progressive";
+  return null;
+}
+
+// HEAD first since it's cheap, but plenty of servers answer it wrong or not at
+// all, so anything that isn't clear-cut gets a small GET. Throws on HTTP errors.
+export async function sniffSourceType(uri, { headers = {}, timeoutMs = 8000 } = {}) {
+  try {
+    const head = await fetch(uri, { method: "HEAD", headers, redirect: "follow", signal: AbortSignal.timeout(timeoutMs) });
+    const type = head.ok ? typeFromContentType(head.headers.get("content-type")) : null;
+    if (type) return type;
+  } catch (e) {}
+
+  const res = await fetch(uri, {
+    headers: { ...headers, Range: `bytes=0-${SNIFF_BYTES - 1}` },
+    redirect: "follow",
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (!res.ok) {
+    res.body?.cancel().catch(() => {});
+    throw new Error(`HTTP ${res.status}`);
+  }
+  // one chunk is enough, and live radio would otherwise never end
+  const reader = res.body.getReader();
+  const { value } = await reader.read();
+  reader.cancel().catch(() => {});
+  return typeFromBytes(value) || typeFromContentType(res.headers.get("content-type"));
+}
+
+const streamUri = ch => ch.manifestUri || ch.url || "";
+
+// Background detection with a per-channel cache (dropped when the channel's URL
+// changes). typeOf(ch) answers from the cache; detect(channels) sniffs whatever
+// neither "type" nor the URL explains and calls onDetected([{ id, type }, ...])
+// with each batch of results. `verbose` logs every channel's outcome.
+export function createSourceSniffer({ onDetected = () => {}, concurrency = 2, timeoutMs = 8000, verbose = false } = {}) {
+  const cache = new Map(); // id -> { uri, type, checkedAt }
+  const pending = new Set();
+  const queue = [];
+  const found = [];
+  let active = 0;
+  let batchTimer = null;
+
+  function flush() {
+    clearTimeout(batchTimer);
+    batchTimer = null;
+    if (!found.length) return;
+    try {
+      onDetected(found.splice(0));
+    } catch (e) {
+      console.error(`❌ Source sniffer: ${e.message}`);
+    }
+  }
+
+  function typeOf(ch) {
+    const hit = cache.get(ch.id);
+    return hit && hit.uri === streamUri(ch) ? hit.type : null;
+  }
+
+  function needsSniff(ch) {
+    const uri = streamUri(ch);
+    if (!uri || ch.type || typeFromUrl(uri) || pending.has(ch.id)) return false;
+    const hit = cache.get(ch.id);
+    return !hit || hit.uri !== uri || (!hit.type && Date.now() - hit.checkedAt > RETRY_FAILED_MS);
+  }
+
+  function pump() {
+    while (active < concurrency && queue.length) {
+      const ch = queue.shift();
+      const uri = streamUri(ch);
+      active++;
+      sniffSourceType(uri, { headers: ch.headers || {}, timeoutMs })
+        .catch(e => {
+          const reason = e.name === "TimeoutError" ? `timed out after ${timeoutMs}ms` : e.cause?.code || e.message;
+          if (verbose) console.warn(`⚠️ Could not work out the stream type of ${ch.id}: ${reason}`);
+          return null;
+        })
+        .then(type => {
+          cache.set(ch.id, { uri, type, checkedAt: Date.now() });
+          if (!type) return;
+          if (verbose) console.log(`🔎 ${ch.id} serves ${type}`);
+          found.push({ id: ch.id, type });
+          if (!batchTimer) {
+            batchTimer = setTimeout(flush, BATCH_MS);
+            batchTimer.unref();
+          }
+        })
+        .finally(() => {
+          active--;
+          pending.delete(ch.id);
+          pump();
+          if (!active && !queue.length) flush();
+        });
+    }
+  }
+
+  function detect(channels) {
+    for (const ch of channels) {
+      if (!needsSniff(ch)) continue;
+      pending.add(ch.id);
+      queue.push(ch);
+    }
+    pump();
+  }
+
+  return { typeOf, detect };
+}
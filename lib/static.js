@@ -0,0 +1,191 @@
+// lib/static.js
+// Static files from a single directory: streamed, conditional (ETag/Last-Modified),
+// byte ranges for media, gzip/brotli for text, and nothing outside the root.
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { pipeline } from "stream";
+
+export const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".htm": "text/html; charset=utf-8",
+  ".js": "application/javascript; charset=utf-8",
+  ".mjs": "application/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".map": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".m3u": "audio/x-mpegurl",
+  ".m3u8": "application/vnd.apple.mpegurl",
+  ".mpd": "application/dash+xml",
+  ".vtt": "text/vtt; charset=utf-8",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+  ".mp3": "audio/mpeg",
+  ".aac": "audio/aac",
+  ".m4a": "audio/mp4",
+  ".ogg": "audio/ogg",
+  ".wav": "audio/wav",
+  ".mp4": "video/mp4",
+  ".m4v": "video/mp4",
+  ".webm": "video/webm",
+  ".ts": "video/mp2t"
+};
+
+const COMPRESSIBLE = /^(text\/|application\/(javascript|json|manifest\+json|xml|dash\+xml|vnd\.apple\.mpegurl)|image\/svg\+xml|audio\/x-mpegurl)/;
+const MIN_COMPRESS_BYTES = 1024;
+
+// Revalidate documents and code on every load; media and fonts can sit in cache for a day
+function cacheControl(mime) {
+  return /^(text\/|application\/)/.test(mime) ? "no-cache" : "public, max-age=86400";
+}
+
+// Best encoding the client accepts (q=0 means "not this one")
+function pickEncoding(header) {
+  const accepted = new Map();
+  for (const part of String(header || "").split(",")) {
+    const [name, ...params] = part.trim().toLowerCase().split(";");
+    const q = params.map(p => /^\s*q=([\d.]+)/.exec(p)).find(Boolean);
+    if (name) accepted.set(name, q ? Number(q[1]) : 1);
+  }
+  const ok = name => (accepted.get(name) ?? accepted.get("*") ?? 0) > 0;
+  if (ok("br")) return "br";
+  if (ok("gzip")) return "gzip";
+  return null;
+}
+
+// "bytes=500-999", "bytes=500-", "bytes=-500" -> { start, end }; null = ignore, false = unsatisfiable
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+  if (!m || (m[1] === "" && m[2] === "")) return null;
+  let start, end;
+  if (m[1] === "") {
+    start = Math.max(0, size - Number(m[2]));
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] === "" ? size - 1 : Math.min(Number(m[2]), size - 1);
+  }
+  if (start > end || start >= size) return false;
+  return { start, end };
+}
+
+// Request path -> absolute file path inside root, or null if it escapes or is malformed
+export function resolveInside(root, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (e) {
+    return null;
+  }
+  if (decoded.includes("\0")) return null;
+  const resolved = path.resolve(root, "." + decoded);
+  return resolved === root || resolved.startsWith(root + path.sep) ? resolved : null;
+}
+
+export function createStaticHandler(root, { index = "index.html" } = {}) {
+  root = path.resolve(root);
+
+  function notFound(res) {
+    res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+    res.end("Not Found");
+  }
+
+  return async function serveStatic(req, res, pathname) {
+    let filePath = resolveInside(root, pathname);
+    if (!filePath) {
+      res.writeHead(400, { "Content-Type": "text/plain; charset=utf-8" });
+      return res.end("Bad Request");
+    }
+
+    let stat;
+    try {
+      stat = await fs.promises.stat(filePath);
+      if (stat.isDirectory()) {
+        filePath = path.join(filePath, index);
+        stat = await fs.promises.stat(filePath);
+      }
+    } catch (e) {
+      return notFound(res);
+    }
+    if (!stat.isFile()) return notFound(res);
+
+    const mime = MIME_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream";
+    const tag = `${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}`;
+    const etag = `"${tag}"`;
+    const lastModified = stat.mtime.toUTCString();
+    const headers = {
+      "Content-Type": mime,
+      ETag: etag,
+      "Last-Modified": lastModified,
+      "Cache-Control": cacheControl(mime),
+      "Accept-Ranges": "bytes"
+    };
+
+    // Conditional GET: If-None-Match wins over If-Modified-Since
+    const inm = req.headers["if-none-match"];
+    const ims = req.headers["if-modified-since"];
+    const fresh = inm
+      ? inm.split(",").some(t => t.trim() === "*" || t.trim().replace(/^W\//, "").replace(/-(br|gzip)"$/, '"') === etag)
+      : ims && Date.parse(ims) >= Math.floor(stat.mtimeMs / 1000) * 1000;
+    if (fresh) {
+      res.writeHead(304, { ETag: etag, "Last-Modified": lastModified, "Cache-Control": headers["Cache-Control"] });
+      return res.end();
+    }
+
+    const compressible = COMPRESSIBLE.test(mime) && stat.size >= MIN_COMPRESS_BYTES;
+    if (compressible) headers.Vary = "Accept-Encoding";
+
+    // Byte ranges (seeking in audio/video); If-Range falls back to the whole file when stale
+    const ifRange = req.headers["if-range"];
+    const rangeAllowed = req.headers.range && (!ifRange || ifRange === etag || ifRange === lastModified);
+    const range = rangeAllowed ? parseRange(req.headers.range, stat.size) : null;
+    if (range === false) {
+      res.writeHead(416, { "Content-Range": `bytes */${stat.size}` });
+      return res.end();
+    }
+
+    const encoding = !range && compressible ? pickEncoding(req.headers["accept-encoding"]) : null;
+    let status = 200;
+    let streamOptions;
+    if (range) {
+      status = 206;
+      streamOptions = range;
+      headers["Content-Range"] = `bytes ${range.start}-${range.end}/${stat.size}`;
+      headers["Content-Length"] = range.end - range.start + 1;
+    } else if (encoding) {
+      headers["Content-Encoding"] = encoding;
+      // each encoding is its own representation
+      headers.ETag = `"${tag}-${encoding}"`;
+    } else {
+      headers["Content-Length"] = stat.size;
+    }
+
+    res.writeHead(status, headers);
+    if (req.method === "HEAD") return res.end();
+
+    const stages = [fs.createReadStream(filePath, streamOptions)];
+    if (encoding === "br") {
+      stages.push(zlib.createBrotliCompress({
+        params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5, [zlib.constants.BROTLI_PARAM_SIZE_HINT]: stat.size }
+      }));
+    } else if (encoding === "gzip") {
+      stages.push(zlib.createGzip({ level: 6 }));
+    }
+    pipeline(...stages, res, err => {
+      if (err && err.code !== "ERR_STREAM_PREMATURE_CLOSE") console.error(`❌ Static ${pathname}:`, err.message);
+    });
+  };
+}
@@ -0,0 +1,311 @@
+// lib/validate.js
+// Channel entry checks, shared by the management API and the catalogue lint report.
+import { assignIds, sourceUri } from "./catalogue.js";
+
+// Fields a channel entry may carry; anything else is dropped on write
+export const CHANNEL_FIELDS = ["id", "name", "logo", "category", "url", "manifestUri", "clearKey", "type", "tvgId", "headers", "proxy", "rating", "lcn", "sources"];
+// Fields a backup source may carry (see channelSources() in lib/catalogue.js):
+// the stream goes in url or manifestUri, same as on the channel itself
+export const SOURCE_FIELDS = ["url", "manifestUri", "type", "clearKey", "headers", "priority", "label"];
+
+// Same list the category bar in public/script.js knows how to show
+export const CATEGORIES = [
+  "Local", "Sports", "Kids", "Movies", "Astro", "Music",
+  "Comedy", "Documentary", "News",
+  "Tambay Pelikula", "English Pelikula"
+];
+
+// Content ratings, least to most restricted; parental controls in the player
+// block anything above the chosen level
+export const RATINGS = ["G", "PG", "R-13", "R-16", "R-18"];
+
+const HEX_32 = /^[0-9a-f]{32}$/i;
+
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+const pick = (input, fields) => {
+  const out = {};
+  for (const key of fields) if (input[key] !== undefined) out[key] = input[key];
+  return out;
+};
+
+// Keep only known fields (backup sources included)
+export function pickChannelFields(input) {
+  const out = pick(input, CHANNEL_FIELDS);
+  if (Array.isArray(out.sources)) out.sources = out.sources.map(s => pick(s, SOURCE_FIELDS));
+  return out;
+}
+
+function checkUrl(value, field, fail, warn) {
+  const u = typeof value === "string" ? parseUrl(value) : null;
+  if (!u || (u.protocol !== "http:" && u.protocol !== "https:")) fail(field, `${field} must be an http(s) URL`);
+  else if (u.protocol === "http:") warn(field, `${field} is not HTTPS (mixed content on HTTPS pages)`);
+}
+
+function checkClearKey(value, field, fail, warn) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    fail(field, `${field} must be an object of KID -> key`);
+    return;
+  }
+  if (!Object.keys(value).length) warn(field, `${field} is empty`);
+  for (const [kid, key] of Object.entries(value)) {
+    if (!HEX_32.test(kid)) fail(field, `KID "${kid}" is not 32 hex digits`);
+    if (typeof key !== "string" || !HEX_32.test(key)) fail(field, `Key for KID "${kid}" is not 32 hex digits`);
+  }
+}
+
+function checkHeaders(value, field, fail) {
+  const ok = value && typeof value === "object" && !Array.isArray(value) &&
+    Object.values(value).every(v => typeof v === "string");
+  if (!ok) fail(field, `${field} must be an object of header name -> string`);
+}
+
+const TYPES = ["hls", "dash", "progressive"];
+
+function checkSources(sources, fail, warn) {
+  if (!Array.isArray(sources)) {
+    fail("sources", "sources must be a list");
+    return;
+  }
+  sources.forEach((s, i) => {
+    const field = `sources[${i}]`;
+    if (!s || typeof s !== "object" || Array.isArray(s)) {
+      fail(field, "Source must be an object");
+      return;
+    }
+    if (s.url === undefined && s.manifestUri === undefined) fail(field, "Source needs a url or a manifestUri");
+    else if (s.url !== undefined && s.manifestUri !== undefined) fail(field, "Source has both url and manifestUri; give one");
+    for (const key of ["url", "manifestUri"]) {
+      if (s[key] !== undefined) checkUrl(s[key], `${field}.${key}`, fail, warn);
+    }
+    if (s.type !== undefined && !TYPES.includes(s.type)) fail(`${field}.type`, "type must be hls, dash or progressive");
+    if (s.clearKey !== undefined) checkClearKey(s.clearKey, `${field}.clearKey`, fail, warn);
+    if (s.headers !== undefined) checkHeaders(s.headers, `${field}.headers`, fail);
+    if (s.priority !== undefined && !(Number.isInteger(s.priority) && s.priority >= 0 && s.priority <= 999)) {
+      fail(`${field}.priority`, "priority must be a whole number from 0 to 999");
+    }
+    if (s.label !== undefined && (typeof s.label !== "string" || s.label.length > 40)) {
+      fail(`${field}.label`, "label must be a string of at most 40 characters");
+    }
+  });
+}
+
+// Check one entry on its own. Errors make it unplayable (it gets quarantined),
+// warnings are worth fixing but the entry is still served.
+export function checkChannel(ch) {
+  const errors = [];
+  const warnings = [];
+  const fail = (field, message) => errors.push({ field, message });
+  const warn = (field, message) => warnings.push({ field, message });
+
+  if (!ch || typeof ch !== "object" || Array.isArray(ch)) {
+    fail("", "Channel must be an object");
+    return { errors, warnings };
+  }
+  if (ch.id !== undefined && (typeof ch.id !== "string" || !/^[a-z0-9][a-z0-9_-]*$/i.test(ch.id))) {
+    fail("id", "id may only contain letters, digits, '-' and '_'");
+  }
+  if (typeof ch.name !== "string" || !ch.name.trim()) fail("name", "name is required");
+  if (typeof ch.category !== "string" || !ch.category.trim()) fail("category", "category is required");
+  else if (!CATEGORIES.includes(ch.category)) fail("category", `Unknown category "${ch.category}"`);
+  if (ch.logo !== undefined && typeof ch.logo !== "string") fail("logo", "logo must be a string");
+  else if (!ch.logo) warn("logo", "No logo");
+  else {
+    // logos end up in <img src>, so nothing but http(s)
+    const u = parseUrl(ch.logo);
+    if (!u || (u.protocol !== "http:" && u.protocol !== "https:")) fail("logo", "logo must be an http(s) URL");
+  }
+
+  const hasSources = Array.isArray(ch.sources) && ch.sources.length > 0;
+  if (!ch.url && !ch.manifestUri && !hasSources) fail("url", "Entry has no url, manifestUri or sources");
+  for (const field of ["url", "manifestUri"]) {
+    if (ch[field] !== undefined) checkUrl(ch[field], field, fail, warn);
+  }
+  if (ch.sources !== undefined) checkSources(ch.sources, fail, warn);
+  if (ch.type !== undefined && !TYPES.includes(ch.type)) {
+    fail("type", "type must be hls, dash or progressive");
+  }
+
+  if (ch.tvgId !== undefined && typeof ch.tvgId !== "string") fail("tvgId", "tvgId must be a string");
+  if (ch.proxy !== undefined && typeof ch.proxy !== "boolean") fail("proxy", "proxy must be true or false");
+  if (ch.lcn !== undefined && !(Number.isInteger(ch.lcn) && ch.lcn >= 1 && ch.lcn <= 9999)) fail("lcn", "lcn must be a whole number from 1 to 9999");
+  if (ch.rating !== undefined && !RATINGS.includes(ch.rating)) fail("rating", `rating must be one of ${RATINGS.join(", ")}`);
+  if (ch.headers !== undefined) checkHeaders(ch.headers, "headers", fail);
+
+  if (ch.clearKey !== undefined) checkClearKey(ch.clearKey, "clearKey", fail, warn);
+  return { errors, warnings };
+}
+
+// Errors only, for API input
+export function validateChannelInput(ch) {
+  return checkChannel(ch).errors;
+}
+
+// 1-based line on which each top-level array element starts
+function entryLines(text) {
+  const lines = [];
+  let line = 1, depth = 0, inString = false, escaped = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === "\n") line++;
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (c === "\\") escaped = true;
+      else if (c === '"') inString = false;
+      continue;
+    }
+    if (c === '"') {
+      if (depth === 1) lines.push(line);
+      inString = true;
+    } else if (c === "{" || c === "[") {
+      if (depth === 1) lines.push(line);
+      depth++;
+    } else if (c === "}" || c === "]") {
+      depth--;
+    } else if (depth === 1 && /[-0-9tfn]/.test(c) && !/[-0-9a-z.]/i.test(text[i - 1] || "")) {
+      lines.push(line);
+    }
+  }
+  return lines;
+}
+
+function lineOf(text, position) {
+  return text.slice(0, position).split("\n").length;
+}
+
+// Offset of the first JSON syntax error, for Node versions whose JSON.parse
+// messages no longer say where it is. null when the text parses.
+function jsonErrorOffset(text) {
+  let i = 0;
+  const fail = () => { throw i; };
+  const space = () => { while (i < text.length && " \t\n\r".includes(text[i])) i++; };
+  const expect = c => { if (text[i] !== c) fail(); i++; };
+  const literal = word => { if (!text.startsWith(word, i)) fail(); i += word.length; };
+
+  function string() {
+    expect('"');
+    while (i < text.length) {
+      const c = text[i];
+      if (c === '"') return i++;
+      if (c < " ") fail();
+      if (c !== "\\") { i++; continue; }
+      const escape = text[i + 1] || "";
+      if (escape === "u" && /^[0-9a-f]{4}$/i.test(text.slice(i + 2, i + 6))) i += 6;
+      else if (escape && '"\\/bfnrt'.includes(escape)) i += 2;
+      else { i++; fail(); }
+    }
+    fail();
+  }
+
+  function value() {
+    space();
+    const c = text[i];
+    if (c === "{" || c === "[") {
+      const close = c === "{" ? "}" : "]";
+      i++;
+      space();
+      if (text[i] === close) return i++;
+      for (;;) {
+        if (c === "{") {
+          space();
+          string();
+          space();
+          expect(":");
+        }
+        value();
+        space();
+        if (text[i] === close) return i++;
+        expect(",");
+      }
+    }
+    if (c === '"') return string();
+    if (c === "t" || c === "f" || c === "n") return literal({ t: "true", f: "false", n: "null" }[c]);
+    const number = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/.exec(text.slice(i, i + 64));
+    if (!number) fail();
+    i += number[0].length;
+  }
+
+  try {
+    value();
+    space();
+    if (i < text.length) fail();
+    return null;
+  } catch (pos) {
+    if (typeof pos !== "number") throw pos;
+    return pos;
+  }
+}
+
+// Lint the raw channels.json text. Returns every entry (with ids), the ones safe
+// to serve, and a report with a line reference for each problem entry.
+export function lintCatalogue(text) {
+  const report = { checkedAt: new Date().toISOString(), total: 0, valid: 0, quarantined: 0, warnings: 0, entries: [] };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    const pos = /position (\d+)/.exec(e.message);
+    const offset = pos ? Number(pos[1]) : jsonErrorOffset(text);
+    report.error = { message: e.message, line: offset === null ? null : lineOf(text, offset) };
+    return { channels: [], valid: [], report };
+  }
+  if (!Array.isArray(parsed)) {
+    report.error = { message: "channels.json must be an array", line: 1 };
+    return { channels: [], valid: [], report };
+  }
+
+  const lines = entryLines(text);
+  const isObject = ch => ch && typeof ch === "object" && !Array.isArray(ch);
+  const withIds = assignIds(parsed.filter(isObject));
+  let next = 0;
+  const channels = parsed.map(ch => (isObject(ch) ? withIds[next++] : ch));
+
+  const seenNames = new Map();
+  const seenUrls = new Map();
+  const seenLcns = new Map();
+  const valid = [];
+  report.total = channels.length;
+
+  channels.forEach((ch, index) => {
+    const { errors, warnings } = checkChannel(ch);
+    const line = lines[index] || null;
+
+    if (isObject(ch)) {
+      const nameKey = typeof ch.name === "string" ? ch.name.trim().toLowerCase() : "";
+      if (nameKey) {
+        if (seenNames.has(nameKey)) warnings.push({ field: "name", message: `Duplicate name, first seen on line ${seenNames.get(nameKey)}` });
+        else seenNames.set(nameKey, line);
+      }
+      const sourceUrls = Array.isArray(ch.sources) ? ch.sources.map(s => s && sourceUri(s)) : [];
+      for (const uri of [ch.url, ch.manifestUri, ...sourceUrls]) {
+        if (typeof uri !== "string" || !uri) continue;
+        if (seenUrls.has(uri)) warnings.push({ field: "url", message: `Duplicate URL, first seen on line ${seenUrls.get(uri)}` });
+        else seenUrls.set(uri, line);
+      }
+      if (Number.isInteger(ch.lcn)) {
+        if (seenLcns.has(ch.lcn)) warnings.push({ field: "lcn", message: `Channel number ${ch.lcn} already used on line ${seenLcns.get(ch.lcn)}; this entry gets a free one` });
+        else seenLcns.set(ch.lcn, line);
+      }
+    }
+
+    if (errors.length) report.quarantined++;
+    else valid.push(ch);
+    report.warnings += warnings.length;
+    if (errors.length || warnings.length) {
+      report.entries.push({
+        index, line, id: ch?.id ?? null, name: ch?.name ?? null,
+        status: errors.length ? "quarantined" : "ok",
+        errors, warnings
+      });
+    }
+  });
+  report.valid = valid.length;
+  return { channels, valid, report };
+}
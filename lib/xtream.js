@@ -0,0 +1,166 @@
+// lib/xtream.js
+// The part of the Xtream Codes API that IPTV apps need for live TV, backed by
+// channels.json and a local users file (data/xtream-users.json, managed with
+// scripts/xtream-user.js).
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { DATA_DIR, writeAtomic, sourceType } from "./catalogue.js";
+import { CATEGORIES } from "./validate.js";
+import { verifyPassword } from "./passwords.js";
+
+export const XTREAM_USERS_FILE = path.join(DATA_DIR, "xtream-users.json");
+
+// Apps send credentials on every request; remember good ones for a while so we
+// don't run scrypt each time
+const AUTH_CACHE_MS = 5 * 60 * 1000;
+
+export function readUsers() {
+  if (!fs.existsSync(XTREAM_USERS_FILE)) return [];
+  const parsed = JSON.parse(fs.readFileSync(XTREAM_USERS_FILE, "utf8"));
+  if (!Array.isArray(parsed)) throw new Error("xtream-users.json must be an array");
+  return parsed;
+}
+
+export function writeUsers(list) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  writeAtomic(XTREAM_USERS_FILE, JSON.stringify(list, null, 2) + "\n");
+}
+
+function isActive(user) {
+  if (user.enabled === false) return false;
+  return !user.expiresAt || Date.parse(user.expiresAt) > Date.now();
+}
+
+// loadUsers: where the user records come from (the users file unless a test says otherwise)
+export function createXtreamAuth({ loadUsers = readUsers } = {}) {
+  const cache = new Map();
+
+  // username/password -> user record, or null
+  return function authenticate(username, password) {
+    if (!username || !password) return null;
+    let users;
+    try {
+      users = loadUsers();
+    } catch (e) {
+      console.error(`❌ ${XTREAM_USERS_FILE}: ${e.message}`);
+      return null;
+    }
+    const user = users.find(u => u.username === username);
+    if (!user || !isActive(user)) return null;
+
+    const key = crypto.createHash("sha256").update(`${username}\n${password}\n${user.password}`).digest("hex");
+    const hit = cache.get(key);
+    if (hit && hit > Date.now()) return user;
+    if (!verifyPassword(password, user.password)) return null;
+    cache.set(key, Date.now() + AUTH_CACHE_MS);
+    return user;
+  };
+}
+
+// Xtream apps play HLS (.m3u8) or plain MPEG-TS style streams (.ts); DASH and
+// anything that needs ClearKey licenses stays out of what they're offered
+export function isXtreamPlayable(ch) {
+  if (ch.clearKey && Object.keys(ch.clearKey).length) return false;
+  return sourceType(ch) !== "dash";
+}
+
+// Extension an app asked for -> whether this channel can be served that way
+export function servesFormat(ch, ext) {
+  const type = sourceType(ch);
+  return ext === "m3u8" ? type === "hls" : type === "progressive";
+}
+
+// Xtream ids are numbers. Streams get one derived from the channel id so it stays
+// the same when the list is reordered; categories follow the app's category order.
+export function streamIdOf(channelId) {
+  return parseInt(crypto.createHash("sha1").update(String(channelId)).digest("hex").slice(0, 7), 16);
+}
+
+export function categoryIdOf(category) {
+  const i = CATEGORIES.indexOf(category);
+  return String(i >= 0 ? i + 1 : 1000 + (streamIdOf(category) % 1000));
+}
+
+export function liveCategories(channels) {
+  const present = new Set(channels.map(ch => ch.category));
+  const ordered = [...CATEGORIES.filter(c => present.has(c)), ...[...present].filter(c => !CATEGORIES.includes(c))];
+  return ordered.map(name => ({ category_id: categoryIdOf(name), category_name: name, parent_id: 0 }));
+}
+
+export function liveStreams(channels, { categoryId } = {}) {
+  return channels
+    .map((ch, i) => ({
+      num: ch.lcn || i + 1,
+      name: ch.name,
+      stream_type: "live",
+      stream_id: streamIdOf(ch.id),
+      stream_icon: ch.logo || "",
+      epg_channel_id: ch.tvgId || ch.id,
+      added: "0",
+      is_adult: ch.rating === "R-18" ? "1" : "0",
+      category_id: categoryIdOf(ch.category),
+      category_ids: [Number(categoryIdOf(ch.category))],
+      custom_sid: "",
+      tv_archive: 0,
+      direct_source: "",
+      tv_archive_duration: 0
+    }))
+    .filter(s => !categoryId || s.category_id === String(categoryId));
+}
+
+export function findByStreamId(channels, streamId) {
+  const id = Number(streamId);
+  return channels.find(ch => streamIdOf(ch.id) === id) || null;
+}
+
+// The login answer apps show on their account screen
+export function accountInfo(user, password, { origin }) {
+  const url = new URL(origin);
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    user_info: {
+      username: user.username,
+      password,
+      message: "",
+      auth: 1,
+      status: "Active",
+      exp_date: user.expiresAt ? String(Math.floor(Date.parse(user.expiresAt) / 1000)) : null,
+      is_trial: "0",
+      active_cons: "0",
+      created_at: user.createdAt ? String(Math.floor(Date.parse(user.createdAt) / 1000)) : String(now),
+      max_connections: String(user.maxConnections || 1),
+      allowed_output_formats: ["m3u8", "ts"]
+    },
+    server_info: {
+      url: url.hostname,
+      port: url.port || (url.protocol === "https:" ? "443" : "80"),
+      https_port: url.protocol === "https:" ? url.port || "443" : "",
+      server_protocol: url.protocol.replace(":", ""),
+      rtmp_port: "",
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC",
+      timestamp_now: now,
+      time_now: new Date().toISOString().replace("T", " ").slice(0, 19)
+    }
+  };
+}
+
+// get_short_epg: titles and descriptions are base64 in the Xtream format
+export function shortEpg(programmes, channelId, limit) {
+  const b64 = text => Buffer.from(String(text || ""), "utf8").toString("base64");
+  const sec = iso => Math.floor(Date.parse(iso) / 1000);
+  return {
+    epg_listings: (programmes || []).slice(0, limit).map((p, i) => ({
+      id: String(i + 1),
+      epg_id: String(i + 1),
+      title: b64(p.title),
+      lang: "",
+      start: p.start.replace("T", " ").slice(0, 19),
+      end: p.stop.replace("T", " ").slice(0, 19),
+      description: b64(p.desc),
+      channel_id: channelId,
+      start_timestamp: String(sec(p.start)),
+      stop_timestamp: String(sec(p.stop))
+    }))
+  };
+}
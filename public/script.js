@@ -1,6 +1,5 @@
 
 
-    const player = new shaka.Player(document.getElementById('video'));
     const video = document.getElementById('video');
     const playPauseBtn = document.getElementById('playPauseBtn');
     const volumeIcon = document.getElementById('volumeIcon');
@@ -118,12 +117,6 @@ window.addEventListener('orientationchange', setMediumBodyHeight);
 // ==== Ultimate IPTV Streaming Manager (Full Integrated) ====
 
 // --- Global state & constants ---
-let shakaPlayer = null;
-let currentHls = null;
-let videoElement = null;
-let channelList = []; // populate your channels here
-let retryCount = 0;
-const maxRetries = 12;
 let lastBandwidthEstimate = 10;
 let lastQualityChange = 0;
 const qualityChangeCooldown = 3500;
@@ -236,665 +229,741 @@ window.addEventListener('orientationchange', setMediumPageHeight);
 
 
 
-  class UltraSuperSonicIPTVEngineOptimized {
-    constructor(channels, videoEl, opts = {}) {
-        if (!videoEl) throw new Error("Video element required");
-        this.video = videoEl;
-        this._monitoringRAF = null;
-        this._resizeObserver = new ResizeObserver(() => this._resizeCanvas());
-        this._resizeObserver.observe(this.video);
-
-        // ---------- NEW: Device capability detection ----------
-        this.deviceMemory = navigator.deviceMemory || 4; // GB estimate fallback
-        this.cpuCores = navigator.hardwareConcurrency || 2;
-        this.isLowEnd = (this.deviceMemory <= 2 || this.cpuCores <= 2);
-
-        // ---------- Core flags & tuning ----------
-        this._maxConcurrentPreloads = opts.maxConcurrentPreloads || 12;
-        this.parallelStreams = opts.parallelStreams || 16;
-        this.qualityBlendLevels = opts.qualityBlendLevels || 8;
-        this.superSonicMode = opts.superSonicMode !== false;
-        this.turboMode = opts.turboMode !== false;
-
-        // ---------- Infinite-buffer & safety options ----------
-        this.config = Object.assign({
-            PRELOAD_LIMIT: opts.PRELOAD_LIMIT || 50,
-            BUFFER_HEALTH_THRESHOLD: opts.BUFFER_HEALTH_THRESHOLD || 2,
-            HEAL_INTERVAL: opts.HEAL_INTERVAL || 25,
-            MAX_PRELOAD_CACHE: opts.MAX_PRELOAD_CACHE || 120,
-            PRELOAD_ON_ZAP: opts.PRELOAD_ON_ZAP !== false,
-            AUTO_QUALITY_ADJUST: opts.AUTO_QUALITY_ADJUST !== false,
-            FAILOVER_MAX_ATTEMPTS: opts.FAILOVER_MAX_ATTEMPTS || 5,
-            MULTI_QUALITY_PRELOAD: opts.MULTI_QUALITY_PRELOAD !== false,
-            MAX_PRELOAD_QUALITIES_PER_CHANNEL: opts.MAX_PRELOAD_QUALITIES_PER_CHANNEL || 3,
-            // NEW:
-            INFINITY_BUFFER_ENABLED: !!opts.INFINITY_BUFFER_ENABLED,
-            INFINITY_MAX_SECONDS: opts.INFINITY_MAX_SECONDS || (this.isLowEnd ? 120 : 1200), // target buffer seconds
-            INFINITY_DATA_BUDGET_BYTES: opts.INFINITY_DATA_BUDGET_BYTES || (this.isLowEnd ? 50 * 1024 * 1024 : 400 * 1024 * 1024), // 50MB low-end, 400MB otherwise
-            INFINITY_LOWBITRATE_PREFERENCE: opts.INFINITY_LOWBITRATE_PREFERENCE !== false,
-            THROUGHPUT_EPMA_ALPHA: 0.2, // EWMA alpha for throughput estimator
-            THROUGHPUT_SAMPLE_BYTES: 64 * 1024 // fetch first 64KB to estimate
-        }, opts);
-
-        this.channels = (channels || []).map(ch => {
-            if (!ch.url && !ch.qualities) ch.qualities = { '480p': [] };
-            else if (ch.url && !ch.qualities) ch.qualities = { '480p': [ch.url] };
-            return ch;
-        });
+// ------ PlaybackController ------
+// Owns one <video>: picks Shaka (DASH), hls.js (HLS) or the browser itself
+// (progressive files, HLS on Safari) from channel.source.type, and reports what
+// happens through events so nothing else has to reach into the engines.
+const PLAYBACK_EVENTS = ['ready', 'error', 'stats', 'qualitychange', 'stall'];
+const PLAYBACK_STATS_MS = 5000;
+const STALL_CHECK_MS = 2500;
+const STALL_CHECKS = 6; // ~15s without progress
+const LIVE_EDGE_OFFSET_S = 3;
+
+function playbackBackendFor(source) {
+  if (source.type === 'dash') return typeof shaka !== 'undefined' && shaka.Player.isBrowserSupported() ? 'shaka' : null;
+  if (source.type === 'hls') return typeof Hls !== 'undefined' && Hls.isSupported() ? 'hls' : 'native';
+  if (source.type === 'progressive') return 'native';
+  return null;
+}
+
+// Height/bitrate window for Shaka: the allowed tiers, topped at the cap tier
+function tierRestrictions(allowed, capKey) {
+  const keys = QUALITY_TIERS.map(t => t.key);
+  const picked = allowed.map(k => keys.indexOf(k)).filter(i => i >= 0).sort((a, b) => a - b);
+  const low = picked.length ? picked[0] : 0;
+  let high = picked.length ? picked[picked.length - 1] : keys.length - 1;
+  if (capKey && keys.includes(capKey)) high = Math.max(low, Math.min(high, keys.indexOf(capKey)));
+  return {
+    minHeight: low > 0 ? QUALITY_TIERS[low - 1].maxHeight + 1 : 0,
+    maxHeight: QUALITY_TIERS[high].maxHeight,
+    maxBandwidth: QUALITY_TIERS[high].maxBitrate
+  };
+}
 
-        // ---------- runtime state ----------
-        this.currentIndex = 0;
-        this.bufferHealth = 0;
-        this._blendedVideos = [];
-        this._freezePredictor = null;
-        this._destroyed = false;
+// preview: lowest rendition, short buffers, no stats or stall checks (thumbnails)
+function createPlaybackController(video, { preview = false } = {}) {
+  const listeners = new Map(PLAYBACK_EVENTS.map(type => [type, new Set()]));
+  const allowedTiers = []; // filled by setTiers; enforceHlsTierSwitching keeps reading this array
+  let capTier = null;
+  let backend = null;
+  let channel = null;
+  let source = null;
+  let hls = null;
+  let dash = null;
+  let teardown = Promise.resolve();
+  let session = 0; // bumped by every load/stop so late callbacks from an old stream are dropped
+  let settle = null;
+  let statsTimer = null;
+  let stallTimer = null;
+
+  function emit(type, detail) {
+    for (const fn of listeners.get(type)) {
+      try { fn(detail); } catch (e) { console.warn(`Playback ${type} listener failed`, e); }
+    }
+  }
 
-        this.preloadCache = new Map(); // key -> {els: [video], lastUsedAt, totalBytes}
-        this.failedServers = new Map();
-        this._failoverAttempts = new Map();
-        this.userHistory = JSON.parse(localStorage.getItem('zapHistory') || '[]');
+  function on(type, fn) {
+    if (!listeners.has(type)) throw new Error(`Unknown playback event "${type}" (expected ${PLAYBACK_EVENTS.join(', ')})`);
+    listeners.get(type).add(fn);
+    return () => off(type, fn);
+  }
 
-        // throughput estimator (bytes/sec) - EWMA
-        this.throughputEWMA = null;
+  function off(type, fn) {
+    listeners.get(type)?.delete(fn);
+  }
 
-        this._initOverlay();
-        this._setupFailover();
+  function fail(token, fatal, message, error) {
+    if (token !== session) return;
+    emit('error', { channel, backend, fatal, message, error });
+    if (fatal && settle) { settle(false); settle = null; }
+  }
 
-        if (this.superSonicMode) this.enableSuperSonicMode();
-        this._startMonitoring();
+  function ready(token) {
+    if (token !== session) return;
+    video.play().catch(() => {});
+    emit('ready', { channel, backend });
+    if (!preview) {
+      statsTimer = setInterval(() => emit('stats', stats()), PLAYBACK_STATS_MS);
+      watchStalls(token);
+    }
+    if (settle) { settle(true); settle = null; }
+  }
 
-        if (this.channels.length > 0) this.playChannelSafe(0);
-        window.addEventListener('resize', () => this._resizeCanvas());
+  function emitQuality(token) {
+    if (token !== session) return;
+    const q = getQuality();
+    emit('qualitychange', { channel, ...q });
+  }
 
-        // periodic maintenance
-        setInterval(() => { if (!this._destroyed) this._ensurePreloadLimit(); }, 5 * 60 * 1000);
+  // No progress with an empty buffer for STALL_CHECKS checks in a row; a paused video isn't a stall
+  function watchStalls(token) {
+    let lastTime = video.currentTime;
+    let stuck = 0;
+    stallTimer = setInterval(() => {
+      if (token !== session || video.paused || video.readyState < 1) { stuck = 0; return; }
+      const bufferedEnd = video.buffered.length ? video.buffered.end(video.buffered.length - 1) : 0;
+      const moved = Math.abs(video.currentTime - lastTime) >= 0.1;
+      lastTime = video.currentTime;
+      if (moved || bufferedEnd - video.currentTime >= 0.5) { stuck = 0; return; }
+      if (++stuck >= STALL_CHECKS) {
+        stuck = 0;
+        emit('stall', { channel, backend, seconds: STALL_CHECKS * STALL_CHECK_MS / 1000 });
+      }
+    }, STALL_CHECK_MS);
+  }
 
-        // Aggressive infinite-buffer fill if configured
-        if (this.config.INFINITY_BUFFER_ENABLED) {
-            // attempt to start a measured fill
-            this._attemptInfinityBufferFill().catch(()=>{});
-        }
+  function applyTiers() {
+    if (preview) return;
+    const cap = capTier || allowedTiers[allowedTiers.length - 1] || QUALITY_TIERS[QUALITY_TIERS.length - 1].key;
+    if (hls && hls.levels?.length) {
+      const level = chooseHlsLevelByTier(hls, cap);
+      hls.autoLevelCapping = level;
+      if (hls.currentLevel > level) hls.nextLevel = level;
     }
+    if (dash) dash.configure({ abr: { restrictions: tierRestrictions(allowedTiers, capTier) } });
+  }
 
-    // ---------------- SuperSonic + Turbo Adaptive ----------------
-    enableSuperSonicMode() {
-        if (this._freezePredictor) return;
-        console.log("⚡ Ultra Super Sonic Mode Activated");
-        this._freezePredictor = setInterval(() => {
-            if (!this.video) return;
-            // auto-detect heavy streams and react
-            this._detectHeavyStreamAndReact();
-            if (this.bufferHealth < this.config.BUFFER_HEALTH_THRESHOLD + 5) this._autoQualitySwitch();
-            this._predictivePreloadNextChannels();
-            this._blendStreamsAdaptive();
-        }, Math.max(15, this.config.HEAL_INTERVAL));
-        this._initCanvasPiP();
-    }
+  // allowed: tier keys the user accepts; cap: highest tier the connection gets right now (null = no cap)
+  function setTiers(allowed, cap = null) {
+    const valid = (allowed || []).filter(k => QUALITY_TIERS.some(t => t.key === k));
+    allowedTiers.splice(0, allowedTiers.length, ...(valid.length ? valid : QUALITY_TIERS.map(t => t.key)));
+    capTier = cap;
+    applyTiers();
+  }
 
-    disableSuperSonicMode() {
-        if (!this._freezePredictor) return;
-        clearInterval(this._freezePredictor);
-        this._freezePredictor = null;
-        console.log("🛑 Ultra Super Sonic Mode Deactivated");
+  // source: which of the channel's sources to play (default channel.source)
+  async function load(next, { source: chosen } = {}) {
+    stop();
+    const token = session;
+    channel = next;
+    source = chosen || next.source || {};
+    const result = new Promise(resolve => { settle = resolve; });
+    await teardown;
+    if (token !== session) return false;
+    backend = playbackBackendFor(source);
+    if (!backend || !source.uri) {
+      fail(token, true, `Can't play ${source.type || 'unknown'} streams in this browser`);
+      return result;
     }
 
-    // ----------------- NEW: Heavy-stream detection & reaction -----------------
-    async _measureThroughputProbe(url) {
-        // Try to GET a small range to estimate throughput. Servers might not allow it; handle gracefully.
-        try {
-            const controller = new AbortController();
-            const rangeBytes = this.config.THROUGHPUT_SAMPLE_BYTES;
-            const headers = { Range: `bytes=0-${rangeBytes - 1}` };
-            const t0 = performance.now();
-            const res = await fetch(url, { headers, signal: controller.signal, cache: "no-store" });
-            if (!res.ok || !res.body) return null;
-            // read stream to measure actual bytes
-            const reader = res.body.getReader();
-            let total = 0;
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-                total += value.byteLength;
-                if (total >= rangeBytes) break;
-            }
-            const t1 = performance.now();
-            const seconds = Math.max((t1 - t0) / 1000, 0.001);
-            return total / seconds; // bytes/sec
-        } catch (e) {
-            return null;
+    try {
+      if (backend === 'shaka') {
+        dash = new shaka.Player(video);
+        const config = { streaming: { lowLatencyMode: !preview, jumpLargeGaps: true }, abr: { enabled: true } };
+        if (preview) {
+          config.streaming.bufferingGoal = 4;
+          config.abr.restrictions = { maxHeight: 360 };
         }
+        // keys stay on the server; the CDM asks the license URI for just the KIDs it needs
+        if (source.drm) config.drm = { servers: { [source.drm.keySystem]: source.drm.licenseUri } };
+        dash.configure(config);
+        applyTiers();
+        dash.addEventListener('error', e => fail(token, e.detail?.severity === shaka.util.Error.Severity.CRITICAL, `Shaka error ${e.detail?.code}`, e.detail));
+        dash.addEventListener('variantchanged', () => emitQuality(token));
+        dash.addEventListener('adaptation', () => emitQuality(token));
+        await dash.load(source.uri);
+        ready(token);
+      } else if (backend === 'hls') {
+        const instance = hls = new Hls(preview
+          ? { startLevel: 0, maxBufferLength: 4, maxMaxBufferLength: 4, enableWorker: true }
+          : { enableWorker: true, lowLatencyMode: true });
+        instance.attachMedia(video);
+        instance.on(Hls.Events.MEDIA_ATTACHED, () => instance.loadSource(source.uri));
+        instance.on(Hls.Events.MANIFEST_PARSED, () => {
+          if (preview) { instance.autoLevelCapping = 0; instance.currentLevel = 0; }
+          applyTiers();
+          ready(token);
+        });
+        instance.on(Hls.Events.LEVEL_SWITCHED, () => emitQuality(token));
+        instance.on(Hls.Events.ERROR, (event, data) => { if (data.fatal) fail(token, true, `HLS ${data.details}`, data); });
+        if (!preview) enforceHlsTierSwitching(instance, allowedTiers);
+      } else {
+        video.addEventListener('loadedmetadata', () => ready(token), { once: true });
+        video.src = source.uri;
+      }
+    } catch (err) {
+      fail(token, true, err?.message || String(err), err);
     }
+    return result;
+  }
 
-    _updateThroughputEstimate(sample) {
-        if (!sample || sample <= 0) return;
-        if (!this.throughputEWMA) this.throughputEWMA = sample;
-        else this.throughputEWMA = this.config.THROUGHPUT_EPMA_ALPHA * sample + (1 - this.config.THROUGHPUT_EPMA_ALPHA) * this.throughputEWMA;
-    }
-
-    async _detectHeavyStreamAndReact() {
-        // Gather metrics
-        try {
-            const quality = this.video.getVideoPlaybackQuality ? this.video.getVideoPlaybackQuality() : null;
-            const dropped = quality ? (quality.droppedVideoFrames || 0) : (this.video.webkitDroppedFrameCount || 0);
-            // Buffer health is already tracked by monitor
-            const buffer = this.bufferHealth || 0;
-
-            // Sample throughput from current stream (non-blocking if already running)
-            if (!this._throughputProbeRunning && this.video.currentSrc) {
-                this._throughputProbeRunning = true;
-                this._measureThroughputProbe(this.video.currentSrc).then(sample => {
-                    if (sample) this._updateThroughputEstimate(sample);
-                }).finally(() => { this._throughputProbeRunning = false; });
-            }
-
-            // Heuristics
-            const lowThroughput = this.throughputEWMA ? (this.throughputEWMA < (200 * 1024)) : false; // <200kb/s indicates problem
-            const lotsDropped = dropped && dropped > 5;
-            const lowBuffer = buffer < Math.max(1, this.config.BUFFER_HEALTH_THRESHOLD);
-
-            // If we detect 'heavy stream' symptoms, react:
-            if (lowThroughput || lotsDropped || lowBuffer) {
-                // Throttle heavy visual work
-                if (this.isLowEnd || lowThroughput) {
-                    this._reduceVisualWorkForLowEnd();
-                }
-                // Force quality down to the nearest low-bitrate
-                this._forceLowerQualityForStability();
-                // Try to extend buffer using low-bitrate preloads if infinity enabled or allowed
-                if (this.config.INFINITY_BUFFER_ENABLED) {
-                    this._attemptInfinityBufferFill().catch(()=>{});
-                } else {
-                    // increase preloads for low bitrate variants temporarily
-                    this._preloadLowBitratesForCurrentChannel(Math.min(6, this._maxConcurrentPreloads));
-                }
-            } else {
-                // healthy - if we previously reduced visuals, restore blended behavior
-                if (!this.isLowEnd) this._maybeRestoreVisuals();
-            }
-        } catch (e) { /* defensive */ }
-    }
+  function stop() {
+    session++;
+    clearInterval(statsTimer);
+    clearInterval(stallTimer);
+    statsTimer = stallTimer = null;
+    if (settle) { settle(false); settle = null; }
+    if (hls) { try { hls.destroy(); } catch (e) {} hls = null; }
+    if (dash) { teardown = dash.destroy().catch(() => {}); dash = null; }
+    video.pause();
+    video.removeAttribute('src');
+    video.load();
+    backend = null;
+    channel = null;
+    source = null;
+  }
 
-    _reduceVisualWorkForLowEnd() {
-        // Reduce blending, stop canvas draws, etc.
-        try {
-            if (this._canvas) {
-                // Lower update frequency by swapping to interval draw or hiding canvas
-                if (!this._lowPowerCanvas) {
-                    this._lowPowerCanvas = true;
-                    this._ctx && (this._ctx.globalAlpha = 1);
-                    // hide canvas to avoid expensive drawImage if truly low-end
-                    this._canvas.style.visibility = 'hidden';
-                    console.log("🔧 Reduced visual work for low-end device");
-                }
-            }
-            // Stop creating many blended videos
-            this.qualityBlendLevels = Math.max(1, Math.min(this.qualityBlendLevels, 2));
-            this.parallelStreams = Math.max(1, Math.min(this.parallelStreams, 3));
-        } catch { }
-    }
+  // Jump to the live edge (or just past the hole for VOD) and carry on without reloading
+  function seekToLiveEdge() {
+    let edge = null;
+    if (dash && dash.isLive()) edge = dash.seekRange().end - LIVE_EDGE_OFFSET_S;
+    else if (hls && Number.isFinite(hls.liveSyncPosition)) edge = hls.liveSyncPosition;
+    else if (video.duration === Infinity && video.seekable.length) edge = video.seekable.end(video.seekable.length - 1) - LIVE_EDGE_OFFSET_S;
+    if (hls) hls.startLoad();
+    video.currentTime = Number.isFinite(edge) ? Math.max(0, edge) : video.currentTime + 0.5;
+    video.play().catch(() => {});
+  }
 
-    _maybeRestoreVisuals() {
-        try {
-            if (this._canvas && this._lowPowerCanvas) {
-                this._lowPowerCanvas = false;
-                this._canvas.style.visibility = 'visible';
-                console.log("🔧 Restored visuals after stable conditions");
-            }
-            // restore some defaults if turbo allowed
-            this.qualityBlendLevels = Math.min(this.qualityBlendLevels, 8);
-            this.parallelStreams = Math.max(this.parallelStreams, 4);
-        } catch { }
-    }
+  // The browser's own player only reports errors through the element
+  video.addEventListener('error', () => {
+    if (backend === 'native') fail(session, true, video.error?.message || 'Media error', video.error);
+  });
+  video.addEventListener('resize', () => { if (backend === 'native') emitQuality(session); });
+
+  function getQualities() {
+    let list = [];
+    if (dash) {
+      list = dash.getVariantTracks().filter(t => t.height).map(t => ({ height: t.height, bitrate: t.bandwidth, frameRate: t.frameRate || null, active: t.active }));
+    } else if (hls) {
+      list = hls.levels.map((l, i) => ({ height: l.height, bitrate: l.bitrate, frameRate: parseFloat(l.attrs?.['FRAME-RATE']) || null, active: i === hls.currentLevel }));
+    }
+    // one entry per height, the best bitrate of each
+    const byHeight = new Map();
+    for (const q of list.filter(q => q.height)) {
+      const seen = byHeight.get(q.height);
+      if (!seen || q.bitrate > seen.bitrate) byHeight.set(q.height, { ...q, active: q.active || !!seen?.active });
+      else if (q.active) seen.active = true;
+    }
+    return [...byHeight.values()].sort((a, b) => b.height - a.height);
+  }
 
-    _forceLowerQualityForStability() {
-        try {
-            const ch = this.channels[this.currentIndex];
-            if (!ch) return;
-            const quals = this.chooseQualities(ch);
-            if (!quals.length) return;
-            const lowest = quals[quals.length - 1];
-            const currentQuality = this._currentForcedQuality;
-            if (currentQuality !== lowest) {
-                console.log(`⬇️ Forcing lower quality (${lowest}) for stability`);
-                this._currentForcedQuality = lowest;
-                const cached = this._getCachedUrlFor(this.currentIndex, lowest);
-                if (cached && this.video.src !== cached) { this.video.src = cached; this._safePlay(); }
-                else {
-                    const urls = this.getBestStreams(ch, lowest);
-                    if (urls.length && this.video.src !== urls[0]) { this.video.src = urls[0]; this._safePlay(); }
-                }
-            }
-        } catch { }
+  // { auto, height, bitrate } for what is on screen now
+  function getQuality() {
+    if (dash) {
+      const active = dash.getVariantTracks().find(t => t.active);
+      return { auto: dash.getConfiguration().abr.enabled, height: active?.height || null, bitrate: active?.bandwidth || null };
     }
-
-    // ----------------- NEW: Infinity buffer fill (best effort) -----------------
-    async _attemptInfinityBufferFill() {
-        if (this._infinityFilling) return;
-        if (!this.config.INFINITY_BUFFER_ENABLED) return;
-        this._infinityFilling = true;
-        try {
-            const ch = this.channels[this.currentIndex];
-            if (!ch) return;
-            // choose low-bitrate qualities preferentially
-            const quals = this.chooseQualities(ch).slice().reverse(); // low->high
-            let bytesUsed = this._calculatePreloadedBytesForChannel(this.currentIndex);
-            const budget = this.config.INFINITY_DATA_BUDGET_BYTES;
-            const targetSeconds = this.config.INFINITY_MAX_SECONDS;
-
-            for (const q of quals) {
-                if (bytesUsed >= budget) break;
-                const urls = this.getBestStreams(ch, q);
-                if (!urls || !urls.length) continue;
-                // precreate many hidden video preloaders of low bitrate to accumulate buffer seconds
-                // but cap concurrency & memory based on device
-                const concurrency = Math.max(1, Math.min(6, Math.floor((this.deviceMemory || 2) * 1.5)));
-                for (let i = 0; i < concurrency && bytesUsed < budget; i++) {
-                    // If we already have a ready cached element for this quality, skip new creation
-                    const key = this._makePreloadKey(this.currentIndex, q);
-                    if (this.preloadCache.has(key) && this.preloadCache.get(key).els && this.preloadCache.get(key).els[0] && this.preloadCache.get(key).els[0].readyState >= 2) {
-                        // already cached
-                        break;
-                    }
-                    // create preload - this avoids re-downloading if same URL used
-                    try {
-                        await this._createPreloadForAsync(this.currentIndex, q, urls[0]);
-                        bytesUsed = this._calculatePreloadedBytesForChannel(this.currentIndex);
-                    } catch (e) { break; }
-                }
-                // heuristically stop once we think we have enough buffer seconds
-                const approxSec = this._approximateBufferedSecondsForChannel(this.currentIndex);
-                if (approxSec >= targetSeconds) break;
-            }
-            console.log("♾️ Infinity fill attempt complete (best-effort)", { bytesUsed, budget });
-        } catch (e) { console.warn("Infinity fill failed:", e); }
-        this._infinityFilling = false;
+    if (hls) {
+      const level = hls.levels[hls.currentLevel];
+      return { auto: hls.autoLevelEnabled, height: level?.height || null, bitrate: level?.bitrate || null };
     }
+    return { auto: true, height: video.videoHeight || null, bitrate: null };
+  }
 
-    _calculatePreloadedBytesForChannel(idx) {
-        let total = 0;
-        for (const [k, v] of this.preloadCache.entries()) {
-            if (!k.startsWith(`ch${idx}_`)) continue;
-            total += (v.totalBytes || 0);
-        }
-        return total;
+  // 'auto' or a height from getQualities()
+  function setQuality(choice) {
+    if (dash) {
+      if (choice === 'auto') {
+        dash.configure({ abr: { enabled: true } });
+      } else {
+        const tracks = dash.getVariantTracks().filter(t => t.height === choice).sort((a, b) => b.bandwidth - a.bandwidth);
+        if (!tracks.length) return false;
+        dash.configure({ abr: { enabled: false } });
+        dash.selectVariantTrack(tracks[0], true);
+      }
+    } else if (hls) {
+      if (choice === 'auto') {
+        hls.currentLevel = -1;
+      } else {
+        let best = -1;
+        hls.levels.forEach((l, i) => { if (l.height === choice && (best < 0 || l.bitrate > hls.levels[best].bitrate)) best = i; });
+        if (best < 0) return false;
+        hls.currentLevel = best;
+      }
+    } else {
+      return false;
     }
+    emitQuality(session);
+    return true;
+  }
 
-    _approximateBufferedSecondsForChannel(idx) {
-        // crude estimate: bufferedSeconds = totalBytes / throughput
-        const bytes = this._calculatePreloadedBytesForChannel(idx);
-        const throughput = Math.max(1, (this.throughputEWMA || (300 * 1024))); // bytes/sec
-        return Math.floor(bytes / throughput);
+  // [{ lang, label, active }], one per language
+  function getAudioTracks() {
+    if (dash) {
+      const active = dash.getVariantTracks().find(t => t.active)?.audioLanguage;
+      const langs = [...new Set(dash.getVariantTracks().map(t => t.audioLanguage).filter(Boolean))];
+      return langs.map(lang => ({ lang, label: lang.toUpperCase(), active: lang === active }));
+    }
+    if (hls) {
+      const seen = new Map();
+      (hls.audioTracks || []).forEach((t, i) => {
+        const lang = t.lang || t.name;
+        if (lang && !seen.has(lang)) seen.set(lang, { lang, label: (t.lang || t.name).toUpperCase(), active: false });
+        if (lang && i === hls.audioTrack) seen.get(lang).active = true;
+      });
+      return [...seen.values()];
     }
+    return [...(video.audioTracks || [])].filter(t => t.language).map(t => ({ lang: t.language, label: t.language.toUpperCase(), active: t.enabled }));
+  }
 
-    _createPreloadFor(idx, quality, url) {
-        // keep backward-compat synchronous interface: schedule creation
-        setTimeout(() => this._createPreloadForAsync(idx, quality, url).catch(()=>{}), 0);
+  function setAudioTrack(lang) {
+    if (dash) return dash.selectAudioLanguage(lang);
+    if (hls) {
+      const index = (hls.audioTracks || []).findIndex(t => (t.lang || t.name) === lang);
+      if (index !== -1) hls.audioTrack = index;
+      return;
     }
+    [...(video.audioTracks || [])].forEach(t => { t.enabled = t.language === lang; });
+  }
 
-    async _createPreloadForAsync(idx, quality, url) {
-        if (this._destroyed) return;
-        const key = this._makePreloadKey(idx, quality);
-        if (this.preloadCache.has(key)) { this.preloadCache.get(key).lastUsedAt = Date.now(); return; }
-        const v = document.createElement('video');
-        v.src = url;
-        v.muted = true; v.playsInline = true; v.preload = 'auto';
-        v.style.display = 'none';
-        // To estimate size, attempt to fetch small portion of stream to measure bytes
-        let totalBytes = 0;
-        try {
-            // append to body then try to start load
-            document.body.appendChild(v);
-            // try to play briefly to encourage browser to load; browsers may limit autoplay
-            v.play().catch(()=>{});
-            // when metadata available, try to read network info via Resource Timing if possible
-            v.addEventListener('loadeddata', () => { /* no-op */ }, { once: true });
-            // we keep the video element as preload cache
-        } catch (e) { }
-        this.preloadCache.set(key, { els: [v], lastUsedAt: Date.now(), totalBytes });
-        this._ensurePreloadLimit();
-    }
+  // hls.js and the browser put subtitles on video.textTracks; Shaka keeps its own list
+  const elementTextTracks = () => [...video.textTracks].filter(t => t.language && (t.kind === 'subtitles' || t.kind === 'captions'));
 
-    _preloadLowBitratesForCurrentChannel(count = 6) {
-        const ch = this.channels[this.currentIndex];
-        if (!ch) return;
-        const quals = this.chooseQualities(ch).slice().reverse(); // low->high
-        let c = 0;
-        for (const q of quals) {
-            if (c >= count) break;
-            const urls = this.getBestStreams(ch, q);
-            if (!urls.length) continue;
-            this._createPreloadFor(this.currentIndex, q, urls[0]);
-            c++;
-        }
+  function getTextTracks() {
+    const seen = new Map();
+    if (dash) {
+      const visible = dash.isTextTrackVisible();
+      dash.getTextTracks().forEach(t => {
+        if (!seen.has(t.language)) seen.set(t.language, { lang: t.language, label: t.language.toUpperCase(), active: false });
+        if (t.active && visible) seen.get(t.language).active = true;
+      });
+    } else {
+      elementTextTracks().forEach(t => {
+        if (!seen.has(t.language)) seen.set(t.language, { lang: t.language, label: t.language.toUpperCase(), active: false });
+        if (t.mode === 'showing') seen.get(t.language).active = true;
+      });
     }
+    return [...seen.values()];
+  }
 
-    // ---------------- Blend / PiP improvements (optimize for low-end) ----------------
-    _blendStreamsAdaptive() {
-        if (!this._canvas || !this._blendedVideos.length) return;
-        const buffer = this.bufferHealth;
-        // fewer streams for low end or low buffer
-        const maxStreams = Math.min(
-            this._blendedVideos.length,
-            Math.max(1, Math.round(buffer / 3)),
-            this.isLowEnd ? 1 : Math.max(1, Math.round(this.deviceMemory / 2))
-        );
-        const activeVideos = this._blendedVideos.slice(0, maxStreams);
-
-        const ctx = this._ctx;
-        const canvas = this._canvas;
-
-        // if low-power canvas mode, avoid continuous draw loop
-        if (this._lowPowerCanvas) {
-            // keep canvas hidden and ensure videos are not playing unnecessarily
-            activeVideos.forEach(v => { try { v.pause(); } catch {} });
-            return;
-        }
-
-        if (this._canvasDrawLoopRunning) return;
-        this._canvasDrawLoopRunning = true;
-        const drawLoop = () => {
-            if (this._destroyed) { this._canvasDrawLoopRunning = false; return; }
-            try {
-                ctx.clearRect(0, 0, canvas.width, canvas.height);
-                const readyVideos = activeVideos.filter(v => v && v.readyState >= 2);
-                if (!readyVideos.length) { requestAnimationFrame(drawLoop); return; }
-                const alpha = 1 / readyVideos.length;
-                readyVideos.forEach(v => { ctx.globalAlpha = alpha; try { ctx.drawImage(v, 0, 0, canvas.width, canvas.height); } catch { } });
-            } catch { }
-            // choose RAF frequency depending on device
-            if (this.isLowEnd) setTimeout(() => requestAnimationFrame(drawLoop), 200); // slow down for low-end
-            else requestAnimationFrame(drawLoop);
-        };
-        drawLoop();
+  // a language, or 'off'
+  function setTextTrack(lang) {
+    if (dash) {
+      dash.setTextTrackVisibility(lang !== 'off');
+      if (lang !== 'off') dash.selectTextLanguage(lang);
+      return;
     }
+    let shown = false;
+    elementTextTracks().forEach(t => {
+      const show = !shown && t.language === lang;
+      t.mode = show ? 'showing' : 'disabled';
+      shown = shown || show;
+    });
+  }
 
-    // ---------------- Overlay ----------------
-  _initOverlay() {
-    try {
-        const overlay = document.createElement('div');
-        overlay.style.cssText = `
-            position: absolute;
-            top: 1px;
-            right: 8px;
-            font-size: 10px;
-            padding: 6px 10px;
-            z-index: 9999;
-            font-family: monospace;
-            background: transparent;
-            border-radius: 6px;
-            display: flex;
-            align-items: center;
-            pointer-events: none; /* overlay won’t block clicks */
-        `;
+  function stats() {
+    const bufferedEnd = video.buffered.length ? video.buffered.end(video.buffered.length - 1) : 0;
+    const out = {
+      channel,
+      backend,
+      height: video.videoHeight || null,
+      bitrate: null,
+      bandwidth: null,
+      buffer: Math.max(0, bufferedEnd - video.currentTime),
+      droppedFrames: video.getVideoPlaybackQuality?.().droppedVideoFrames ?? null
+    };
+    if (dash) {
+      const s = dash.getStats();
+      out.bitrate = s.streamBandwidth || null;
+      out.bandwidth = s.estimatedBandwidth || null;
+    } else if (hls) {
+      out.bitrate = hls.levels[hls.currentLevel]?.bitrate || null;
+      out.bandwidth = hls.bandwidthEstimate || null;
+    }
+    return out;
+  }
 
-        // Static label
-        const label = document.createElement('span');
-        label.textContent = 'Buffer:';
-        overlay.appendChild(label);
-
-        // Number span that will change color
-        const number = document.createElement('span');
-        number.textContent = '0s';
-        number.style.transition = 'color 0.15s linear'; // smooth, lightweight transition
-        overlay.appendChild(number);
-        this._overlayNumber = number;
-
-        // Append overlay to video parent or body
-        const parent = this.video.parentElement || document.body;
-        if (window.getComputedStyle(parent).position === 'static') parent.style.position = 'relative';
-        parent.appendChild(overlay);
-    } catch (e) {
-        console.error("Overlay init failed:", e);
-    }
+  return {
+    load,
+    stop,
+    on,
+    off,
+    setTiers,
+    getQualities,
+    getQuality,
+    setQuality,
+    getAudioTracks,
+    setAudioTrack,
+    getTextTracks,
+    setTextTrack,
+    stats,
+    seekToLiveEdge,
+    get backend() { return backend; },
+    get channel() { return channel; },
+    get source() { return source; }
+  };
 }
 
-_updateOverlay() {
-    if (!this._overlayNumber) return;
-
-    const bufferSec = Math.round(this.bufferHealth);
-    this._overlayNumber.textContent = `${bufferSec}s`;
-
-    // Normalize buffer for color (0s = red, maxBuffer = green)
-    const maxBuffer = 10; // fully green at 20s
-    let t = Math.min(bufferSec / maxBuffer, 1); // 0 → 1
-
-    // Red (0°) → Yellow (60°) → Green (120°)
-    const hue = t * 120;
-    this._overlayNumber.style.color = `hsl(${hue}, 100%, 50%)`;
+const playback = createPlaybackController(video);
+
+// ------ Source ranking ------
+// What the main player learns about each source it plays (per channel + URI):
+// startup time, stalls per minute watched, fatal errors per attempt and measured
+// throughput. Records are kept in IndexedDB and fade with a 6 hour half-life, so
+// a source that failed a while ago drifts back towards neutral and gets its turn
+// again. Channels start on, and fail over in, best-score-first order; the
+// catalogue order breaks ties and counts for a little on its own.
+const SOURCE_DB = 'iptv-player';
+const SOURCE_STORE = 'sourceScores';
+const SOURCE_HALF_LIFE_MS = 6 * 60 * 60 * 1000;
+const SOURCE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const SOURCE_FLUSH_MS = 10000;
+const SOURCE_EWMA = 0.3;
+// Score weights: seconds to start, stalls per minute, errors per attempt,
+// log2 of Mbps, and a head start per place in the catalogue order
+const SOURCE_WEIGHTS = { startup: 1, stalls: 10, errors: 20, throughput: 2, order: 2 };
+
+const sourceRecords = new Map(); // key -> { key, attempts, errors, stalls, watchMs, startupMs, throughput, updatedAt }
+const dirtySources = new Set();
+let sourceDb = null;
+let sourceFlushTimer = null;
+let sourceRun = null; // the source the main player is on: { key, startedAt, lastStatsAt }
+
+const sourceKey = (channel, source) => `${channel.id}|${source.uri}`;
+const ewma = (prev, value) => (prev === null ? value : prev + SOURCE_EWMA * (value - prev));
+
+// Counts shrink with age; averages (startup, throughput) stay as they were
+function decayedRecord(rec, now) {
+  const f = 0.5 ** (Math.max(0, now - rec.updatedAt) / SOURCE_HALF_LIFE_MS);
+  return { ...rec, attempts: rec.attempts * f, errors: rec.errors * f, stalls: rec.stalls * f, watchMs: rec.watchMs * f, updatedAt: now };
+}
+
+// Higher is better; 0 for a source we know nothing (or nothing recent) about
+function sourceScore(rec, now = Date.now()) {
+  if (!rec) return 0;
+  const r = decayedRecord(rec, now);
+  const minutes = Math.max(1, r.watchMs / 60000);
+  const penalty = SOURCE_WEIGHTS.startup * (r.startupMs || 0) / 1000 +
+    SOURCE_WEIGHTS.stalls * r.stalls / minutes +
+    SOURCE_WEIGHTS.errors * r.errors / Math.max(1, r.attempts);
+  const bonus = r.throughput ? SOURCE_WEIGHTS.throughput * Math.log2(1 + r.throughput / 1e6) : 0;
+  // a single old attempt shouldn't outweigh the catalogue order
+  return (bonus - penalty) * Math.min(1, r.attempts);
+}
+
+// The channel's sources, best first
+function rankSources(channel) {
+  const now = Date.now();
+  return channelSources(channel)
+    .map((source, i) => ({ source, score: sourceScore(sourceRecords.get(sourceKey(channel, source)), now) - SOURCE_WEIGHTS.order * i }))
+    .sort((a, b) => b.score - a.score)
+    .map(entry => entry.source);
+}
+
+function updateSourceRecord(key, change) {
+  const now = Date.now();
+  const current = sourceRecords.get(key) || { key, attempts: 0, errors: 0, stalls: 0, watchMs: 0, startupMs: null, throughput: null, updatedAt: now };
+  const rec = decayedRecord(current, now);
+  change(rec);
+  sourceRecords.set(key, rec);
+  dirtySources.add(key);
+  if (!sourceFlushTimer) sourceFlushTimer = setTimeout(flushSourceRecords, SOURCE_FLUSH_MS);
+}
+
+function flushSourceRecords() {
+  clearTimeout(sourceFlushTimer);
+  sourceFlushTimer = null;
+  if (!sourceDb || !dirtySources.size) return;
+  try {
+    const store = sourceDb.transaction(SOURCE_STORE, 'readwrite').objectStore(SOURCE_STORE);
+    dirtySources.forEach(key => store.put(sourceRecords.get(key)));
+    dirtySources.clear();
+  } catch (e) {
+    console.warn('⚠️ Could not save source scores:', e);
+  }
 }
 
-_startMonitoring() {
-    if (this._monitoringRAF) return;
-
-    const loop = () => {
-        if (this._destroyed) return;
-
-        try {
-            const buffered = this.video.buffered;
-            this.bufferHealth = buffered.length
-                ? buffered.end(buffered.length - 1) - this.video.currentTime
-                : 0;
-        } catch {
-            this.bufferHealth = 0;
-        }
-
-        this._updateOverlay();
-        this._monitoringRAF = requestAnimationFrame(loop);
-    };
-
-    loop();
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
 }
 
-_destroyOverlay() {
-    if (this._monitoringRAF) cancelAnimationFrame(this._monitoringRAF);
-    this._monitoringRAF = null;
-    if (this._overlayNumber && this._overlayNumber.parentElement) {
-        this._overlayNumber.parentElement.remove();
-    }
-    this._overlayNumber = null;
+// Read what earlier sessions learned; records older than 30 days are dropped
+async function loadSourceRecords() {
+  if (!window.indexedDB) return;
+  try {
+    const open = indexedDB.open(SOURCE_DB, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(SOURCE_STORE, { keyPath: 'key' });
+    sourceDb = await idbRequest(open);
+    const store = sourceDb.transaction(SOURCE_STORE, 'readwrite').objectStore(SOURCE_STORE);
+    for (const rec of await idbRequest(store.getAll())) {
+      if (Date.now() - rec.updatedAt > SOURCE_MAX_AGE_MS) store.delete(rec.key);
+      else if (!sourceRecords.has(rec.key)) sourceRecords.set(rec.key, rec);
+    }
+    flushSourceRecords();
+  } catch (e) {
+    console.warn('⚠️ Source scores unavailable:', e);
+  }
 }
 
+// Every main-player load goes through here so the attempt gets measured
+function loadSource(channel, source) {
+  sourceRun = null;
+  if (source) {
+    const key = sourceKey(channel, source);
+    sourceRun = { key, startedAt: Date.now(), lastStatsAt: null };
+    updateSourceRecord(key, rec => { rec.attempts++; });
+  }
+  return playback.load(channel, { source });
+}
 
+// Only count events from the source the run was started for
+function activeSourceRun() {
+  const { channel, source } = playback;
+  return sourceRun && channel && source && sourceKey(channel, source) === sourceRun.key ? sourceRun : null;
+}
 
+playback.on('ready', () => {
+  const run = activeSourceRun();
+  if (!run || run.lastStatsAt) return;
+  run.lastStatsAt = Date.now();
+  updateSourceRecord(run.key, rec => { rec.startupMs = ewma(rec.startupMs, run.lastStatsAt - run.startedAt); });
+});
+playback.on('error', e => {
+  const run = activeSourceRun();
+  if (run && e.fatal) updateSourceRecord(run.key, rec => { rec.errors++; });
+});
+playback.on('stall', () => {
+  const run = activeSourceRun();
+  if (run) updateSourceRecord(run.key, rec => { rec.stalls++; });
+});
+playback.on('stats', s => {
+  const run = activeSourceRun();
+  if (!run || !run.lastStatsAt) return;
+  const now = Date.now();
+  const watched = video.paused ? 0 : now - run.lastStatsAt;
+  run.lastStatsAt = now;
+  updateSourceRecord(run.key, rec => {
+    rec.watchMs += watched;
+    if (s.bandwidth) rec.throughput = ewma(rec.throughput, s.bandwidth);
+  });
+});
 
+loadSourceRecords();
+window.addEventListener('pagehide', flushSourceRecords);
+
+// ------ Playback recovery ------
+// One state machine for a main-player stream in trouble:
+//   playing -> stalled -> soft retry (seek to the live edge) -> reload the manifest
+//   -> next source (best score first) -> failed (visible error with a Retry button).
+// Every step waits an exponentially growing, jittered delay and then checks the
+// video is moving again before calling it recovered. It only moves on to another
+// channel when the viewer turned on "Skip dead channels".
+const RECOVERY_BASE_MS = 1000;
+const RECOVERY_MAX_MS = 15000;
+const RECOVERY_VERIFY_MS = 6000;
+// This long without trouble and the next problem starts from the soft retry again
+const RECOVERY_STABLE_MS = 60000;
+const RECOVERY_STEPS = ['soft-retry', 'reload', 'reload', 'failover'];
+
+const recovery = {
+  state: 'idle', // idle | starting | playing | stalled | recovering | verifying | failed
+  channel: null,
+  sources: [], // this channel's sources in the order we'll try them
+  sourceIndex: 0,
+  step: 0,
+  attempt: 0,
+  timer: null,
+  healthySince: 0,
+  mark: 0
+};
+let autoSkipDead = localStorage.getItem('autoSkipDead') === '1';
 
-    // ---------------- Channel & Preload Helpers ----------------
-    chooseQualities(channel) {
-        if (!channel) return ['480p'];
-        return Object.keys(channel.qualities || {}).sort((a, b) => (parseInt(b) || 0) - (parseInt(a) || 0)).slice(0, this.qualityBlendLevels);
-    }
-
-    getBestStreams(channel, quality) {
-        const urls = (channel && channel.qualities?.[quality]) ? channel.qualities[quality] : (channel && channel.url ? [channel.url] : []);
-        return urls.filter(u => !this.failedServers.get(u) || (Date.now() - this.failedServers.get(u) > this.config.HEAL_INTERVAL)).slice(0, this.parallelStreams);
-    }
-
-    markServerFailed(url) { try { this.failedServers.set(url, Date.now()); } catch { } }
-
-    recordHistory(idx) {
-        try { this.userHistory.push({ index: idx, time: Date.now() }); if (this.userHistory.length > 5000) this.userHistory.shift(); localStorage.setItem('zapHistory', JSON.stringify(this.userHistory)); } catch { }
-    }
-
-    _makePreloadKey(idx, quality) { return `ch${idx}_${quality}`; }
-
-    _ensurePreloadLimit() {
-        if (this.preloadCache.size <= this.config.MAX_PRELOAD_CACHE) return;
-        const arr = Array.from(this.preloadCache.entries()).sort((a, b) => a[1].lastUsedAt - b[1].lastUsedAt);
-        const removeCount = this.preloadCache.size - this.config.MAX_PRELOAD_CACHE;
-        for (let i = 0; i < removeCount; i++) { const entry = arr[i][1]; try { (entry.els || []).forEach(v => { try { v.pause(); v.remove(); } catch { } }); } catch { } this.preloadCache.delete(arr[i][0]); }
-    }
-
-    _createPreloadFor(idx, quality, url) {
-        if (this._destroyed) return;
-        const key = this._makePreloadKey(idx, quality);
-        if (this.preloadCache.has(key)) { this.preloadCache.get(key).lastUsedAt = Date.now(); return; }
-        const v = document.createElement('video'); v.src = url; v.muted = true; v.playsInline = true; v.preload = 'auto'; v.style.display = 'none';
-        document.body.appendChild(v); v.play().catch(() => { });
-        this.preloadCache.set(key, { els: [v], lastUsedAt: Date.now() });
-        this._ensurePreloadLimit();
-    }
-
-    _preloadQualitiesForChannel(idx) {
-        if (this._destroyed || !this.config.PRELOAD_ON_ZAP) return;
-        const ch = this.channels[idx]; if (!ch) return;
-        let bufferFactor = Math.min(Math.max(this.bufferHealth / 10, 0.3), 1);
-        const maxQualities = Math.ceil(this.config.MAX_PRELOAD_QUALITIES_PER_CHANNEL * bufferFactor);
-        const quals = this.chooseQualities(ch).slice(0, maxQualities);
-        quals.forEach(q => { const urls = this.getBestStreams(ch, q); if (!urls.length) return; setTimeout(() => this._createPreloadFor(idx, q, urls[0]), 0); });
-    }
+// Where a channel can be played from, in catalogue order (the server sorts them)
+function channelSources(channel) {
+  if (!channel) return [];
+  if (Array.isArray(channel.sources) && channel.sources.length) return channel.sources;
+  return channel.source ? [channel.source] : [];
+}
 
-    _predictivePreloadNextChannels() {
-        if (!this.config.PRELOAD_ON_ZAP || !this.channels || !this.channels.length) return;
-        const nextSet = new Set();
-        try {
-            const recent = this.userHistory.slice(-200);
-            const freq = {};
-            recent.forEach(h => freq[h.index] = (freq[h.index] || 0) + 1);
-            Object.keys(freq).map(Number).sort((a, b) => freq[b] - freq[a]).slice(0, Math.min(10, this._maxConcurrentPreloads)).forEach(idx => nextSet.add(idx));
-        } catch { }
-        for (let i = 1; i <= this._maxConcurrentPreloads; i++) nextSet.add((this.currentIndex + i) % this.channels.length);
-        nextSet.forEach(idx => this._preloadQualitiesForChannel(idx));
-    }
+function recoveryDelay(attempt) {
+  const ceiling = Math.min(RECOVERY_MAX_MS, RECOVERY_BASE_MS * 2 ** attempt);
+  return ceiling / 2 + Math.random() * ceiling / 2;
+}
 
-    _getCachedUrlFor(idx, quality) {
-        if (quality) { const key = this._makePreloadKey(idx, quality); const entry = this.preloadCache.get(key); if (entry && Array.isArray(entry.els) && entry.els[0] && entry.els[0].readyState >= 2) { entry.lastUsedAt = Date.now(); return entry.els[0].src; } }
-        const ch = this.channels[idx]; if (!ch) return null;
-        const quals = this.chooseQualities(ch);
-        for (const q of quals) { const e = this.preloadCache.get(this._makePreloadKey(idx, q)); if (e && Array.isArray(e.els) && e.els[0] && e.els[0].readyState >= 2) { e.lastUsedAt = Date.now(); return e.els[0].src; } }
-        return null;
-    }
+function setRecoveryState(state) {
+  recovery.state = state;
+  document.getElementById('videoContainer')?.setAttribute('data-playback', state);
+}
 
-    async _safePlay() { try { await this.video.play(); } catch { } }
-
-    async seamlessZap(index) {
-        if (!this.channels[index]) index = 0;
-        this.currentIndex = index;
-        const ch = this.channels[index]; if (!ch) return;
-        const quals = this.chooseQualities(ch); const preferredQuality = this._currentForcedQuality || quals[0];
-        const cachedUrl = this._getCachedUrlFor(index, preferredQuality);
-        if (cachedUrl) { this.video.src = cachedUrl; await this._safePlay(); this.recordHistory(index); this._predictivePreloadNextChannels(); return; }
-        const fallbackUrl = (ch.url ? [ch.url] : [])[0] || (this.getBestStreams(ch, preferredQuality)[0]); if (!fallbackUrl) return;
-        this.video.src = fallbackUrl; await this._safePlay(); this.recordHistory(index); this._predictivePreloadNextChannels();
-    }
+// first: a source the viewer picked, tried before the ranked rest
+function resetRecovery(channel, { first = null } = {}) {
+  clearTimeout(recovery.timer);
+  const ranked = channel ? rankSources(channel) : [];
+  const sources = first ? [first, ...ranked.filter(s => s !== first)] : ranked;
+  Object.assign(recovery, { channel, sources, sourceIndex: 0, step: 0, attempt: 0, timer: null, healthySince: 0 });
+  setRecoveryState(channel ? 'starting' : 'idle');
+  showPlaybackStatus(null);
+  updateSourcePicker();
+}
 
-    playChannelSafe(index) { this.seamlessZap(index).catch(() => { this.playChannelHighestQuality(index); }); }
+function showPlaybackStatus(message, { retry = false } = {}) {
+  const box = document.getElementById('playbackStatus');
+  if (!box) return;
+  box.classList.toggle('hidden', !message);
+  document.getElementById('playbackStatusText').textContent = message || '';
+  document.getElementById('playbackRetry').classList.toggle('hidden', !retry);
+}
 
-    playChannelHighestQuality(index) {
-        if (!this.channels[index]) index = 0; this.currentIndex = index;
-        this._blendedVideos.forEach(v => { try { v.pause(); v.remove(); } catch { } }); this._blendedVideos = [];
-        const ch = this.channels[index]; const quals = this.chooseQualities(ch);
-        quals.slice(0, Math.min(4, quals.length)).forEach(q => {
-            const urls = this.getBestStreams(ch, q); if (!urls.length) return;
-            const v = document.createElement('video'); v.src = urls[0]; v.autoplay = true; v.muted = true; v.playsInline = true; v.preload = 'auto'; v.style.display = 'none';
-            document.body.appendChild(v); this._blendedVideos.push(v);
-        });
-        this._blendStreamsAdaptive(); this._predictivePreloadNextChannels(); this._autoQualitySwitch();
+function onPlaybackTrouble(reason, fatal) {
+  if (!recovery.channel || recovery.state === 'idle' || recovery.state === 'failed') return;
+  if (recovery.state === 'stalled' || recovery.state === 'recovering') return; // already on it
+  if (recovery.state === 'verifying') {
+    // the last step didn't take; go straight on to the next one
+    clearTimeout(recovery.timer);
+    recovery.step++;
+  } else {
+    if (recovery.state === 'playing' && Date.now() - recovery.healthySince > RECOVERY_STABLE_MS) {
+      recovery.step = 0;
+      recovery.attempt = 0;
     }
-
-    _autoQualitySwitch() {
-        if (this._destroyed || !this.config.AUTO_QUALITY_ADJUST) return;
-        const ch = this.channels[this.currentIndex]; if (!ch) return;
-        const quals = this.chooseQualities(ch); const buffer = this.bufferHealth;
-        let targetQuality = this._currentForcedQuality || quals[0];
-        if (buffer < 1 && quals.length > 1) targetQuality = quals[quals.length - 1];
-        const cached = this._getCachedUrlFor(this.currentIndex, targetQuality);
-        if (cached && this.video.src !== cached) { this.video.src = cached; this._safePlay(); }
-        else { const urls = this.getBestStreams(ch, targetQuality); if (urls.length && this.video.src !== urls[0]) { this.video.src = urls[0]; this._safePlay(); } }
-        setTimeout(() => this._autoQualitySwitch(), Math.max(10, this.config.HEAL_INTERVAL / 2));
+    // a dead manifest or decoder won't come back from a seek
+    if (fatal && RECOVERY_STEPS[recovery.step] === 'soft-retry') recovery.step++;
+  }
+  console.warn(`⚠️ ${recovery.channel.name}: ${reason}`);
+  setRecoveryState('stalled');
+  scheduleRecoveryStep();
+}
+
+function scheduleRecoveryStep() {
+  const step = RECOVERY_STEPS[recovery.step];
+  const next = recovery.sources[recovery.sourceIndex + 1];
+  if (!step || (step === 'failover' && !next)) return giveUpPlayback();
+  const delay = recoveryDelay(recovery.attempt++);
+  showPlaybackStatus(step === 'failover' ? `Switching to ${sourceName(recovery.channel, next)}…` : 'Reconnecting…');
+  recovery.timer = setTimeout(() => runRecoveryStep(step), delay);
+}
+
+async function runRecoveryStep(step) {
+  const channel = recovery.channel;
+  setRecoveryState('recovering');
+  console.log(`🔄 ${channel.name}: ${step} (attempt ${recovery.attempt})`);
+  if (step === 'soft-retry') {
+    playback.seekToLiveEdge();
+  } else {
+    if (step === 'failover') {
+      recovery.sourceIndex++;
+      // a fresh source deserves its own reloads before we move past it too
+      recovery.step = RECOVERY_STEPS.indexOf('reload');
+    }
+    updateSourcePicker();
+    const loaded = await loadSource(channel, recovery.sources[recovery.sourceIndex]);
+    if (recovery.channel !== channel) return; // the viewer moved on meanwhile
+    if (!loaded) {
+      recovery.step++;
+      setRecoveryState('stalled');
+      return scheduleRecoveryStep();
     }
-
-    _setupFailover() {
-        this._boundFailoverHandler = async (ev) => {
-            if (this._destroyed) return; const currentSrc = this.video.currentSrc || this.video.src; if (!currentSrc) return;
-            this.markServerFailed(currentSrc); const attempts = (this._failoverAttempts.get(currentSrc) || 0) + 1; this._failoverAttempts.set(currentSrc, attempts);
-            if (attempts > this.config.FAILOVER_MAX_ATTEMPTS) return;
-            const ch = this.channels[this.currentIndex]; if (!ch) return;
-            const quals = this.chooseQualities(ch).sort(() => Math.random() - 0.5);
-            for (let q of quals) {
-                const urls = this.getBestStreams(ch, q).sort(() => Math.random() - 0.5);
-                for (let u of urls) {
-                    if (!u || u === currentSrc) continue;
-                    try { this.video.src = u; await this._safePlay(); return; } catch { this.markServerFailed(u); }
-                }
-            }
-        };
-        try { this.video.addEventListener('error', this._boundFailoverHandler); this.video.addEventListener('stalled', this._boundFailoverHandler); this.video.addEventListener('suspend', this._boundFailoverHandler); } catch { }
+  }
+  verifyRecovery(channel);
+}
+
+// Recovered means the playhead actually moved, not just that a call returned
+function verifyRecovery(channel) {
+  setRecoveryState('verifying');
+  recovery.mark = video.currentTime;
+  recovery.timer = setTimeout(() => {
+    if (recovery.channel !== channel) return;
+    // a viewer pausing meanwhile isn't a failure
+    if (video.paused || video.currentTime > recovery.mark) {
+      console.log(`✅ ${channel.name} recovered`);
+      recovery.healthySince = Date.now();
+      setRecoveryState('playing');
+      showPlaybackStatus(null);
+      return;
     }
+    recovery.step++;
+    setRecoveryState('stalled');
+    scheduleRecoveryStep();
+  }, RECOVERY_VERIFY_MS);
+}
 
-    destroy() {
-        this._destroyed = true;
-        try { if (this._boundFailoverHandler) { this.video.removeEventListener('error', this._boundFailoverHandler); this.video.removeEventListener('stalled', this._boundFailoverHandler); this.video.removeEventListener('suspend', this._boundFailoverHandler); } } catch { }
-        this._blendedVideos.forEach(v => { try { v.pause(); v.remove(); } catch { } }); this._blendedVideos = [];
-        try { if (this._canvas) this._canvas.remove(); } catch { }
-        for (const entry of this.preloadCache.values()) { try { (entry.els || []).forEach(v => { v.pause(); v.remove(); }); } catch { } }
-        this.preloadCache.clear();
-        try { if (this._monitoringRAF) cancelAnimationFrame(this._monitoringRAF); } catch { }
-        console.log("🛑 Ultra Super Sonic Engine destroyed safely");
-    }
+function giveUpPlayback() {
+  const channel = recovery.channel;
+  clearTimeout(recovery.timer);
+  playback.stop();
+  setRecoveryState('failed');
+  console.error(`❌ ${channel.name}: giving up`);
+  showPlaybackStatus(`${channel.name} isn't playing right now.`, { retry: true });
+  if (autoSkipDead) zap(1);
+}
 
-    _initCanvasPiP() {
-        try { if (this._canvas) this._canvas.remove(); const canvas = document.createElement('canvas'); canvas.width = this.video.clientWidth || 640; canvas.height = this.video.clientHeight || 360; canvas.style.position = 'absolute'; canvas.style.top = '0'; canvas.style.left = '0'; canvas.style.zIndex = 9998; canvas.style.pointerEvents = 'none'; (this.video.parentElement || document.body).appendChild(canvas); this._canvas = canvas; this._ctx = canvas.getContext('2d'); this._resizeCanvas(); } catch { }
-    }
+playback.on('ready', () => {
+  if (recovery.state !== 'starting') return;
+  recovery.healthySince = Date.now();
+  setRecoveryState('playing');
+});
+playback.on('error', e => { if (e.fatal) onPlaybackTrouble(e.message, true); });
+playback.on('stall', e => onPlaybackTrouble(`no progress for ${e.seconds}s`, false));
 
-    _resizeCanvas() { if (!this._canvas) return; this._canvas.width = this.video.clientWidth || 640; this._canvas.height = this.video.clientHeight || 360; }
+function updateAutoSkipToggle() {
+  const btn = document.getElementById('autoSkipToggle');
+  if (!btn) return;
+  btn.textContent = autoSkipDead ? '⏭️ Skip dead channels: on' : '⏭️ Skip dead channels: off';
+  btn.setAttribute('aria-pressed', autoSkipDead ? 'true' : 'false');
 }
 
-// ---------------- Loader & Dead-Channel Recovery (unchanged except options) -----------------
-document.addEventListener('DOMContentLoaded', async () => {
-    const videoEl = document.getElementById('video'); if (!videoEl) return console.error("❌ Video element not found");
-    try {
-        if (typeof CHANNEL_JSON_URL === 'undefined') throw new Error("❌ CHANNEL_JSON_URL is not defined");
-        const res = await fetch(CHANNEL_JSON_URL); if (!res.ok) throw new Error(`❌ Failed to load channels: ${res.status}`);
-        const channelList = await res.json(); if (!Array.isArray(channelList) || !channelList.length) { console.error("❌ No channels found in JSON", channelList); return; }
-        console.log("✅ Channels loaded:", channelList.map(ch => ch.name || ch.url));
-        const engine = new UltraSuperSonicIPTVEngineOptimized(channelList, videoEl, {
-            superSonicMode: true, turboMode: true, parallelStreams: 20, qualityBlendLevels: 12,
-            AUTO_QUALITY_ADJUST: true, PRELOAD_ON_ZAP: true, HEAL_INTERVAL: 15,
-            FAILOVER_MAX_ATTEMPTS: 10, maxConcurrentPreloads: 16, MULTI_QUALITY_PRELOAD: true,
-            MAX_PRELOAD_QUALITIES_PER_CHANNEL: 4, MAX_PRELOAD_CACHE: 200,
-            INFINITY_BUFFER_ENABLED: true, INFINITY_MAX_SECONDS: 600, INFINITY_DATA_BUDGET_BYTES: 200 * 1024 * 1024
-        });
-        window.__UltraEngine = engine;
-
-        // Dead-Channel UI
-        const msgBox = document.createElement('div');
-        msgBox.style.cssText = `position:absolute;bottom:15%;left:50%;transform:translateX(-50%);background:rgba(0,0,0,0.7);color:#ff5555;font-size:16px;padding:10px 18px;border-radius:10px;z-index:99999;font-family:sans-serif;display:none;pointer-events:none;`;
-        msgBox.textContent = "⚠️ Stream error detected. Switching channel...";
-        (videoEl.parentElement || document.body).appendChild(msgBox);
-        function showError(msg = "⚠️ Stream error detected") { msgBox.textContent = msg; msgBox.style.display = "block"; clearTimeout(msgBox._t); msgBox._t = setTimeout(() => { msgBox.style.display = "none"; }, 5000); }
-
-        let lastPlaybackTime = 0, stallCount = 0;
-        const deadChannels = new Map();
-        setInterval(() => {
-            if (!engine || engine._destroyed) return;
-            if (videoEl.paused || videoEl.readyState < 2) return;
-            const currentTime = videoEl.currentTime;
-            if (currentTime === lastPlaybackTime) { stallCount++;
-                const idx = engine.currentIndex || 0;
-                if (stallCount < 3) { engine.playChannelSafe(idx); showError("🔄 Recovering stream..."); }
-                else { deadChannels.set(idx, Date.now()); const nextIdx = (idx + 1) % engine.channels.length; showError(`🚨 Channel ${idx} seems dead. Switching...`); engine.playChannelSafe(nextIdx); stallCount = 0; }
-            } else { stallCount = 0; }
-            lastPlaybackTime = currentTime;
-        }, 8000);
-
-        setInterval(() => {
-            if (!engine || engine._destroyed) return;
-            const now = Date.now();
-            for (const [idx, ts] of deadChannels.entries()) { if (now - ts > 60000) { console.log(`♻️ Retrying previously dead channel ${idx}`); deadChannels.delete(idx); } }
-        }, 30000);
-
-        let startIndex = 0; for (let i = 0; i < channelList.length; i++) { const ch = channelList[i]; if ((ch.url && ch.url.length) || (ch.qualities && Object.keys(ch.qualities).length)) { startIndex = i; break; } }
-        engine.playChannelSafe(startIndex);
-
-        if (typeof loadChannels === 'function') loadChannels();
-        window.addEventListener('beforeunload', () => engine.destroy());
-        console.log("🚀 IPTV God-Mode AI Engine initialized with adaptive SuperSonic & dead-channel recovery");
-    } catch (e) { console.error("❌ Failed to initialize IPTV engine:", e); }
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('playbackRetry')?.addEventListener('click', () => {
+    const channel = recovery.channel;
+    if (!channel) return;
+    resetRecovery(channel);
+    loadSource(channel, recovery.sources[0]);
+  });
+  const btn = document.getElementById('autoSkipToggle');
+  if (btn) {
+    btn.addEventListener('click', () => {
+      autoSkipDead = !autoSkipDead;
+      try { localStorage.setItem('autoSkipDead', autoSkipDead ? '1' : '0'); } catch (e) {}
+      updateAutoSkipToggle();
+    });
+  }
+  updateAutoSkipToggle();
 });
 
+// ------ Source picker (settings dropdown) ------
+// Shows which of the channel's sources is playing (listed in catalogue order);
+// picking one plays it now, and failover carries on through the ranked rest
+function sourceName(channel, source) {
+  const index = channelSources(channel).indexOf(source);
+  const name = source.label || (index === 0 ? 'Main' : `Backup ${index}`);
+  return `${name} (${String(source.type || '').toUpperCase()})`;
+}
 
+function updateSourcePicker() {
+  const select = document.getElementById('sourceSelect');
+  if (!select) return;
+  const sources = channelSources(recovery.channel);
+  const playing = recovery.sources[recovery.sourceIndex];
+  select.innerHTML = '';
+  sources.forEach((source, i) => select.add(new Option(sourceName(recovery.channel, source), String(i), false, source === playing)));
+  document.getElementById('sourceOptions').classList.toggle('hidden', sources.length < 2);
+}
 
+function playSource(index) {
+  const channel = recovery.channel;
+  const source = channelSources(channel)[index];
+  if (!source) return;
+  resetRecovery(channel, { first: source });
+  console.log(`🛰️ ${channel.name}: switching to ${sourceName(channel, source)}`);
+  loadSource(channel, source);
+}
 
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('sourceSelect')?.addEventListener('change', e => playSource(Number(e.target.value)));
+});
 
 
 
@@ -919,14 +988,6 @@ const QUALITY_TIERS = [
 
 // Runtime mutable allowed tiers
 const ALLOWED_TIERS = QUALITY_TIERS.map(t => t.key);
-// ----------------------------- housekeeping -----------------------------
-let bufferWatcher = null;
-let recentBitrates = [];
-const PRELOAD_RANGE = 2;
-const PRELOAD_QUALITIES = 5;
-
-const _origPrewarm = (typeof prewarmSurroundingChannels === 'function') ? prewarmSurroundingChannels : null;
-
 // ---------------------- Connection-aware caps ------------------------
 const CONNECTION_CAP_MAP = {
   'slow-2g': { maxBandwidth: 80000, suggested: 'very low (~144p)' },   // ~80 kbps
@@ -1111,99 +1172,19 @@ function enforceHlsTierSwitching(hlsInstance, allowedTiers = ALLOWED_TIERS) {
   hlsInstance.on(Hls.Events.ERROR, (event, data) => { if (data && data.fatal) mapping = mapHlsLevelsToTiers(hlsInstance); });
 }
 
-// ---------------------- Engine/DASH helpers ------------------------
-function mapEngineQualitiesToTiers(engineOrPlayer) {
-  const mapping = {};
-  try {
-    let qualities = [];
-    if (Array.isArray(engineOrPlayer.availableQualities)) {
-      qualities = engineOrPlayer.availableQualities;
-    } else if (typeof engineOrPlayer.getVariantTracks === 'function') {
-      qualities = engineOrPlayer.getVariantTracks().map((t, idx) => ({ bitrate: t.bandwidth || t.bitrate, height: t.height, index: idx }));
-    } else if (typeof engineOrPlayer.getBitrateInfoListFor === 'function') {
-      qualities = engineOrPlayer.getBitrateInfoListFor('video') || [];
-    } else if (typeof engineOrPlayer.getTracks === 'function') {
-      qualities = engineOrPlayer.getTracks().filter(t => t.type === 'video');
-    }
-
-    for (let i = 0; i < qualities.length; i++) {
-      const q = qualities[i];
-      const height = q.height || q.resolution?.height || 0;
-      for (let j = 0; j < QUALITY_TIERS.length; j++) {
-        if (height <= QUALITY_TIERS[j].maxHeight) {
-          mapping[QUALITY_TIERS[j].key] = Math.max(mapping[QUALITY_TIERS[j].key] || -1, i);
-          break;
-        }
-      }
-    }
-
-    // backfill
-    const keys = QUALITY_TIERS.map(t => t.key);
-    for (let i = 0; i < keys.length; i++) {
-      const k = keys[i];
-      if (typeof mapping[k] === 'undefined') {
-        for (let j = i+1; j < keys.length; j++) if (mapping[keys[j]] >= 0) { mapping[k] = mapping[keys[j]]; break; }
-        if (typeof mapping[k] === 'undefined') for (let j = i-1; j >= 0; j--) if (mapping[keys[j]] >= 0) { mapping[k] = mapping[keys[j]]; break; }
-      }
-    }
-  } catch (e) {}
-  return mapping; // tierKey -> qualityIndex
-}
-
-function enforceEngineTier(engineOrPlayer, allowedTiers = ALLOWED_TIERS) {
-  try {
-    const map = mapEngineQualitiesToTiers(engineOrPlayer);
-    // prefer highest allowed
-    for (const tierKey of allowedTiers.slice().reverse()) {
-      const idx = map[tierKey];
-      if (typeof idx === 'number' && idx >= 0) {
-        if (typeof engineOrPlayer.forceQuality === 'function') { engineOrPlayer.forceQuality(idx); console.log('⚙️ Engine forced to', tierKey, idx); return true; }
-        if (typeof engineOrPlayer.selectTrack === 'function') { try { engineOrPlayer.selectTrack(idx); return true; } catch (e) {} }
-      }
-    }
-    // fallback: configure ABR maxBandwidth to lowest allowed tier to avoid excessive consumption
-    const lowestAllowedKey = (allowedTiers && allowedTiers[0]) ? allowedTiers[0] : QUALITY_TIERS[0].key;
-    const lowestAllowed = tierByKey(lowestAllowedKey);
-    const capBitrate = lowestAllowed?.maxBitrate || null;
-    if (capBitrate && typeof engineOrPlayer.configure === 'function') {
-      try { engineOrPlayer.configure?.({ abr: { restrictions: { maxBandwidth: capBitrate } } }); console.log('⚙️ Engine applied fallback maxBandwidth', capBitrate); } catch (e) {}
-    }
-  } catch (e) { console.warn('enforceEngineTier failed', e); }
-  return false;
+// ---------------------- Promotion / Apply logic ------------------------
+// Highest tier playback should reach right now: Med on mobile data, otherwise
+// the best allowed tier under the connection cap
+function playbackTierCap() {
+  if (isOnMobileData()) return tierByKey('med');
+  return chooseAllowedTierForBandwidth(getEffectiveMaxBandwidth(getConnectionCategory()));
 }
 
-// ---------------------- Promotion / Apply logic ------------------------
 function promoteToHighestAllowedTierNow() {
   try {
-    const category = getConnectionCategory();
-    const effectiveMax = getEffectiveMaxBandwidth(category);
-    const desiredTier = chooseAllowedTierForBandwidth(effectiveMax);
-    console.log('📶 Promoting to allowed tier', desiredTier.key, 'for effectiveMax', effectiveMax);
-
-    // HLS
-    if (window.hls) {
-      try {
-        const level = chooseHlsLevelByTier(window.hls, desiredTier.key);
-        if (level >= 0) {
-          window.hls.currentLevel = level;
-          window.hls.nextLevel = level;
-          window.hls.autoLevelCapping = level;
-          console.log('📶 HLS set to tier', desiredTier.key, 'level', level);
-        }
-        enforceHlsTierSwitching(window.hls, ALLOWED_TIERS);
-      } catch (e) { console.warn('HLS promotion error', e); }
-    }
-
-    // DASH/player
-    try {
-      if (typeof player !== 'undefined' && player?.configure) {
-        try { player.configure({ abr: { enabled: false } }); } catch (e) {}
-        enforceEngineTier(player, ALLOWED_TIERS);
-      }
-    } catch (e) { console.warn('player promotion failed', e); }
-
-    // Engine
-    try { if (window.engine) enforceEngineTier(window.engine, ALLOWED_TIERS); } catch (e) { console.warn('engine promotion failed', e); }
+    const desiredTier = playbackTierCap();
+    console.log('📶 Promoting to allowed tier', desiredTier.key);
+    playback.setTiers(ALLOWED_TIERS, desiredTier.key);
   } catch (e) { console.warn('promoteToHighestAllowedTierNow error', e); }
 }
 
@@ -1220,7 +1201,6 @@ function applyConnectionCaps({ forceCategory } = {}) {
   try {
     const onMobile = isOnMobileData();
     if (onMobile) {
-      teardownPrewarmedResources();
       forceLowBitrateNow();
     } else {
       removeLowBitrateCap();
@@ -1237,7 +1217,7 @@ function setCustomConnectionCap(category, maxBandwidthBitsPerSec, suggestionText
   console.log('Custom cap set for', category, CONNECTION_CAP_MAP[category]);
 }
 
-// ---------------------- Network & Prewarm helpers ------------------------
+// ---------------------- Network helpers ------------------------
 function isOnMobileData() {
   try {
     const conn = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
@@ -1248,64 +1228,11 @@ function isOnMobileData() {
   } catch (e) { return false; }
 }
 
-function prewarmSurroundingChannelsWrapper(index) {
-  if (isOnMobileData()) {
-    console.log('📱 Skipping prewarm: on mobile data');
-    return;
-  }
-  if (_origPrewarm) return _origPrewarm(index);
-}
-try { prewarmSurroundingChannels = prewarmSurroundingChannelsWrapper; } catch (e) {}
-
-// teardown prewarm resources
-function teardownPrewarmedResources() {
-  try {
-    console.log('🧹 Tearing down prewarmed resources (best-effort).');
-    if (Array.isArray(window.prewarmedHlsInstances)) {
-      window.prewarmedHlsInstances.forEach(h => { try { h.destroy?.(); } catch (e) {} });
-      window.prewarmedHlsInstances.length = 0;
-    }
-    if (Array.isArray(window.prewarmedDashPlayers)) {
-      window.prewarmedDashPlayers.forEach(p => { try { p.destroy?.(); } catch (e) {} });
-      window.prewarmedDashPlayers.length = 0;
-    }
-    if (Array.isArray(window.prewarmedEngineChannels)) {
-      window.prewarmedEngineChannels.forEach(e => { try { e.stop?.(); } catch (err) {} });
-      window.prewarmedEngineChannels.length = 0;
-    }
-    ['prewarmedHlsInstances','prewarmedDashPlayers','prewarmedEngineChannels'].forEach(k => { if (window[k] && Array.isArray(window[k])) window[k] = []; });
-    if (typeof window.teardownPrewarmedChannels === 'function') try { window.teardownPrewarmedChannels(); } catch (e) {}
-  } catch (e) { console.warn('Teardown prewarmed resources encountered an error:', e); }
-}
-
 // ---------------------- Downgrade & restore ------------------------
 function forceLowBitrateNow() {
   try {
-    console.log('📉 Forcing low bitrate (best-effort) for current playback.');
-
-    // HLS: force med tier if available
-    if (window.hls) {
-      try {
-        const medIdx = chooseHlsLevelByTier(window.hls, 'med');
-        if (medIdx >= 0) {
-          window.hls.currentLevel = medIdx;
-          window.hls.nextLevel = medIdx;
-          window.hls.autoLevelCapping = medIdx;
-          console.log('📉 HLS: forced Med level', medIdx);
-        }
-      } catch (e) { console.warn('HLS downgrade failed', e); }
-    }
-
-    // DASH/player: restrict to med max bitrate
-    if (typeof player !== 'undefined' && player && typeof player.configure === 'function') {
-      try { player.configure({ abr: { restrictions: { maxBandwidth: QUALITY_TIERS.find(t => t.key === 'med').maxBitrate } } }); console.log('📉 DASH/player: applied ABR maxBandwidth for Med'); } catch (e) { console.warn('Player ABR cap failed', e); }
-    }
-
-    // engine
-    if (window.engine) {
-      try { enforceEngineTier(window.engine, ['med']); } catch (e) { console.warn('Engine downgrade failed', e); }
-    }
-
+    console.log('📉 Forcing low bitrate (Med) for current playback.');
+    playback.setTiers(ALLOWED_TIERS, 'med');
     const conn = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
     if (conn && conn.saveData) console.log('💾 saveData is enabled; preferring lowest-quality streams by default.');
   } catch (e) { console.warn('forceLowBitrateNow error:', e); }
@@ -1313,13 +1240,8 @@ function forceLowBitrateNow() {
 
 function removeLowBitrateCap() {
   try {
-    console.log('🔼 Removing mobile bitrate caps (best-effort).');
-    if (window.hls) try { window.hls.autoLevelCapping = -1; window.hls.nextLevel = -1; } catch (e) {}
-    if (typeof player !== 'undefined' && player && typeof player.configure === 'function') try { player.configure({ abr: { restrictions: { maxBandwidth: undefined } } }); } catch (e) {}
-    if (window.engine) {
-      try { if (typeof window.engine.configure === 'function') window.engine.configure({ abr: { restrictions: { maxBandwidth: undefined } } }); } catch (e) {}
-      try { if (typeof window.engine.removeMaxBitrate === 'function') window.engine.removeMaxBitrate(); } catch (e) {}
-    }
+    console.log('🔼 Removing mobile bitrate caps.');
+    playback.setTiers(ALLOWED_TIERS, null);
   } catch (e) { console.warn('removeLowBitrateCap error:', e); }
 }
 
@@ -1344,177 +1266,30 @@ function removeLowBitrateCap() {
 // Apply connection caps once at startup to set sensible defaults
 try { applyConnectionCaps(); } catch (e) { /* ignore */ }
 
-// ---------------------- Dead stream detection ------------------------
-function startDeadStreamWatchdog(channel, index) {
-  try {
-    if (bufferWatcher) clearInterval(bufferWatcher);
-    let lastTime = (typeof video !== 'undefined' && video) ? video.currentTime : 0;
-    let stuckCount = 0;
-    bufferWatcher = setInterval(() => {
-      try {
-        if (!video || video.readyState < 2) return;
-        const bufferedEnd = video.buffered.length ? video.buffered.end(video.buffered.length - 1) : 0;
-        const bufferAhead = bufferedEnd - video.currentTime;
-        if (bufferAhead < 0.5 || video.paused) {
-          if (Math.abs(video.currentTime - lastTime) < 0.1) {
-            stuckCount++;
-            if (stuckCount >= 6) { // ~15s stuck
-              clearInterval(bufferWatcher);
-              console.warn(`${channel.name} seems dead. Restarting...`);
-              restartChannel(channel, index);
-            }
-          } else stuckCount = 0;
-        } else stuckCount = 0;
-        lastTime = video.currentTime;
-      } catch (e) {}
-    }, 2500);
-  } catch (e) {}
-}
-
-// ---------------------- Engine listeners ------------------------
-function setupEngineListeners(channel) {
-  if (!window.engine?.on) return;
-  window.engine.on('error', () => { console.warn(`${channel.name} Engine error. Restarting...`); restartChannel(channel, currentChannelIndex); });
-  window.engine.on('ready', () => { setupQualityControls(window.engine); updateAudioAndSubtitles(window.engine); enforceEngineTier(window.engine, ALLOWED_TIERS); });
-  window.engine.on('stats', (stats) => { if (stats?.bitrate) { recentBitrates.push(stats.bitrate); if (recentBitrates.length > 20) recentBitrates.shift(); } });
-}
-
-// ---------------------- Mobile config helper ------------------------
-function configureForMobileData({ playerInstance, hlsInstance } = {}) {
-  try {
-    if (playerInstance && typeof playerInstance.configure === 'function') {
-      playerInstance.configure({ abr: { restrictions: { maxBandwidth: QUALITY_TIERS.find(t => t.key === 'med').maxBitrate } } });
-      console.log('📉 Player configured: ABR maxBandwidth for Med');
-    }
-  } catch (e) { console.warn('Could not configure player ABR cap:', e); }
-  try {
-    if (hlsInstance) {
-      const medIdx = chooseHlsLevelByTier(hlsInstance, 'med');
-      if (medIdx >= 0) {
-        hlsInstance.autoLevelCapping = medIdx;
-        hlsInstance.currentLevel = medIdx;
-        hlsInstance.nextLevel = medIdx;
-      }
-      console.log('📉 HLS instance prepared for Med');
-    }
-  } catch (e) { console.warn('Could not configure HLS instance:', e); }
-}
-
 // ---------------------- Flip channel (main playback switch) ------------------------
-async function flipChannel(card, index) {
-  if (typeof currentChannelIndex !== 'undefined' && index === currentChannelIndex) return;
-  currentChannelIndex = index;
-  const channel = channels[index];
+async function flipChannel(card, id) {
+  if (typeof currentChannelId !== 'undefined' && id === currentChannelId) return;
+  const channel = channels.find(c => c.id === id);
   if (!channel) return;
+  if (isChannelLocked(channel) && !await requestPin(`${channel.name}: ${lockReason(channel)} Enter the PIN to watch this channel.`, { channelId: id })) return;
+  if (multiView.active) return showInMultiView(id);
+  if (currentChannelId && currentChannelId !== id) previousChannelId = currentChannelId;
+  currentChannelId = id;
 
   console.log('🎬 Switching to', channel.name);
   document.querySelectorAll('.channel').forEach(el => el.classList.remove('active', 'flipped'));
   if (card) card.classList.add('active', 'flipped');
   const channelNameEl = document.getElementById('channelName'); if (channelNameEl) channelNameEl.textContent = channel.name;
-  try { localStorage.setItem('lastChannelIndex', index); } catch (e) {}
+  updateFavoriteToggle();
+  try { localStorage.setItem('lastChannelId', id); } catch (e) {}
+  recordWatch(id);
   if (typeof video !== 'undefined' && video) video.muted = false;
 
-  // cleanup previous session
-  if (window.hls) { try { window.hls.destroy(); } catch(e) {} window.hls = null; }
-  if (bufferWatcher) { clearInterval(bufferWatcher); bufferWatcher = null; }
-  try { await player.unload().catch(()=>{}); } catch(e) {}
-
-  const onMobile = isOnMobileData();
-  if (onMobile) {
-    console.log('📱 Mobile data detected: disabling preloading & preferring low bitrate.');
-    configureForMobileData({ playerInstance: player, hlsInstance: window.hls });
-    teardownPrewarmedResources();
-  }
-
+  if (isOnMobileData()) console.log('📱 Mobile data detected: preferring low bitrate.');
   try { applyConnectionCaps(); } catch (e) {}
-  try { const cat = getConnectionCategory(); if (cat === 'wifi' || cat === '5g') promoteToHighestAllowedTierNow(); } catch (e) {}
-
-  // Engine preferred
-  const canUseEngine = window.engine && channel.engineSupported;
-  if (canUseEngine) {
-    try {
-      window.engine.playChannelSafe(index);
-      currentFormat = 'engine';
-      setupEngineListeners(channel);
-      startDeadStreamWatchdog(channel, index);
-      if (!onMobile) prewarmSurroundingChannels(index);
-      if (onMobile) try { if (typeof window.engine.configure === 'function') window.engine.configure?.({ abr: { restrictions: { maxBandwidth: QUALITY_TIERS.find(t => t.key === 'med').maxBitrate } } }); } catch (e) {}
-      console.log(`🚀 Playing ${channel.name} via Engine (preferred)`);
-      return;
-    } catch (e) { console.warn(`⚠️ Engine failed for ${channel.name}, falling back`, e); }
-  }
-
-  // DASH fallback
-  if (channel.manifestUri?.endsWith('.mpd')) {
-    try {
-      const dashConfig = { drm: { clearKeys: channel.clearKey || {} }, streaming: { lowLatencyMode: true, jumpLargeGaps: true }, abr: { enabled: true } };
-      if (onMobile && player) dashConfig.abr = { enabled: true, restrictions: { maxBandwidth: QUALITY_TIERS.find(t => t.key === 'med').maxBitrate } };
-      player.configure(dashConfig);
-      player.addEventListener('error', () => restartChannel(channel, index));
-      await player.load(channel.manifestUri);
-      // enforce tier
-      enforceEngineTier(player, ALLOWED_TIERS);
-      await (typeof video !== 'undefined' && video ? video.play().catch(()=>{}) : Promise.resolve());
-      currentFormat = 'dash';
-      startDeadStreamWatchdog(channel, index);
-      if (!onMobile) prewarmSurroundingChannels(index);
-      console.log(`✅ Playing ${channel.name} via DASH fallback`);
-    } catch (e) { console.warn('DASH fallback failed', e); restartChannel(channel, index); }
-    return;
-  }
-
-  // HLS fallback
-  if (channel.url?.endsWith('.m3u8')) {
-    if (!Hls.isSupported()) {
-      video.src = channel.url;
-      video.addEventListener('loadedmetadata', () => video.play().catch(()=>{}));
-      startDeadStreamWatchdog(channel, index);
-      if (!onMobile) prewarmSurroundingChannels(index);
-      return;
-    }
-
-    window.hls = new Hls({ enableWorker:true, lowLatencyMode:true });
-    window.hls.attachMedia(video);
-    window.hls.on(Hls.Events.MEDIA_ATTACHED, () => window.hls.loadSource(channel.url));
-    window.hls.on(Hls.Events.MANIFEST_PARSED, (event, data) => {
-      try {
-        const cat = getConnectionCategory();
-        const cap = getEffectiveMaxBandwidth(cat);
-        const desiredTier = chooseAllowedTierForBandwidth(cap);
-        const level = chooseHlsLevelByTier(window.hls, desiredTier.key);
-        if (level >= 0) {
-          window.hls.currentLevel = level;
-          window.hls.nextLevel = level;
-          window.hls.autoLevelCapping = level;
-          console.log('📉 HLS: applied tier level at manifest parsed ->', level, 'tier:', desiredTier.key);
-        } else {
-          try { window.hls.autoLevelCapping = -1; } catch (e) {}
-        }
-      } catch (e) { console.warn('HLS manifest handling error', e); }
-
-      if (onMobile) {
-        try {
-          const medIdx = chooseHlsLevelByTier(window.hls, 'med');
-          if (medIdx >= 0) { window.hls.currentLevel = medIdx; window.hls.nextLevel = medIdx; window.hls.autoLevelCapping = medIdx; }
-          console.log('📉 HLS: forced Med for mobile at manifest parsed');
-        } catch (e) { console.warn('Could not force mobile HLS level', e); }
-      }
-
-      // enforce tier switching
-      enforceHlsTierSwitching(window.hls, ALLOWED_TIERS);
 
-      video.play().catch(()=>{});
-      currentFormat = 'hls';
-      startDeadStreamWatchdog(channel, index);
-      if (!onMobile) prewarmSurroundingChannels(index);
-      console.log(`✅ Playing ${channel.name} via HLS fallback`);
-    });
-    window.hls.on(Hls.Events.ERROR, (event, data) => { if (data.fatal) restartChannel(channel, index); });
-    return;
-  }
-
-  // Unsupported
-  restartChannel(channel, index);
+  resetRecovery(channel);
+  if (await loadSource(channel, recovery.sources[0])) console.log(`✅ Playing ${channel.name} via ${playback.backend}`);
 }
 
 // ---------------------- Runtime helpers exposed ------------------------
@@ -1527,6 +1302,7 @@ function setAllowedTiers(tiersArray) {
   normalized.forEach(t => ALLOWED_TIERS.push(t));
   console.log('Allowed tiers updated to', ALLOWED_TIERS);
   try { applyConnectionCaps(); } catch (e) {}
+  multiView.slots.forEach(tile => tile && tile.playback && applyTileTier(tile));
 }
 
 // Expose a simple UI helper to let users choose a tier manually (optional)
@@ -1541,15 +1317,10 @@ function createTierSelectorUI(containerEl) {
   select.addEventListener('change', () => {
     const chosenKey = select.value;
     try {
-      // enforce chosen tier immediately across players
-      if (window.hls) {
-        const idx = chooseHlsLevelByTier(window.hls, chosenKey);
-        if (idx >= 0) { window.hls.currentLevel = idx; window.hls.nextLevel = idx; window.hls.autoLevelCapping = idx; }
-      }
-      if (typeof player !== 'undefined' && player?.configure) { try { player.configure({ abr: { enabled: false } }); } catch (e) {} }
-      if (window.engine) enforceEngineTier(window.engine, [chosenKey]);
-      // update allowed tiers to reflect manual override
+      // manual override; setAllowedTiers applies it to playback right away
       setAllowedTiers([chosenKey]);
+      try { localStorage.setItem('preferredTier', chosenKey); } catch (e) {}
+      scheduleStateSync();
       console.log('User selected tier', chosenKey);
     } catch (e) { console.warn('Tier selector failed', e); }
   });
@@ -1626,11 +1397,14 @@ document.addEventListener('click', (e) => {
 // ========================
 // Global Variables
 // ========================
-let currentChannelIndex = -1;
+let currentChannelId = null;
 let selectedCategory = 'Local';
 let searchQuery = '';
 let focusedCategoryIndex = 0;
 let focusedChannelIndex = 0;
+let channelHealth = {};
+let epgNowNext = {};
+let hideDeadChannels = localStorage.getItem('hideDeadChannels') === '1';
 const allowedCategories = [
   'Local','Sports','Kids','Movies','Astro','Music',
   'Comedy','Documentary','News',
@@ -1652,45 +1426,1268 @@ const categoryIcons = {
 const fadeDuration = 250;
 
 
-// ========================
-// Helper Functions
-// ========================
-function debounce(fn, delay) {
-  let timeout;
-  return (...args) => {
-    clearTimeout(timeout);
-    timeout = setTimeout(() => fn(...args), delay);
-  };
+// ========================
+// Helper Functions
+// ========================
+function debounce(fn, delay) {
+  let timeout;
+  return (...args) => {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => fn(...args), delay);
+  };
+}
+
+// ========================
+// Channel / Category Logic
+// ========================
+// script.js
+let channels = [];
+
+async function loadChannels() {
+  try {
+    const res = await fetch("/channels");
+    if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
+    channels = await res.json();
+
+    renderCategoryFilters();
+    renderChannelRows();
+
+    const savedId = localStorage.getItem("lastChannelId");
+    const initial = channels.find(c => c.id === savedId) || channels[0];
+    const card = initial && document.querySelector(`.channel[data-id="${CSS.escape(initial.id)}"]`);
+    if (card && !isChannelLocked(initial)) flipChannel(card, initial.id);
+
+  } catch (err) {
+    console.error("❌ Failed to load channels:", err);
+    const container = document.querySelector("#channels-container");
+    if (container) container.innerHTML = "<p style='color:red;'>Failed to load channels.</p>";
+  }
+}
+
+document.addEventListener("DOMContentLoaded", loadChannels);
+
+// ------ Stream health (server-side prober) ------
+const HEALTH_POLL_MS = 5 * 60 * 1000;
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[c]));
+}
+
+function isChannelOffline(id) {
+  return channelHealth[id]?.status === 'offline';
+}
+
+async function loadChannelHealth() {
+  try {
+    const res = await fetch('/api/health/channels');
+    if (!res.ok) return;
+    const data = await res.json();
+    const before = JSON.stringify(Object.keys(channelHealth).filter(isChannelOffline));
+    channelHealth = data.channels || {};
+    const after = JSON.stringify(Object.keys(channelHealth).filter(isChannelOffline));
+    if (before !== after && channels.length) renderChannelRows();
+  } catch (err) {
+    console.warn('⚠️ Health status unavailable:', err);
+  }
+}
+
+function updateHideDeadToggle() {
+  const btn = document.getElementById('hideDeadToggle');
+  if (!btn) return;
+  btn.textContent = hideDeadChannels ? '🚫 Offline channels: hidden' : '📡 Offline channels: shown';
+  btn.setAttribute('aria-pressed', hideDeadChannels ? 'true' : 'false');
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const btn = document.getElementById('hideDeadToggle');
+  if (btn) {
+    btn.addEventListener('click', () => {
+      hideDeadChannels = !hideDeadChannels;
+      try { localStorage.setItem('hideDeadChannels', hideDeadChannels ? '1' : '0'); } catch (e) {}
+      updateHideDeadToggle();
+      focusedChannelIndex = 0;
+      renderChannelRows();
+      scheduleStateSync();
+    });
+  }
+  updateHideDeadToggle();
+  loadChannelHealth();
+  setInterval(loadChannelHealth, HEALTH_POLL_MS);
+});
+
+// ------ Programme guide (XMLTV via /api/epg) ------
+const EPG_POLL_MS = 5 * 60 * 1000;
+const GUIDE_HOURS = 3;
+const GUIDE_SLOT_MS = 30 * 60 * 1000;
+
+function formatClock(date) {
+  return new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// Now/next for every channel with guide data, shown under the card name
+async function loadEpgNowNext() {
+  try {
+    const res = await fetch('/api/epg');
+    if (!res.ok) return;
+    const data = await res.json();
+    const now = Date.now();
+    const next = {};
+    for (const [id, list] of Object.entries(data.channels || {})) {
+      const i = list.findIndex(p => Date.parse(p.start) <= now && Date.parse(p.stop) > now);
+      const upcoming = list.find(p => Date.parse(p.start) > now);
+      next[id] = { now: i >= 0 ? list[i] : null, next: (i >= 0 ? list[i + 1] : upcoming) || null };
+    }
+    const changed = JSON.stringify(next) !== JSON.stringify(epgNowNext);
+    epgNowNext = next;
+    if (changed && channels.length) renderChannelRows();
+  } catch (err) {
+    console.warn('⚠️ EPG unavailable:', err);
+  }
+}
+
+function isGuideOpen() {
+  const guide = document.getElementById('programmeGuide');
+  return !!guide && !guide.classList.contains('hidden');
+}
+
+// Timeline for the selected category: one row per channel, programmes sized by duration
+async function renderGuide() {
+  const guide = document.getElementById('programmeGuide');
+  if (!guide) return;
+  const from = Math.floor(Date.now() / GUIDE_SLOT_MS) * GUIDE_SLOT_MS;
+  const to = from + GUIDE_HOURS * 60 * 60 * 1000;
+  const rowChannels = channelsInTab(selectedCategory);
+
+  guide.innerHTML = '<p class="text-white text-sm">Loading guide…</p>';
+  let data;
+  try {
+    const ids = rowChannels.map(c => encodeURIComponent(c.id)).join(',');
+    const res = await fetch(`/api/epg?channel=${ids}&from=${from}&to=${to}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    data = await res.json();
+  } catch (err) {
+    guide.innerHTML = '<p class="text-red-400 text-sm">Guide unavailable.</p>';
+    return;
+  }
+
+  const listed = rowChannels.filter(c => data.channels[c.id]);
+  if (!listed.length) {
+    guide.innerHTML = `<p class="text-white text-sm">No guide data for ${escapeHtml(selectedCategory)}.</p>`;
+    return;
+  }
+
+  const span = to - from;
+  const pct = ms => `${Math.max(0, Math.min(100, (ms / span) * 100))}%`;
+  const now = Date.now();
+  const slots = [];
+  for (let t = from; t < to; t += GUIDE_SLOT_MS) slots.push(t);
+
+  guide.innerHTML = `
+    <div class="guide-grid">
+      <div class="guide-row guide-header">
+        <div class="guide-channel"></div>
+        <div class="guide-track">
+          ${slots.map(t => `<span class="guide-slot" style="left:${pct(t - from)}">${formatClock(t)}</span>`).join('')}
+          <span class="guide-now" style="left:${pct(now - from)}"></span>
+        </div>
+      </div>
+      ${listed.map(c => `
+        <div class="guide-row" role="row">
+          <div class="guide-channel" role="rowheader" title="${escapeHtml(c.name)}">
+            <img src="${escapeHtml(c.logo)}" alt="" loading="lazy" />
+            <span>${escapeHtml(c.name)}</span>
+          </div>
+          <div class="guide-track">
+            ${data.channels[c.id].map(p => {
+              const start = Math.max(Date.parse(p.start), from);
+              const stop = Math.min(Date.parse(p.stop), to);
+              const live = Date.parse(p.start) <= now && Date.parse(p.stop) > now;
+              return `<button class="guide-programme ${live ? 'live' : ''}" role="gridcell" data-id="${escapeHtml(c.id)}"
+                style="left:${pct(start - from)};width:${pct(stop - start)}"
+                title="${escapeHtml(`${formatClock(p.start)}–${formatClock(p.stop)} ${p.title}${p.desc ? `\n${p.desc}` : ''}`)}">
+                <span class="guide-title">${escapeHtml(p.title)}</span>
+                <span class="guide-time">${formatClock(p.start)}</span>
+              </button>`;
+            }).join('')}
+          </div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+
+  guide.querySelectorAll('.guide-programme').forEach(btn => {
+    btn.onclick = () => {
+      const id = btn.dataset.id;
+      const card = document.querySelector(`.channel[data-id="${CSS.escape(id)}"]`);
+      flipChannel(card, id);
+      document.getElementById('videoContainer')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    };
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const toggle = document.getElementById('guideToggle');
+  const guide = document.getElementById('programmeGuide');
+  if (toggle && guide) {
+    toggle.addEventListener('click', () => {
+      guide.classList.toggle('hidden');
+      toggle.setAttribute('aria-expanded', isGuideOpen() ? 'true' : 'false');
+      if (isGuideOpen()) renderGuide();
+    });
+  }
+  loadEpgNowNext();
+  setInterval(() => {
+    loadEpgNowNext();
+    if (isGuideOpen()) renderGuide();
+  }, EPG_POLL_MS);
+});
+
+// ------ Live lineup updates (SSE from /events) ------
+function stopCurrentChannel(message) {
+  resetRecovery(null);
+  sourceRun = null;
+  playback.stop();
+  currentChannelId = null;
+  const channelNameEl = document.getElementById('channelName');
+  if (channelNameEl) channelNameEl.textContent = message;
+  updateFavoriteToggle();
+}
+
+function refreshLineupViews() {
+  if (!VIRTUAL_TABS.includes(selectedCategory) && !channels.some(c => c.category === selectedCategory)) {
+    selectedCategory = allowedCategories.find(cat => channels.some(c => c.category === cat)) || selectedCategory;
+    focusedCategoryIndex = 0;
+  }
+  renderCategoryFilters();
+  renderChannelRows();
+}
+
+function connectChannelEvents() {
+  if (!window.EventSource) return;
+  const source = new EventSource('/events');
+  let dropped = false;
+
+  source.addEventListener('added', e => {
+    const added = JSON.parse(e.data).filter(ch => !channels.some(c => c.id === ch.id));
+    channels = channels.concat(added);
+    refreshLineupViews();
+  });
+
+  source.addEventListener('removed', e => {
+    const removed = new Set(JSON.parse(e.data));
+    channels = channels.filter(c => !removed.has(c.id));
+    if (currentChannelId && removed.has(currentChannelId)) stopCurrentChannel('This channel is no longer available');
+    refreshLineupViews();
+  });
+
+  source.addEventListener('changed', e => {
+    const retune = [];
+    for (const ch of JSON.parse(e.data)) {
+      const i = channels.findIndex(c => c.id === ch.id);
+      if (i < 0) continue;
+      // only new sources interrupt the channel being watched
+      if (ch.id === currentChannelId && JSON.stringify(channelSources(channels[i])) !== JSON.stringify(channelSources(ch))) retune.push(ch.id);
+      channels[i] = ch;
+      if (ch.id === currentChannelId) {
+        const channelNameEl = document.getElementById('channelName');
+        if (channelNameEl) channelNameEl.textContent = ch.name;
+      }
+    }
+    refreshLineupViews();
+    retune.forEach(id => {
+      currentChannelId = null;
+      flipChannel(document.querySelector(`.channel[data-id="${CSS.escape(id)}"]`), id);
+    });
+  });
+
+  // After a dropped connection we may have missed events: refetch once reconnected
+  source.onerror = () => { dropped = true; };
+  source.onopen = async () => {
+    if (!dropped) return;
+    dropped = false;
+    try {
+      const res = await fetch('/channels');
+      if (!res.ok) return;
+      channels = await res.json();
+      if (currentChannelId && !channels.some(c => c.id === currentChannelId)) stopCurrentChannel('This channel is no longer available');
+      refreshLineupViews();
+    } catch (err) {
+      console.warn('⚠️ Could not resync channels:', err);
+    }
+  };
+}
+
+document.addEventListener('DOMContentLoaded', connectChannelEvents);
+
+// ------ Account & synced state (/api/me/state) ------
+const SYNCED_HISTORY = 500;
+let currentUser = null;
+let stateSyncTimer = null;
+let applyingState = false;
+
+function readStoredJson(key, fallback) {
+  try { return JSON.parse(localStorage.getItem(key)) ?? fallback; } catch (e) { return fallback; }
+}
+
+// Watch history as { id, time } entries in localStorage zapHistory. Players from
+// before channel ids stored { index, time }; those can't be matched to a channel
+// any more and the server refuses them, so they're dropped.
+const isHistoryEntry = h => !!h && typeof h.id === 'string' && Number.isFinite(h.time);
+
+function readHistory() {
+  const history = readStoredJson('zapHistory', []);
+  return Array.isArray(history) ? history.filter(isHistoryEntry) : [];
+}
+
+// Rewrite zapHistory without the legacy entries, once per page load
+function cleanStoredHistory() {
+  const stored = readStoredJson('zapHistory', []);
+  const history = readHistory();
+  if (Array.isArray(stored) && stored.length === history.length) return;
+  try { localStorage.setItem('zapHistory', JSON.stringify(history)); } catch (e) {}
+}
+
+function recordWatch(id) {
+  const history = readHistory();
+  history.push({ id, time: Date.now() });
+  try { localStorage.setItem('zapHistory', JSON.stringify(history.slice(-5000))); } catch (e) {}
+  scheduleStateSync();
+}
+
+function localState() {
+  const volume = parseFloat(localStorage.getItem('savedVolume'));
+  return {
+    favorites: readStoredJson('favorites', []),
+    history: readHistory().slice(-SYNCED_HISTORY),
+    volume: Number.isFinite(volume) ? Math.min(1, Math.max(0, volume)) : null,
+    tier: localStorage.getItem('preferredTier'),
+    filter: { category: selectedCategory, hideOffline: hideDeadChannels }
+  };
+}
+
+// First sign-in on this device: keep favorites and history from both sides,
+// settings come from the account if it has any
+function mergeStates(local, remote) {
+  const seen = new Set();
+  const history = [...remote.history, ...local.history]
+    .filter(h => { const key = `${h.id}@${h.time}`; if (seen.has(key)) return false; seen.add(key); return true; })
+    .sort((a, b) => a.time - b.time)
+    .slice(-SYNCED_HISTORY);
+  return {
+    favorites: [...new Set([...remote.favorites, ...local.favorites])],
+    history,
+    volume: remote.volume ?? local.volume,
+    tier: remote.tier ?? local.tier,
+    filter: remote.updatedAt ? remote.filter : local.filter
+  };
+}
+
+function applyState(state) {
+  applyingState = true;
+  try {
+    localStorage.setItem('favorites', JSON.stringify(state.favorites || []));
+    localStorage.setItem('zapHistory', JSON.stringify((state.history || []).filter(isHistoryEntry)));
+    if (state.volume !== null && state.volume !== undefined) localStorage.setItem('savedVolume', state.volume);
+    if (state.tier) localStorage.setItem('preferredTier', state.tier);
+    localStorage.setItem('hideDeadChannels', state.filter?.hideOffline ? '1' : '0');
+  } catch (e) {}
+
+  if (state.volume !== null && state.volume !== undefined) {
+    video.volume = state.volume;
+    video.muted = state.volume === 0;
+    volumeSlider.value = state.volume;
+    if (state.volume > 0) lastVolume = state.volume;
+    updateVolumeIcon();
+  }
+  if (state.tier) setAllowedTiers([state.tier]);
+  hideDeadChannels = !!state.filter?.hideOffline;
+  updateHideDeadToggle();
+  if (state.filter?.category && [...VIRTUAL_TABS, ...allowedCategories].includes(state.filter.category)) selectedCategory = state.filter.category;
+  if (channels.length) {
+    renderCategoryFilters();
+    renderChannelRows();
+  }
+  document.dispatchEvent(new CustomEvent('userstatechange'));
+  applyingState = false;
+}
+
+async function pushState() {
+  if (!currentUser) return;
+  try {
+    const res = await fetch('/api/me/state', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(localState())
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  } catch (err) {
+    console.warn('⚠️ Could not save synced state:', err);
+  }
+}
+
+// Batch changes (zapping, volume drags) into one PUT
+function scheduleStateSync() {
+  if (!currentUser || applyingState) return;
+  clearTimeout(stateSyncTimer);
+  stateSyncTimer = setTimeout(pushState, 2000);
+}
+
+async function startStateSync(username) {
+  currentUser = username;
+  updateAccountButton();
+  try {
+    const res = await fetch('/api/me/state', { cache: 'no-store' });
+    if (!res.ok) return;
+    const remote = await res.json();
+    // merge once per device and account; after that the account is the source of truth
+    if (localStorage.getItem('syncedUser') !== username) {
+      applyState(mergeStates(localState(), remote));
+      localStorage.setItem('syncedUser', username);
+      await pushState();
+    } else {
+      applyState(remote);
+    }
+  } catch (err) {
+    console.warn('⚠️ Could not load synced state:', err);
+  }
+}
+
+function updateAccountButton() {
+  const btn = document.getElementById('accountBtn');
+  if (btn) btn.textContent = currentUser ? `👤 ${currentUser} · Sign out` : '👤 Sign in to sync';
+}
+
+function showAccountModal(show) {
+  const modal = document.getElementById('accountModal');
+  if (!modal) return;
+  modal.classList.toggle('hidden', !show);
+  document.getElementById('accountError').classList.add('hidden');
+  if (show) document.getElementById('accountUsername').focus();
+}
+
+async function submitAccountForm(action) {
+  const errorEl = document.getElementById('accountError');
+  const username = document.getElementById('accountUsername').value.trim();
+  const password = document.getElementById('accountPassword').value;
+  try {
+    const res = await fetch(`/api/auth/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      errorEl.textContent = data.details ? data.details.map(d => d.message).join('. ') : (data.error || 'Something went wrong');
+      errorEl.classList.remove('hidden');
+      return;
+    }
+    document.getElementById('accountPassword').value = '';
+    showAccountModal(false);
+    await startStateSync(data.username);
+  } catch (err) {
+    errorEl.textContent = 'Network error, try again';
+    errorEl.classList.remove('hidden');
+  }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const tier = localStorage.getItem('preferredTier');
+  if (tier) setAllowedTiers([tier]);
+
+  const btn = document.getElementById('accountBtn');
+  const form = document.getElementById('accountForm');
+  if (btn) {
+    btn.addEventListener('click', async () => {
+      if (!currentUser) return showAccountModal(true);
+      clearTimeout(stateSyncTimer);
+      await pushState();
+      await fetch('/api/auth/logout', { method: 'POST' }).catch(() => {});
+      currentUser = null;
+      updateAccountButton();
+    });
+  }
+  if (form) {
+    let action = 'login';
+    form.querySelectorAll('button[type="submit"]').forEach(b => b.addEventListener('click', () => { action = b.dataset.action; }));
+    form.addEventListener('submit', e => { e.preventDefault(); submitAccountForm(action); });
+    document.getElementById('closeAccountModal').addEventListener('click', () => showAccountModal(false));
+  }
+  video.addEventListener('volumechange', scheduleStateSync);
+  cleanStoredHistory();
+
+  try {
+    const res = await fetch('/api/me', { cache: 'no-store' });
+    if (res.ok) await startStateSync((await res.json()).username);
+  } catch (err) {}
+});
+
+// ------ Parental controls ------
+// Ratings in lib/validate.js order; locks are per device and apply once a PIN is set
+const RATINGS = ['G', 'PG', 'R-13', 'R-16', 'R-18'];
+const KIDS_CATEGORIES = ['Kids'];
+// The PIN unlocks the channel it was asked for, for this long; the settings stay
+// open without asking again for PARENTAL_SETTINGS_MS
+const PARENTAL_UNLOCK_MS = 30 * 60 * 1000;
+const PARENTAL_SETTINGS_MS = 5 * 60 * 1000;
+const PIN_ITERATIONS = 100000;
+let parental = { pinHash: null, categories: [], channels: [], maxRating: null, kidsOnly: false, ...readStoredJson('parentalControls', {}) };
+const unlockedChannels = new Map();   // channel id -> { until, timer }
+let parentalSettingsUntil = 0;
+
+function saveParental() {
+  try { localStorage.setItem('parentalControls', JSON.stringify(parental)); } catch (e) {}
+}
+
+// PINs are stored as salted PBKDF2. crypto.subtle only exists on HTTPS and
+// localhost; anywhere else no PIN can be set, since a fast unsalted hash of a
+// 4-digit PIN in localStorage is no lock at all.
+function canHashPin() {
+  return !!window.crypto?.subtle;
+}
+
+const toHex = bytes => [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, '0')).join('');
+
+async function derivePin(pin, salt, iterations) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+  return toHex(await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256));
+}
+
+async function hashPin(pin) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return `pbkdf2:${PIN_ITERATIONS}:${toHex(salt)}:${await derivePin(pin, salt, PIN_ITERATIONS)}`;
+}
+
+// PINs saved as plain sha256 by earlier versions are re-hashed on the first right entry
+async function checkPin(pin) {
+  if (!parental.pinHash || !canHashPin()) return false;
+  const [scheme, ...parts] = parental.pinHash.split(':');
+  if (scheme === 'pbkdf2') {
+    const [iterations, saltHex, hash] = parts;
+    const salt = new Uint8Array((saltHex || '').match(/../g)?.map(h => parseInt(h, 16)) || []);
+    return await derivePin(pin, salt, Number(iterations)) === hash;
+  }
+  if (scheme !== 'sha256') return false;
+  const legacy = toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`iptv-parental:${pin}`)));
+  if (legacy !== parts[0]) return false;
+  parental.pinHash = await hashPin(pin);
+  saveParental();
+  return true;
+}
+
+function isChannelUnlocked(id) {
+  return (unlockedChannels.get(id)?.until || 0) > Date.now();
+}
+
+// Why a channel needs the PIN, or null
+function lockReason(channel) {
+  if (!parental.pinHash || !channel) return null;
+  if (parental.channels.includes(channel.id)) return 'This channel is locked.';
+  if (parental.categories.includes(channel.category)) return `${channel.category} is locked.`;
+  if (parental.kidsOnly && !KIDS_CATEGORIES.includes(channel.category)) return 'Kids-only mode is on.';
+  if (parental.maxRating && channel.rating && RATINGS.indexOf(channel.rating) > RATINGS.indexOf(parental.maxRating)) {
+    return `Rated ${channel.rating}.`;
+  }
+  return null;
+}
+
+function isChannelLocked(channel) {
+  return !!lockReason(channel) && !isChannelUnlocked(channel.id);
+}
+
+// Category tabs to show; Kids-only mode hides the rest until the PIN is entered
+function visibleCategories() {
+  const present = allowedCategories.filter(cat => channels.some(c => c.category === cat));
+  if (!parental.kidsOnly || !parental.pinHash) return [...VIRTUAL_TABS, ...present];
+  return present.filter(cat => KIDS_CATEGORIES.includes(cat));
+}
+
+function unlockChannel(id) {
+  clearTimeout(unlockedChannels.get(id)?.timer);
+  const timer = setTimeout(() => relockChannel(id), PARENTAL_UNLOCK_MS);
+  unlockedChannels.set(id, { until: Date.now() + PARENTAL_UNLOCK_MS, timer });
+  refreshParentalViews();
+}
+
+function relockChannel(id) {
+  clearTimeout(unlockedChannels.get(id)?.timer);
+  unlockedChannels.delete(id);
+  const current = channels.find(c => c.id === currentChannelId);
+  if (current?.id === id && lockReason(current)) stopCurrentChannel('🔒 Locked');
+  refreshParentalViews();
+}
+
+// "Lock now": every unlocked channel and the settings
+function lockParental() {
+  unlockedChannels.forEach(({ timer }) => clearTimeout(timer));
+  unlockedChannels.clear();
+  parentalSettingsUntil = 0;
+  const current = channels.find(c => c.id === currentChannelId);
+  if (lockReason(current)) stopCurrentChannel('🔒 Locked');
+  refreshParentalViews();
+}
+
+function refreshParentalViews() {
+  if (!channels.length) return;
+  const visible = visibleCategories();
+  if (!visible.includes(selectedCategory)) {
+    selectedCategory = visible[0] || selectedCategory;
+    focusedCategoryIndex = 0;
+    focusedChannelIndex = 0;
+  }
+  renderCategoryFilters();
+  renderChannelRows();
+  if (isGuideOpen()) renderGuide();
+}
+
+// Shows the PIN prompt; resolves true once the right PIN is entered. With a
+// channelId the PIN unlocks that channel only, without one it opens the settings.
+function requestPin(message, { channelId } = {}) {
+  if (!parental.pinHash) return Promise.resolve(true);
+  if (channelId ? isChannelUnlocked(channelId) : Date.now() < parentalSettingsUntil) return Promise.resolve(true);
+  const prompt = document.getElementById('pinPrompt');
+  const form = document.getElementById('pinPromptForm');
+  const input = document.getElementById('pinPromptInput');
+  const error = document.getElementById('pinPromptError');
+  const cancel = document.getElementById('pinPromptCancel');
+  document.getElementById('pinPromptMessage').textContent = message;
+  input.value = '';
+  error.classList.add('hidden');
+  prompt.classList.remove('hidden');
+  input.focus();
+
+  return new Promise(resolve => {
+    const finish = ok => {
+      prompt.classList.add('hidden');
+      form.removeEventListener('submit', onSubmit);
+      cancel.removeEventListener('click', onCancel);
+      resolve(ok);
+    };
+    const onSubmit = async e => {
+      e.preventDefault();
+      if (!await checkPin(input.value)) {
+        error.textContent = canHashPin() ? 'Wrong PIN' : 'The PIN can only be checked over HTTPS or on localhost.';
+        error.classList.remove('hidden');
+        input.value = '';
+        return;
+      }
+      if (channelId) unlockChannel(channelId);
+      else parentalSettingsUntil = Date.now() + PARENTAL_SETTINGS_MS;
+      finish(true);
+    };
+    const onCancel = () => finish(false);
+    form.addEventListener('submit', onSubmit);
+    cancel.addEventListener('click', onCancel);
+  });
+}
+
+function renderParentalModal() {
+  document.getElementById('parentalPinStatus').textContent = parental.pinHash
+    ? 'PIN is set. Save an empty PIN to turn parental controls off.'
+    : 'No PIN yet: locks take effect once you save one.';
+  document.getElementById('parentalKidsOnly').checked = parental.kidsOnly;
+
+  const rating = document.getElementById('parentalMaxRating');
+  rating.innerHTML = `<option value="">Any rating</option>${RATINGS.map(r => `<option value="${r}">${r}</option>`).join('')}`;
+  rating.value = parental.maxRating || '';
+
+  document.getElementById('parentalCategories').innerHTML = allowedCategories.map(cat => `
+    <label class="flex items-center gap-1"><input type="checkbox" value="${escapeHtml(cat)}" ${parental.categories.includes(cat) ? 'checked' : ''} /> ${escapeHtml(cat)}</label>
+  `).join('');
+
+  const current = channels.find(c => c.id === currentChannelId);
+  const lockCurrent = document.getElementById('parentalLockCurrent');
+  lockCurrent.disabled = !current;
+  lockCurrent.textContent = !current ? 'Nothing playing'
+    : parental.channels.includes(current.id) ? `🔓 Unlock ${current.name}` : `🔒 Lock ${current.name}`;
+
+  document.getElementById('parentalChannels').innerHTML = parental.channels.map(id => {
+    const ch = channels.find(c => c.id === id);
+    return `<li class="flex justify-between items-center"><span>${escapeHtml(ch ? ch.name : id)}</span>
+      <button data-unlock="${escapeHtml(id)}" class="text-gray-400 hover:text-white" aria-label="Unlock">✕</button></li>`;
+  }).join('') || '<li class="text-gray-500 text-xs">None</li>';
+}
+
+function updateParental(change) {
+  Object.assign(parental, change);
+  saveParental();
+  renderParentalModal();
+  refreshParentalViews();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const modal = document.getElementById('parentalModal');
+  const btn = document.getElementById('parentalBtn');
+  if (!modal || !btn) return;
+
+  btn.addEventListener('click', async () => {
+    if (!await requestPin('Enter the PIN to change parental controls.')) return;
+    renderParentalModal();
+    modal.classList.remove('hidden');
+  });
+  document.getElementById('closeParentalModal').addEventListener('click', () => modal.classList.add('hidden'));
+  document.getElementById('parentalLockNow').addEventListener('click', () => {
+    modal.classList.add('hidden');
+    lockParental();
+  });
+
+  document.getElementById('parentalSavePin').addEventListener('click', async () => {
+    const input = document.getElementById('parentalPin');
+    const pin = input.value.trim();
+    if (pin && !/^\d{4,8}$/.test(pin)) {
+      document.getElementById('parentalPinStatus').textContent = 'PIN must be 4 to 8 digits.';
+      return;
+    }
+    if (pin && !canHashPin()) {
+      document.getElementById('parentalPinStatus').textContent = 'A PIN can only be set over HTTPS or on localhost.';
+      return;
+    }
+    input.value = '';
+    // setting a PIN keeps the settings open for a while without asking for it
+    if (pin) parentalSettingsUntil = Date.now() + PARENTAL_SETTINGS_MS;
+    updateParental({ pinHash: pin ? await hashPin(pin) : null });
+  });
+  document.getElementById('parentalKidsOnly').addEventListener('change', e => updateParental({ kidsOnly: e.target.checked }));
+  document.getElementById('parentalMaxRating').addEventListener('change', e => updateParental({ maxRating: e.target.value || null }));
+  document.getElementById('parentalCategories').addEventListener('change', e => {
+    const cat = e.target.value;
+    const categories = parental.categories.filter(c => c !== cat);
+    if (e.target.checked) categories.push(cat);
+    updateParental({ categories });
+  });
+  document.getElementById('parentalLockCurrent').addEventListener('click', () => {
+    if (!currentChannelId) return;
+    const locked = parental.channels.includes(currentChannelId);
+    updateParental({ channels: locked ? parental.channels.filter(id => id !== currentChannelId) : [...parental.channels, currentChannelId] });
+  });
+  document.getElementById('parentalChannels').addEventListener('click', e => {
+    const id = e.target.dataset.unlock;
+    if (id) updateParental({ channels: parental.channels.filter(c => c !== id) });
+  });
+});
+
+// ------ Favorites & Recently Watched ------
+const FAVORITES_TAB = '★ Favorites';
+const RECENT_TAB = 'Recently Watched';
+const VIRTUAL_TABS = [FAVORITES_TAB, RECENT_TAB];
+const virtualTabIcons = { [FAVORITES_TAB]: '⭐', [RECENT_TAB]: '🕘' };
+const RECENT_LIMIT = 30;
+
+function favoriteIds() {
+  return readStoredJson('favorites', []);
+}
+
+function isFavorite(id) {
+  return favoriteIds().includes(id);
+}
+
+function toggleFavorite(id) {
+  const favorites = favoriteIds();
+  const next = favorites.includes(id) ? favorites.filter(f => f !== id) : [...favorites, id];
+  try { localStorage.setItem('favorites', JSON.stringify(next)); } catch (e) {}
+  scheduleStateSync();
+  updateFavoriteToggle();
+  if (selectedCategory === FAVORITES_TAB) renderChannelRows();
+  else document.querySelectorAll(`.fav-star[data-fav="${CSS.escape(id)}"]`).forEach(updateStar);
+}
+
+function updateStar(btn) {
+  const on = isFavorite(btn.dataset.fav);
+  btn.textContent = on ? '★' : '☆';
+  btn.setAttribute('aria-pressed', on ? 'true' : 'false');
+  btn.title = on ? 'Remove from favorites' : 'Add to favorites';
+}
+
+// Star in the player overlay follows whatever is playing
+function updateFavoriteToggle() {
+  const btn = document.getElementById('favoriteToggle');
+  if (!btn) return;
+  btn.classList.toggle('hidden', !currentChannelId);
+  btn.dataset.fav = currentChannelId || '';
+  if (currentChannelId) updateStar(btn);
+}
+
+// Channel ids from zapHistory, most recently watched first, each once
+function recentChannelIds() {
+  const seen = new Set();
+  const ids = [];
+  const history = readHistory();
+  for (let i = history.length - 1; i >= 0 && ids.length < RECENT_LIMIT; i--) {
+    const id = history[i]?.id;
+    if (id && !seen.has(id)) { seen.add(id); ids.push(id); }
+  }
+  return ids;
+}
+
+// Channels listed under a category tab, virtual or real
+function channelsInTab(tab) {
+  if (tab === FAVORITES_TAB || tab === RECENT_TAB) {
+    const ids = tab === FAVORITES_TAB ? favoriteIds() : recentChannelIds();
+    return ids.map(id => channels.find(c => c.id === id)).filter(Boolean);
+  }
+  return channels.filter(c => c.category === tab);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const btn = document.getElementById('favoriteToggle');
+  if (btn) btn.addEventListener('click', e => {
+    e.stopPropagation();
+    if (currentChannelId) toggleFavorite(currentChannelId);
+  });
+});
+document.addEventListener('userstatechange', updateFavoriteToggle);
+
+// ------ Search (every category, accent- and space-insensitive) ------
+// Folds text to lowercase letters and digits; map[i] is the index in the
+// original string that folded character i came from (for highlighting)
+function foldForSearch(text) {
+  let folded = '';
+  const map = [];
+  const wordStarts = new Set();
+  let prevWord = false;
+  for (let i = 0; i < text.length; i++) {
+    const f = text[i].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    if (f && !prevWord) wordStarts.add(folded.length);
+    prevWord = !!f;
+    for (const c of f) { folded += c; map.push(i); }
+  }
+  return { folded, map, wordStarts };
+}
+
+// { score, positions } or null. Substrings beat scattered letters; word starts score higher.
+function fuzzyMatch(name, query) {
+  const { folded, map, wordStarts } = foldForSearch(name);
+  if (!query || !folded) return null;
+
+  const at = folded.indexOf(query);
+  if (at >= 0) {
+    const score = folded === query ? 100 : at === 0 ? 90 : wordStarts.has(at) ? 80 : 70;
+    return { score, positions: Array.from(query, (_, k) => map[at + k]) };
+  }
+
+  // letters in order: "hbosig" -> "HBO Signature", "cnni" -> "CNN International"
+  const hits = [];
+  let from = 0;
+  for (const c of query) {
+    const i = folded.indexOf(c, from);
+    if (i < 0) return null;
+    hits.push(i);
+    from = i + 1;
+  }
+  const runs = hits.filter((h, k) => k === 0 || h !== hits[k - 1] + 1).length;
+  if (runs > Math.max(2, Math.ceil(query.length / 2))) return null;
+  const onWordStarts = hits.filter(h => wordStarts.has(h)).length;
+  return { score: Math.max(10, 60 - runs * 8 + onWordStarts * 3), positions: hits.map(h => map[h]) };
+}
+
+function highlightMatch(name, positions = []) {
+  const hit = new Set(positions);
+  let html = '';
+  let open = false;
+  for (let i = 0; i < name.length; i++) {
+    if (hit.has(i) !== open) { html += open ? '</mark>' : '<mark class="search-hit">'; open = !open; }
+    html += escapeHtml(name[i]);
+  }
+  return html + (open ? '</mark>' : '');
+}
+
+// Matches grouped by category; groups and channels ranked by match quality,
+// then by how often the channel has been watched
+function searchChannels(query) {
+  const q = foldForSearch(query).folded;
+  if (!q) return [];
+  const watched = {};
+  readHistory().forEach(h => { watched[h.id] = (watched[h.id] || 0) + 1; });
+
+  const categories = visibleCategories().filter(cat => !VIRTUAL_TABS.includes(cat));
+  const results = [];
+  for (const channel of channels) {
+    if (!categories.includes(channel.category)) continue;
+    if (hideDeadChannels && isChannelOffline(channel.id)) continue;
+    const match = fuzzyMatch(channel.name, q);
+    if (!match) continue;
+    const rank = match.score + Math.min(20, 5 * Math.log2(1 + (watched[channel.id] || 0)));
+    results.push({ channel, positions: match.positions, rank });
+  }
+  results.sort((a, b) => b.rank - a.rank || a.channel.name.localeCompare(b.channel.name));
+
+  const groups = new Map();
+  for (const r of results) {
+    if (!groups.has(r.channel.category)) groups.set(r.channel.category, { category: r.channel.category, items: [] });
+    groups.get(r.channel.category).items.push(r);
+  }
+  return [...groups.values()];
+}
+
+// ------ Channel numbers (LCN) & zapping ------
+const NUMBER_ENTRY_MS = 2000;
+const MAX_LCN_DIGITS = 4;
+let numberEntry = '';
+let numberEntryTimer = null;
+let osdHideTimer = null;
+let previousChannelId = null;
+
+function showOsd(number, name, ms = NUMBER_ENTRY_MS) {
+  const osd = document.getElementById('numberOsd');
+  if (!osd) return;
+  osd.innerHTML = `<span class="osd-number">${escapeHtml(number)}</span><span class="osd-name">${escapeHtml(name)}</span>`;
+  osd.classList.remove('hidden');
+  clearTimeout(osdHideTimer);
+  osdHideTimer = setTimeout(() => osd.classList.add('hidden'), ms);
+}
+
+// Channels the number keys and up/down can reach, in number order
+function zappableChannels() {
+  const categories = visibleCategories();
+  return channels
+    .filter(c => categories.includes(c.category) && !(hideDeadChannels && isChannelOffline(c.id)) && !isChannelLocked(c))
+    .sort((a, b) => (a.lcn || Infinity) - (b.lcn || Infinity));
+}
+
+// Play a channel that may not be on screen; the row follows it to its category
+function tuneTo(id) {
+  const channel = channels.find(c => c.id === id);
+  if (!channel) return;
+  const card = document.querySelector(`.channel[data-id="${CSS.escape(id)}"]`);
+  flipChannel(card, id);
+  showOsd(channel.lcn ? String(channel.lcn) : '', channel.name);
+  if (!card && !searchQuery && visibleCategories().includes(channel.category)) {
+    selectedCategory = channel.category;
+    focusedChannelIndex = 0;
+    animateCategoryChange();
+  }
+}
+
+function zap(step) {
+  const list = zappableChannels();
+  if (!list.length) return;
+  const playing = multiView.active ? multiView.slots[multiView.focused]?.channel.id : currentChannelId;
+  const at = list.findIndex(c => c.id === playing);
+  const next = at < 0 ? (step > 0 ? 0 : list.length - 1) : (at + step + list.length) % list.length;
+  tuneTo(list[next].id);
+}
+
+function recallLastChannel() {
+  if (previousChannelId && channels.some(c => c.id === previousChannelId)) tuneTo(previousChannelId);
+}
+
+function commitNumberEntry() {
+  clearTimeout(numberEntryTimer);
+  const number = Number(numberEntry);
+  numberEntry = '';
+  const channel = channels.find(c => c.lcn === number);
+  if (channel) tuneTo(channel.id);
+  else showOsd(String(number), 'No such channel');
+}
+
+function pushNumberDigit(digit) {
+  numberEntry = (numberEntry + digit).slice(-MAX_LCN_DIGITS);
+  const preview = channels.find(c => c.lcn === Number(numberEntry));
+  showOsd(numberEntry + '_'.repeat(MAX_LCN_DIGITS - numberEntry.length), preview ? preview.name : '', NUMBER_ENTRY_MS + 500);
+  clearTimeout(numberEntryTimer);
+  numberEntryTimer = setTimeout(commitNumberEntry, NUMBER_ENTRY_MS);
+}
+
+// Remote-style keys, checked before the browser navigation keys; true if handled
+function handleZapKey(event) {
+  if (event.ctrlKey || event.metaKey || event.altKey) return false;
+  const key = event.key;
+  if (/^[0-9]$/.test(key)) { pushNumberDigit(key); return true; }
+  if (numberEntry && key === 'Enter') { commitNumberEntry(); return true; }
+  if (numberEntry && key === 'Backspace') {
+    numberEntry = numberEntry.slice(0, -1);
+    if (numberEntry) pushNumberDigit('');
+    else { clearTimeout(numberEntryTimer); document.getElementById('numberOsd')?.classList.add('hidden'); }
+    return true;
+  }
+  if (['ChannelUp', 'PageUp', '+'].includes(key)) { zap(1); return true; }
+  if (['ChannelDown', 'PageDown', '-'].includes(key)) { zap(-1); return true; }
+  if (key === 'MediaLast' || key === 'Backspace') { recallLastChannel(); return true; }
+  return false;
+}
+
+// ------ Multi-view (up to four channels in a 2×2 grid) ------
+const MULTIVIEW_SLOTS = 4;
+const multiView = { active: false, slots: Array(MULTIVIEW_SLOTS).fill(null), focused: 0 };
+
+// Same rules as the main player: allowed tiers and the connection cap, Med on mobile data
+function applyTileTier(tile) {
+  tile.playback.setTiers(isOnMobileData() ? ['med'] : ALLOWED_TIERS, playbackTierCap().key);
+}
+
+function tileFailed(tile, err) {
+  console.warn(`⚠️ Multi-view: ${tile.channel.name} failed`, err);
+  tile.el.querySelector('.mv-error').classList.remove('hidden');
 }
 
-// ========================
-// Channel / Category Logic
-// ========================
-// script.js
-let channels = [];
+// The main player's recovery, cut down for a tile: reload once, then move on to
+// the next ranked source, and only show the error when none of them play
+function recoverTile(tile, err) {
+  clearTimeout(tile.timer);
+  if (tile.healthySince && Date.now() - tile.healthySince > RECOVERY_STABLE_MS) {
+    tile.reloaded = false;
+    tile.attempt = 0;
+  }
+  tile.healthySince = 0;
+  if (tile.reloaded) tile.sourceIndex++;
+  tile.reloaded = !tile.reloaded;
+  const source = tile.sources[tile.sourceIndex];
+  if (!source) return tileFailed(tile, err);
+  console.warn(`⚠️ Multi-view: ${tile.channel.name} trying ${sourceName(tile.channel, source)}`, err);
+  tile.timer = setTimeout(() => {
+    if (multiView.slots.includes(tile)) tile.playback.load(tile.channel, { source });
+  }, recoveryDelay(tile.attempt++));
+}
+
+function loadTile(tile) {
+  Object.assign(tile, { sources: rankSources(tile.channel), sourceIndex: 0, reloaded: false, attempt: 0, timer: null, healthySince: 0 });
+  tile.playback = createPlaybackController(tile.video);
+  tile.playback.on('ready', () => {
+    tile.healthySince = Date.now();
+    tile.el.querySelector('.mv-error').classList.add('hidden');
+  });
+  tile.playback.on('error', e => { if (e.fatal) recoverTile(tile, e.error || e.message); });
+  applyTileTier(tile);
+  tile.playback.load(tile.channel, { source: tile.sources[0] });
+}
+
+function destroyTile(slot) {
+  const tile = multiView.slots[slot];
+  if (!tile) return;
+  clearTimeout(tile.timer);
+  if (tile.playback) tile.playback.stop();
+  multiView.slots[slot] = null;
+}
+
+// Slots keep their element for as long as a tile plays in them; moving a playing
+// <video> around the DOM would pause it
+function renderMultiViewSlot(slot) {
+  const grid = document.getElementById('multiView');
+  const el = grid.querySelectorAll('.mv-slot')[slot];
+  const tile = multiView.slots[slot];
+  el.innerHTML = '';
+  if (tile) el.appendChild(tile.el);
+  else el.innerHTML = '<p class="mv-empty">＋ Pick a channel below</p>';
+}
+
+function focusTile(slot) {
+  multiView.focused = slot;
+  multiView.slots.forEach((tile, i) => {
+    if (!tile) return;
+    tile.video.muted = i !== slot || video.muted;
+    tile.video.volume = video.volume;
+    tile.el.classList.toggle('mv-focused', i === slot);
+  });
+}
 
-async function loadChannels() {
+function createTile(slot, channel) {
+  const el = document.createElement('div');
+  el.className = 'mv-tile';
+  el.innerHTML = `
+    <video muted playsinline autoplay></video>
+    <span class="mv-label">${channel.lcn ? `${channel.lcn} · ` : ''}${escapeHtml(channel.name)}</span>
+    <button type="button" class="mv-full" title="Full view" aria-label="Full view">⤢</button>
+    <button type="button" class="mv-close" title="Remove" aria-label="Remove">✕</button>
+    <p class="mv-error hidden">⚠️ Stream failed</p>
+  `;
+  const tile = { channel, el, video: el.querySelector('video'), playback: null };
+  // a click moves the audio here; clicking the tile that already has it goes full view
+  el.addEventListener('click', () => {
+    const at = multiView.slots.indexOf(tile);
+    if (at !== multiView.focused) focusTile(at);
+    else promoteTile(at);
+  });
+  el.querySelector('.mv-full').addEventListener('click', e => { e.stopPropagation(); promoteTile(multiView.slots.indexOf(tile)); });
+  el.querySelector('.mv-close').addEventListener('click', e => { e.stopPropagation(); removeTile(multiView.slots.indexOf(tile)); });
+
+  multiView.slots[slot] = tile;
+  renderMultiViewSlot(slot);
+  loadTile(tile);
+}
+
+function removeTile(slot) {
+  destroyTile(slot);
+  renderMultiViewSlot(slot);
+  if (slot === multiView.focused) {
+    const next = multiView.slots.findIndex(Boolean);
+    if (next >= 0) focusTile(next);
+  }
+}
+
+// flipChannel lands here while multi-view is on: show the channel in a free
+// slot, or in place of the tile that has the audio when all four are taken
+function showInMultiView(id) {
+  const channel = channels.find(c => c.id === id);
+  if (!channel) return;
+  const existing = multiView.slots.findIndex(t => t && t.channel.id === id);
+  if (existing >= 0) return focusTile(existing);
+  let slot = multiView.slots.indexOf(null);
+  if (slot < 0) {
+    slot = multiView.focused;
+    destroyTile(slot);
+  }
+  createTile(slot, channel);
+  focusTile(slot);
+  recordWatch(id);
+}
+
+function startMultiView() {
+  const first = currentChannelId;
+  const grid = document.getElementById('multiView');
+  if (!grid) return;
+  grid.querySelectorAll('.mv-slot').forEach(el => el.remove());
+  for (let i = 0; i < MULTIVIEW_SLOTS; i++) {
+    const slot = document.createElement('div');
+    slot.className = 'mv-slot';
+    grid.appendChild(slot);
+    renderMultiViewSlot(i);
+  }
+  stopCurrentChannel('🔲 Multi-view');
+  multiView.active = true;
+  grid.classList.remove('hidden');
+  document.getElementById('multiViewBtn').textContent = '🔲 Leave multi-view';
+  if (first) showInMultiView(first);
+}
+
+function exitMultiView() {
+  for (let i = 0; i < MULTIVIEW_SLOTS; i++) destroyTile(i);
+  multiView.active = false;
+  document.getElementById('multiView').classList.add('hidden');
+  document.getElementById('multiViewBtn').textContent = '🔲 Multi-view';
+}
+
+function promoteTile(slot) {
+  const tile = multiView.slots[slot];
+  if (!tile) return;
+  const id = tile.channel.id;
+  exitMultiView();
+  tuneTo(id);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const btn = document.getElementById('multiViewBtn');
+  if (!btn) return;
+  btn.addEventListener('click', () => {
+    if (multiView.active) {
+      const tile = multiView.slots[multiView.focused];
+      if (tile) promoteTile(multiView.focused);
+      else exitMultiView();
+    } else {
+      startMultiView();
+    }
+  });
+  document.getElementById('multiViewExit').addEventListener('click', e => {
+    e.stopPropagation();
+    btn.click();
+  });
+  // the volume controls still drive the main <video>; mirror them on the tile with audio
+  video.addEventListener('volumechange', () => { if (multiView.active) focusTile(multiView.focused); });
+  const conn = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
+  if (conn && conn.addEventListener) {
+    conn.addEventListener('change', () => multiView.slots.forEach(tile => tile && applyTileTier(tile)));
+  }
+});
+
+// ------ Live preview thumbnails ------
+const THUMB_WIDTH = 160;
+const THUMB_MAX_AGE_MS = 2 * 60 * 1000;
+const THUMB_PROBE_TIMEOUT_MS = 8000;
+let channelThumbs = {};
+let thumbsBusy = false;
+
+// Current frame of a <video> as a small JPEG data URL, or null
+function grabFrame(el) {
+  if (!el || el.readyState < 2 || !el.videoWidth) return null;
+  const canvas = document.createElement('canvas');
+  canvas.width = THUMB_WIDTH;
+  canvas.height = Math.round(THUMB_WIDTH * el.videoHeight / el.videoWidth);
   try {
-    const res = await fetch("/channels");
-    if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
-    channels = await res.json();
+    canvas.getContext('2d').drawImage(el, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', 0.6);
+  } catch (e) {
+    return null; // cross-origin video without CORS taints the canvas
+  }
+}
 
-    renderCategoryFilters();
-    renderChannelRows();
+function storeThumb(id, url) {
+  if (!url) return;
+  channelThumbs[id] = { url, time: Date.now() };
+  const channel = channels.find(c => c.id === id);
+  if (!channel || isChannelLocked(channel)) return;
+  document.querySelectorAll(`.channel[data-id="${CSS.escape(id)}"] .flip-front`).forEach(front => {
+    let img = front.querySelector('.live-thumb');
+    if (!img) {
+      img = document.createElement('img');
+      img.className = 'live-thumb';
+      img.alt = '';
+      front.appendChild(img);
+    }
+    img.src = url;
+  });
+}
 
-    const savedIndex = parseInt(localStorage.getItem("lastChannelIndex"));
-    const initialIndex = (!isNaN(savedIndex) && channels[savedIndex]) ? savedIndex : 0;
-    const card = document.querySelector(`.channel[data-index="${initialIndex}"]`);
-    if (card) flipChannel(card, initialIndex);
+// Load the lowest rendition just long enough to decode one frame
+function probeThumbnail(channel) {
+  return new Promise(resolve => {
+    const v = document.createElement('video');
+    v.muted = true;
+    v.playsInline = true;
+    v.crossOrigin = 'anonymous';
+    v.style.cssText = 'position:fixed;left:-9999px;width:2px;height:2px;opacity:0;pointer-events:none';
+    document.body.appendChild(v);
+    const probe = createPlaybackController(v, { preview: true });
+
+    const done = url => {
+      clearTimeout(timer);
+      probe.stop();
+      v.remove();
+      resolve(url);
+    };
+    const timer = setTimeout(() => done(null), THUMB_PROBE_TIMEOUT_MS);
+    v.addEventListener('loadeddata', () => setTimeout(() => done(grabFrame(v)), 300), { once: true });
+    probe.on('error', e => { if (e.fatal) done(null); });
+    probe.load(channel);
+  });
+}
 
-  } catch (err) {
-    console.error("❌ Failed to load channels:", err);
-    const container = document.querySelector("#channels-container");
-    if (container) container.innerHTML = "<p style='color:red;'>Failed to load channels.</p>";
+// Channels whose cards are on screen right now
+function visibleCardChannels() {
+  const ids = [];
+  document.querySelectorAll('#channelCategories .channel').forEach(card => {
+    const r = card.getBoundingClientRect();
+    if (r.bottom > 0 && r.top < window.innerHeight && r.right > 0 && r.left < window.innerWidth) ids.push(card.dataset.id);
+  });
+  return ids.map(id => channels.find(c => c.id === id)).filter(Boolean);
+}
+
+async function refreshThumbnails() {
+  if (thumbsBusy || document.hidden || isOnMobileData()) return;
+  thumbsBusy = true;
+  try {
+    // free frames first: whatever is already playing
+    if (currentChannelId) storeThumb(currentChannelId, grabFrame(video));
+    if (multiView.active) multiView.slots.forEach(tile => tile && storeThumb(tile.channel.id, grabFrame(tile.video)));
+    if (multiView.active) return; // four streams are enough traffic
+
+    // DRM frames can't be read back, and locked channels stay hidden
+    const stale = visibleCardChannels().filter(c =>
+      !c.source?.drm && !isChannelLocked(c) && !isChannelOffline(c.id) && c.id !== currentChannelId &&
+      Date.now() - (channelThumbs[c.id]?.time || 0) > THUMB_MAX_AGE_MS
+    ).slice(0, isLowPowerDevice() ? 2 : 6);
+    for (const channel of stale) {
+      if (document.hidden || isOnMobileData()) break;
+      storeThumb(channel.id, await probeThumbnail(channel));
+    }
+  } finally {
+    thumbsBusy = false;
   }
 }
 
-document.addEventListener("DOMContentLoaded", loadChannels);
+document.addEventListener('DOMContentLoaded', () => {
+  // low-power devices refresh a couple of cards every few minutes instead of every minute
+  const interval = isLowPowerDevice() ? 3 * 60 * 1000 : 60 * 1000;
+  setTimeout(refreshThumbnails, 10000);
+  setInterval(refreshThumbnails, interval);
+});
 
 
 
@@ -1704,7 +2701,9 @@ function renderCategoryFilters() {
   const filterBar = document.getElementById('categoryFilterBar');
   filterBar.innerHTML = '';
 
-  const categories = allowedCategories.filter(cat => channels.some(c => c.category === cat));
+  const categories = visibleCategories();
+  if (categories.length && !categories.includes(selectedCategory)) selectedCategory = categories[0];
+  focusedCategoryIndex = Math.max(0, categories.indexOf(selectedCategory));
   categories.forEach((cat, idx) => {
     const btn = document.createElement('button');
     btn.className = `category-tab flex flex-col items-center px-4 py-1 rounded-lg cursor-pointer transition-transform ${
@@ -1714,6 +2713,7 @@ function renderCategoryFilters() {
     btn.setAttribute('aria-selected', selectedCategory === cat ? 'true':'false');
     btn.setAttribute('tabindex', focusedCategoryIndex === idx ? '0':'-1');
     btn.dataset.index = idx;
+    btn.dataset.category = cat;
 
     btn.onclick = () => {
       if (selectedCategory !== cat) {
@@ -1724,9 +2724,17 @@ function renderCategoryFilters() {
       }
     };
 
-    const img = document.createElement('img');
-    img.src = categoryIcons[cat] || 'https://via.placeholder.com/40';
-    img.alt = cat;
+    // virtual tabs (favorites, recent) get an emoji instead of a picture
+    const img = document.createElement(virtualTabIcons[cat] ? 'span' : 'img');
+    if (virtualTabIcons[cat]) {
+      img.textContent = virtualTabIcons[cat];
+      img.setAttribute('aria-hidden', 'true');
+      img.style.fontSize = '28px';
+      img.style.lineHeight = '40px';
+    } else {
+      img.src = categoryIcons[cat] || 'https://via.placeholder.com/40';
+      img.alt = cat;
+    }
     img.style.width = '40px';
     img.style.height = '40px';
     img.style.objectFit = 'contain';
@@ -1742,6 +2750,26 @@ function renderCategoryFilters() {
   });
 }
 
+function channelCardHtml(channel, i, positions) {
+  return `
+          <div tabindex="${i === focusedChannelIndex ? '0':'-1'}" class="channel flip-card text-center flex-shrink-0 relative w-24 min-w-[6rem] ${channel.id === currentChannelId ? 'active flipped' : ''} ${isChannelOffline(channel.id) ? 'channel-offline' : ''} ${isChannelLocked(channel) ? 'channel-locked' : ''}" data-id="${escapeHtml(channel.id)}" data-name="${escapeHtml(channel.name)}" role="listitem" aria-selected="${i === focusedChannelIndex}">
+            <div class="flip-inner w-full h-full relative">
+              <div class="flip-front aspect-square w-full rounded-full overflow-hidden shadow-lg">
+                <img src="${escapeHtml(channel.logo)}" alt="${escapeHtml(channel.name)}" class="w-full h-full object-cover rounded-full" />
+                ${channelThumbs[channel.id] && !isChannelLocked(channel) ? `<img class="live-thumb" src="${channelThumbs[channel.id].url}" alt="" />` : ''}
+              </div>
+              <div class="flip-back aspect-square absolute inset-0 rounded-full flex items-center justify-center text-[10px] font-bold text-white neon-text">NOW<br>PLAYING</div>
+            </div>
+            ${channel.lcn ? `<span class="lcn-badge" aria-label="Channel ${channel.lcn}">${channel.lcn}</span>` : ''}
+            ${isChannelLocked(channel) ? '<span class="lock-badge" aria-label="Locked">🔒</span>' : ''}
+            <button type="button" class="fav-star" data-fav="${escapeHtml(channel.id)}" tabindex="-1" aria-pressed="${isFavorite(channel.id)}" title="${isFavorite(channel.id) ? 'Remove from favorites' : 'Add to favorites'}">${isFavorite(channel.id) ? '★' : '☆'}</button>
+            ${isChannelOffline(channel.id) ? `<span class="offline-badge" title="Last check failed: ${escapeHtml(channelHealth[channel.id].error || '')}">OFFLINE</span>` : ''}
+            <p class="mt-1 text-xs font-bold text-cyan-300 max-w-[6rem] break-words whitespace-normal text-center neon-text leading-tight">${highlightMatch(channel.name, positions)}</p>
+            ${epgNowNext[channel.id] ? `<p class="now-next max-w-[6rem]" title="${escapeHtml(epgNowNext[channel.id].next ? `Next: ${epgNowNext[channel.id].next.title}` : '')}">▶ ${escapeHtml(epgNowNext[channel.id].now?.title || '—')}</p>` : ''}
+          </div>
+        `;
+}
+
 function renderChannelRows() {
   const container = document.getElementById('channelCategories');
   container.style.transition = `opacity ${fadeDuration}ms ease`;
@@ -1749,15 +2777,24 @@ function renderChannelRows() {
 
   debounce(() => {
     container.innerHTML = '';
-    if (!selectedCategory) return;
-
-    const filteredChannels = channels.filter(c =>
-      c.category === selectedCategory &&
-      c.name.toLowerCase().includes(searchQuery.toLowerCase())
-    );
-
-    if (filteredChannels.length === 0) {
-      container.innerHTML = '<p class="text-white px-4">No channels found.</p>';
+    if (!selectedCategory && !searchQuery) return;
+
+    // a search spans every category; otherwise just the selected tab
+    const groups = searchQuery
+      ? searchChannels(searchQuery)
+      : [{
+          category: selectedCategory,
+          items: channelsInTab(selectedCategory)
+            .filter(c => !(hideDeadChannels && isChannelOffline(c.id)))
+            .map(channel => ({ channel, positions: [] }))
+        }];
+
+    if (!groups.some(g => g.items.length)) {
+      const empty = searchQuery ? `No channels match "${escapeHtml(searchQuery)}".`
+        : selectedCategory === FAVORITES_TAB ? 'No favorites yet. Tap ☆ on a channel to pin it here.'
+        : selectedCategory === RECENT_TAB ? 'Channels you watch will show up here.'
+        : 'No channels found.';
+      container.innerHTML = `<p class="text-white px-4">${empty}</p>`;
       container.style.opacity = '1';
       return;
     }
@@ -1766,34 +2803,29 @@ function renderChannelRows() {
       'Sports':'neon-cyan','Music':'neon-cyan','News':'neon-red',
       'Movies':'neon-orange','Kids':'neon-pink','Comedy':'neon-yellow',
       'Documentary':'neon-purple','Local':'neon-blue',
-      'Tambay Pelikula':'neon-brown','English Pelikula':'neon-brown','Astro':'neon-brown'
+      'Tambay Pelikula':'neon-brown','English Pelikula':'neon-brown','Astro':'neon-brown',
+      [FAVORITES_TAB]:'neon-yellow',[RECENT_TAB]:'neon-purple'
     };
-    const neonClass = neonClassMap[selectedCategory] || 'neon-blue';
 
-    const section = document.createElement('div');
-    section.innerHTML = `
-      <h2 class="text-xl font-bold mb-2 ${neonClass} pulse-text">${selectedCategory}</h2>
+    let index = 0;
+    groups.forEach(group => {
+      const section = document.createElement('div');
+      section.className = 'channel-group';
+      section.innerHTML = `
+      <h2 class="text-xl font-bold mb-2 ${neonClassMap[group.category] || 'neon-blue'} pulse-text">${escapeHtml(group.category)}${searchQuery ? ` <span class="text-sm text-gray-400">${group.items.length}</span>` : ''}</h2>
       <div class="scroll-x flex overflow-x-auto gap-4 py-2 px-1" role="list" tabindex="0">
-        ${filteredChannels.map((channel,i) => `
-          <div tabindex="${i === focusedChannelIndex ? '0':'-1'}" class="channel flip-card text-center flex-shrink-0 w-24 min-w-[6rem]" data-index="${channels.indexOf(channel)}" data-name="${channel.name}" role="listitem" aria-selected="${i === focusedChannelIndex}">
-            <div class="flip-inner w-full h-full relative">
-              <div class="flip-front aspect-square w-full rounded-full overflow-hidden shadow-lg">
-                <img src="${channel.logo}" alt="${channel.name}" class="w-full h-full object-cover rounded-full" />
-              </div>
-              <div class="flip-back aspect-square absolute inset-0 rounded-full flex items-center justify-center text-[10px] font-bold text-white neon-text">NOW<br>PLAYING</div>
-            </div>
-            <p class="mt-1 text-xs font-bold text-cyan-300 max-w-[6rem] break-words whitespace-normal text-center neon-text leading-tight">${channel.name}</p>
-          </div>
-        `).join('')}
+        ${group.items.map(({ channel, positions }) => channelCardHtml(channel, index++, positions)).join('')}
       </div>
     `;
-    container.appendChild(section);
+      container.appendChild(section);
+    });
 
     setTimeout(()=>{container.style.opacity='1';},50);
 
     const channelElements = container.querySelectorAll('.channel');
     channelElements.forEach((card,idx)=>{
-      card.onclick = () => { flipChannel(card, parseInt(card.dataset.index)); focusedChannelIndex=idx; updateChannelFocus(); };
+      card.onclick = () => { flipChannel(card, card.dataset.id); focusedChannelIndex=idx; updateChannelFocus(); };
+      card.querySelector('.fav-star').onclick = e => { e.stopPropagation(); toggleFavorite(card.dataset.id); };
       card.onfocus = () => { focusedChannelIndex=idx; updateChannelFocus(); };
     });
 
@@ -1808,6 +2840,8 @@ function animateCategoryChange() {
     renderChannelRows();
     updateCategoryFocus();
     updateChannelFocus();
+    if (isGuideOpen()) renderGuide();
+    scheduleStateSync();
   }, fadeDuration);
 }
 
@@ -1815,7 +2849,7 @@ function updateCategoryFocus() {
   const filterBar = document.getElementById('categoryFilterBar');
   filterBar.querySelectorAll('button').forEach((btn, idx)=>{
     btn.setAttribute('tabindex', focusedCategoryIndex===idx?'0':'-1');
-    btn.setAttribute('aria-selected', selectedCategory===allowedCategories[idx]?'true':'false');
+    btn.setAttribute('aria-selected', btn.dataset.category===selectedCategory?'true':'false');
     btn.classList.toggle('focused', focusedCategoryIndex===idx);
     if(focusedCategoryIndex===idx && document.activeElement!==btn) btn.focus();
   });
@@ -1834,8 +2868,8 @@ function updateChannelFocus() {
 
 
 function showChannelInfoModal(channelIndex) {
-  const filteredChannels = channels.filter(c => c.category===selectedCategory);
-  const channel = filteredChannels[channelIndex];
+  const card = document.querySelectorAll('#channelCategories .channel')[channelIndex];
+  const channel = card && channels.find(c => c.id === card.dataset.id);
   alert(`Info for channel: ${channel?channel.name:'Unknown'}`);
 }
 
@@ -1848,23 +2882,52 @@ function handleKeyDown(event) {
   const channelElements = channelContainer.querySelectorAll('.channel');
   const active = document.activeElement;
 
+  // typing in a form field: leave keys alone, except stepping from the search box into the results
+  if (active && active.matches('input, textarea, select')) {
+    if (active === searchInput && channelElements.length && (event.key === 'ArrowDown' || event.key === 'Enter')) {
+      focusedChannelIndex = 0;
+      if (event.key === 'Enter') channelElements[0].click();
+      else updateChannelFocus();
+      event.preventDefault();
+    }
+    return;
+  }
+
+  if (handleZapKey(event)) { event.preventDefault(); return; }
+
+  // search results: Up/Down jump between category groups
+  const groupStep = dir => {
+    const sections = [...channelContainer.querySelectorAll('.channel-group')];
+    const target = sections[sections.indexOf(active.closest('.channel-group')) + dir];
+    return target ? [...channelElements].indexOf(target.querySelector('.channel')) : -1;
+  };
+
   switch(event.key){
     case 'ArrowLeft': case 'Left':
-      if(active.parentElement===filterBar && focusedCategoryIndex>0){focusedCategoryIndex--; selectedCategory=allowedCategories[focusedCategoryIndex]; animateCategoryChange(); focusedChannelIndex=0;}
+      if(active.parentElement===filterBar && focusedCategoryIndex>0){focusedCategoryIndex--; selectedCategory=visibleCategories()[focusedCategoryIndex]; animateCategoryChange(); focusedChannelIndex=0;}
       else if(active.classList.contains('channel') && focusedChannelIndex>0){focusedChannelIndex--; updateChannelFocus();}
       event.preventDefault(); break;
 
     case 'ArrowRight': case 'Right':
-      if(active.parentElement===filterBar && focusedCategoryIndex<allowedCategories.length-1){focusedCategoryIndex++; selectedCategory=allowedCategories[focusedCategoryIndex]; animateCategoryChange(); focusedChannelIndex=0;}
+      if(active.parentElement===filterBar && focusedCategoryIndex<visibleCategories().length-1){focusedCategoryIndex++; selectedCategory=visibleCategories()[focusedCategoryIndex]; animateCategoryChange(); focusedChannelIndex=0;}
       else if(active.classList.contains('channel') && focusedChannelIndex<channelElements.length-1){focusedChannelIndex++; updateChannelFocus();}
       event.preventDefault(); break;
 
     case 'ArrowUp': case 'Up':
-      if(active.classList.contains('channel')) filterBar.querySelectorAll('button')[focusedCategoryIndex].focus();
+      if(active.classList.contains('channel') && searchQuery){
+        const prev = groupStep(-1);
+        if(prev>=0){focusedChannelIndex=prev; updateChannelFocus();}
+        else searchInput.focus();
+      }
+      else if(active.classList.contains('channel')) filterBar.querySelectorAll('button')[focusedCategoryIndex].focus();
       event.preventDefault(); break;
 
     case 'ArrowDown': case 'Down':
-      if(active.parentElement===filterBar && channelElements.length>0){focusedChannelIndex=0; updateChannelFocus();}
+      if(active.classList.contains('channel') && searchQuery){
+        const next = groupStep(1);
+        if(next>=0){focusedChannelIndex=next; updateChannelFocus();}
+      }
+      else if(active.parentElement===filterBar && channelElements.length>0){focusedChannelIndex=0; updateChannelFocus();}
       event.preventDefault(); break;
 
     case 'Enter': case ' ':
@@ -1889,24 +2952,6 @@ function handleKeyDown(event) {
 function initialize() {
   shaka.polyfill.installAll();
   window.addEventListener('keydown', handleKeyDown);
-
-  // Gear dropdown toggle
-  const settingsBtn = document.getElementById('settingsBtn');
-  const settingsDropdown = document.getElementById('settingsDropdown');
-  settingsBtn.addEventListener('click', () => settingsDropdown.classList.toggle('hidden'));
-
-  // Hide dropdowns on outside click
-  document.addEventListener('click', (e)=>{
-    const gearWrapper = settingsBtn;
-    const qualityMenu = document.getElementById('qualityMenu');
-    const qualityOptionsTrigger = document.getElementById('qualityOptionsTrigger');
-
-    if(!gearWrapper.contains(e.target) && !qualityMenu.contains(e.target) && !qualityOptionsTrigger.contains(e.target)){
-      settingsDropdown.classList.add('hidden');
-      qualityMenu.classList.add('hidden');
-      document.getElementById('qualityArrow').style.transform='rotate(0deg)';
-    }
-  });
 }
 
 document.addEventListener('DOMContentLoaded', initialize);
@@ -1997,111 +3042,38 @@ function closeSearchBar() {
   handleInput.cancel?.();
   renderChannelRows();
 }
- // Global track selectors
+// ------ Audio & subtitle tracks (settings dropdown) ------
 const audioSelect = document.getElementById('audioSelect');
 const subtitleSelect = document.getElementById('subtitleSelect');
 const audioOptions = document.getElementById('audioOptions');
 const subtitleOptions = document.getElementById('subtitleOptions');
 
-// Current playback state
-let currentFormat = '';
-
-
-// Track selector event listeners
-audioSelect.addEventListener('change', () => {
-  const lang = audioSelect.value;
-
-  if (currentFormat === 'dash' && player) {
-    player.selectAudioLanguage(lang);
-  } else if (currentFormat === 'hls' && window.hls) {
-    const index = window.hls.audioTracks.findIndex(t => t.lang === lang);
-    if (index !== -1) window.hls.audioTrack = index;
-  }
-});
-
-subtitleSelect.addEventListener('change', () => {
-  const lang = subtitleSelect.value;
-
-  if (currentFormat === 'dash' && player) {
-    player.setTextTrackVisibility(lang !== 'off');
-    if (lang !== 'off') player.selectTextLanguage(lang);
-  } else if (currentFormat === 'hls') {
-    const textTracks = video.textTracks;
-    for (let i = 0; i < textTracks.length; i++) {
-      textTracks[i].mode = (textTracks[i].language === lang) ? 'showing' : 'disabled';
-    }
-  }
-});
+audioSelect.addEventListener('change', () => playback.setAudioTrack(audioSelect.value));
+subtitleSelect.addEventListener('change', () => playback.setTextTrack(subtitleSelect.value));
 
-// Update available audio and subtitle tracks
+// Rebuild both selects from what the current stream offers; subtitles start in
+// English (or the first language) when there are any
 function updateAudioAndSubtitles() {
+  const audio = playback.getAudioTracks();
   audioSelect.innerHTML = '';
-  subtitleSelect.innerHTML = '<option value="off">Off</option>';
-
-  // DASH / Shaka Player
-  if (currentFormat === 'dash' && player) {
-    const audioLangs = [...new Set(player.getVariantTracks().map(t => t.audioLanguage))];
-    audioLangs.forEach(lang => {
-      const option = document.createElement('option');
-      option.value = lang;
-      option.textContent = lang.toUpperCase();
-      audioSelect.appendChild(option);
-    });
-    audioOptions.classList.toggle('hidden', audioLangs.length === 0);
-
-    const textTracks = player.getTextTracks();
-    textTracks.forEach(track => {
-      const option = document.createElement('option');
-      option.value = track.language;
-      option.textContent = track.language.toUpperCase();
-      subtitleSelect.appendChild(option);
-    });
-    subtitleOptions.classList.toggle('hidden', textTracks.length === 0);
-
-    if (textTracks.length > 0) {
-      const enTrack = textTracks.find(t => t.language === 'en') || textTracks[0];
-      player.selectTextLanguage(enTrack.language);
-      player.setTextTrackVisibility(true);
-      subtitleSelect.value = enTrack.language;
-    }
+  audio.forEach(track => audioSelect.add(new Option(track.label, track.lang, false, track.active)));
+  audioOptions.classList.toggle('hidden', audio.length === 0);
 
-  // HLS / Hls.js
-  } else if (currentFormat === 'hls' && window.hls) {
-    const hlsTracks = window.hls.audioTracks || [];
-    const seenLangs = new Set();
-    hlsTracks.forEach(track => {
-      if (!seenLangs.has(track.lang)) {
-        seenLangs.add(track.lang);
-        const option = document.createElement('option');
-        option.value = track.lang;
-        option.textContent = track.lang.toUpperCase();
-        audioSelect.appendChild(option);
-      }
-    });
-    audioOptions.classList.toggle('hidden', seenLangs.size === 0);
-
-    const textTracks = video.textTracks;
-    const subtitleLangs = new Set();
-    for (let i = 0; i < textTracks.length; i++) {
-      const track = textTracks[i];
-      if (!subtitleLangs.has(track.language)) {
-        subtitleLangs.add(track.language);
-        const option = document.createElement('option');
-        option.value = track.language;
-        option.textContent = track.language.toUpperCase();
-        subtitleSelect.appendChild(option);
-      }
-    }
-    subtitleOptions.classList.toggle('hidden', subtitleLangs.size === 0);
-
-    for (let i = 0; i < textTracks.length; i++) {
-      const track = textTracks[i];
-      track.mode = (track.language === 'en') ? 'showing' : 'disabled';
-      if (track.language === 'en') subtitleSelect.value = 'en';
-    }
+  const text = playback.getTextTracks();
+  subtitleSelect.innerHTML = '<option value="off">Off</option>';
+  text.forEach(track => subtitleSelect.add(new Option(track.label, track.lang)));
+  subtitleOptions.classList.toggle('hidden', text.length === 0);
+  if (text.length) {
+    const preferred = text.find(t => t.lang === 'en') || text[0];
+    playback.setTextTrack(preferred.lang);
+    subtitleSelect.value = preferred.lang;
   }
 }
 
+playback.on('ready', updateAudioAndSubtitles);
+// hls.js adds subtitle tracks to the element as it finds them
+video.textTracks.addEventListener?.('addtrack', () => { if (playback.backend && playback.backend !== 'shaka') updateAudioAndSubtitles(); });
+
 
 
 
@@ -2170,108 +3142,6 @@ document.addEventListener('keydown', (e) => {
     video.style.filter = 'none';
   });
  
-function setupQualityControls(player) {
-  const qualityMenu = document.getElementById('qualityMenu');
-  const qualityArrow = document.getElementById('qualityArrow');
-  const qualityToggle = document.querySelector('#qualityOptions > div');
-
-  const speedMenu = document.getElementById('speedMenu');
-  const speedArrow = document.getElementById('speedArrow');
-  const speedToggle = document.getElementById('speedToggle');
-
-  const settingsDropdown = document.getElementById('settingsDropdown');
-  const settingsBtn = document.getElementById('settingsBtn');
-  const gearWrapper = document.getElementById('gearWrapper');
-
-  const video = document.querySelector('video');
-
-
-  // ========== SETTINGS BUTTON ==========
-  settingsBtn.addEventListener('click', () => {
-    settingsDropdown.classList.toggle('show');
-  });
-
-  // ========== QUALITY MENU ==========
-  qualityToggle.addEventListener('click', () => {
-    qualityMenu.classList.toggle('show');
-    qualityArrow.textContent = qualityMenu.classList.contains('show') ? '▲' : '▼';
-  });
-
-  // Quality selection logic
-  qualityMenu.querySelectorAll('li').forEach(li => {
-    li.addEventListener('click', async () => {
-      const selected = li.getAttribute('data-quality'); // "auto", "1080", etc.
-      console.log('Selected quality:', selected);
-
-      // Highlight selected
-      qualityMenu.querySelectorAll('li').forEach(el => el.classList.remove('active'));
-      li.classList.add('active');
-
-      if (selected === 'auto') {
-        if (player.getVariantTracks) {
-          // Shaka
-          player.configure({ abr: { enabled: true } });
-        } else if (player.currentLevel !== undefined) {
-          // HLS.js
-          player.currentLevel = -1;
-        }
-      } else {
-        const res = parseInt(selected);
-
-        if (player.getVariantTracks) {
-          // Shaka
-          const tracks = player.getVariantTracks().filter(t => !t.disabled && t.height === res);
-          if (tracks.length > 0) {
-            await player.configure({ abr: { enabled: false } });
-            await player.selectVariantTrack(tracks[0], true);
-            console.log(`Switched to ${res}p`);
-          } else {
-            console.warn(`Resolution ${res}p not found`);
-          }
-        } else if (player.levels) {
-          // HLS.js
-          const level = player.levels.findIndex(l => l.height === res);
-          if (level !== -1) {
-            player.currentLevel = level;
-            console.log(`Switched to ${res}p`);
-          } else {
-            console.warn(`Resolution ${res}p not found`);
-          }
-        }
-      }
-    });
-  });
-
-  // ========== SPEED MENU ==========
-  speedToggle.addEventListener('click', () => {
-    speedMenu.classList.toggle('show');
-    speedArrow.textContent = speedMenu.classList.contains('show') ? '▲' : '▼';
-  });
-
-  speedMenu.querySelectorAll('li').forEach(li => {
-    li.addEventListener('click', () => {
-      const selectedSpeed = parseFloat(li.getAttribute('data-speed'));
-      video.playbackRate = selectedSpeed;
-
-      // Highlight selected
-      speedMenu.querySelectorAll('li').forEach(el => el.classList.remove('active'));
-      li.classList.add('active');
-
-      console.log('Playback speed set to', selectedSpeed);
-    });
-  });
-
-  // ========== GLOBAL CLICK HANDLER ==========
-  document.addEventListener('click', (e) => {
-    if (!gearWrapper.contains(e.target)) {
-      qualityMenu.classList.remove('show');
-      speedMenu.classList.remove('show');
-      settingsDropdown.classList.remove('show');
-      qualityArrow.textContent = '▼';
-      speedArrow.textContent = '▼';
-    }
-  });
-}
 
 
 
@@ -2609,326 +3479,58 @@ updateDateTime();
 
  
 
+// ------ Quality menu (settings dropdown -> modal) ------
 document.addEventListener('DOMContentLoaded', () => {
-  const settingsBtn = document.getElementById('settingsBtn');
-  const settingsDropdown = document.getElementById('settingsDropdown');
-  const openQualityModalBtn = document.getElementById('openQualityModalBtn');
-  const openSpeedModalBtn = document.getElementById('openSpeedModalBtn');
-  const qualityModal = document.getElementById('qualityModal');
-  const speedModal = document.getElementById('speedModal');
-  const closeQualityModalBtn = document.getElementById('closeQualityModal');
-  const closeSpeedModalBtn = document.getElementById('closeSpeedModal');
-  const qualityList = document.getElementById('qualityList');
-  const speedList = document.getElementById('speedList');
-  const video = document.querySelector('video');
-
-  let player = window.shakaPlayerInstance;
-  let selectedQuality = 'auto';
-  let selectedSpeed = '1';
-
-  // Helper: Decide quality by bandwidth
-  function chooseQualityFromBandwidth(bandwidth) {
-    if (bandwidth < 1.5) return 240;
-    if (bandwidth < 3) return 360;
-    if (bandwidth < 6) return 480;
-    if (bandwidth < 10) return 720;
-    return 1080;
-  }
-
-  // Update UI for current quality display
-  function updateCurrentQualityDisplay() {
-    const currentQualityDiv = document.getElementById('currentQualityDisplay');
-    if (!player || !player.getVariantTracks) {
-      currentQualityDiv.textContent = 'Current: Unknown';
-      return;
-    }
-
-    const active = player.getVariantTracks().find(t => t.active);
-    if (active) {
-      currentQualityDiv.textContent = `Current: ${active.height}p @ ${active.frameRate}fps`;
-      selectedQuality = String(active.height);
-    } else {
-      currentQualityDiv.textContent = 'Current: Auto';
-      selectedQuality = 'auto';
-    }
-
-    updateSelectedQualityUI();
-  }
-
-  function updateSelectedQualityUI() {
-    [...qualityList.children].forEach(li => {
-      const isSelected = li.dataset.quality === selectedQuality;
-      li.classList.toggle('text-cyan-300', isSelected);
-      li.classList.toggle('font-semibold', isSelected);
-      li.querySelector('.checkmark')?.classList.toggle('hidden', !isSelected);
-    });
-  }
-
-  function updateSpeedCheckmarks() {
-    [...speedList.children].forEach(li => {
-      li.querySelector('.checkmark')?.classList.toggle('hidden', li.dataset.speed !== selectedSpeed);
-    });
-  }
-
-  // Build quality menu dynamically
-  function populateQualityList() {
-    qualityList.innerHTML = '';
-
-    const autoLi = document.createElement('li');
-    autoLi.dataset.quality = 'auto';
-    autoLi.className = 'cursor-pointer hover:text-cyan-300 px-2 py-1 rounded flex justify-between items-center';
-    autoLi.textContent = 'Auto';
-    autoLi.innerHTML += `<span class="checkmark hidden">✔️</span>`;
-    qualityList.appendChild(autoLi);
-
-    if (!player || !player.getVariantTracks) return;
-
-    const tracks = player.getVariantTracks()
-      .filter(t => t.type === 'video')
-      .sort((a, b) => b.height - a.height);
-
-    const added = new Set();
-    tracks.forEach(track => {
-      if (added.has(track.height)) return;
-      added.add(track.height);
-
-      const li = document.createElement('li');
-      li.dataset.quality = track.height.toString();
-      li.className = 'cursor-pointer hover:text-cyan-300 px-2 py-1 rounded flex justify-between items-center';
-      li.textContent = `${track.height}p`;
-      if (track.frameRate > 30) li.textContent += ` (${track.frameRate}fps)`;
-      li.innerHTML += `<span class="checkmark hidden">✔️</span>`;
-      qualityList.appendChild(li);
-    });
-
-    // Hide quality modal button if only "auto" is present
-    if (qualityList.children.length <= 1) {
-      openQualityModalBtn.style.display = 'none';
-    } else {
-      openQualityModalBtn.style.display = 'block';
-    }
-
-    updateSelectedQualityUI();
-  }
-
-  function switchToAutoQuality() {
-    player.configure({ abr: { enabled: true } });
-    console.log('🔁 Auto quality enabled');
-    updateSelectedQualityUI();
-  }
-
-  function switchToManualQuality(height) {
-    player.configure({ abr: { enabled: false } });
-    const tracks = player.getVariantTracks();
-    let candidates = tracks.filter(t => t.height === height);
-
-    if (!candidates.length) {
-      candidates = tracks.filter(t => Math.abs(t.height - height) <= 50);
-    }
-
-    if (candidates.length) {
-      candidates.sort((a, b) => b.bandwidth - a.bandwidth);
-      const selected = candidates[0];
-      player.selectVariantTrack(selected, true);
-      player.getMediaElement().currentTime += 0.05;
-      player.getMediaElement().play();
-      console.log(`🎯 Switched to ${selected.height}p`);
-    } else {
-      console.warn('⚠️ No close quality match, fallback to auto');
-      switchToAutoQuality();
-    }
-    updateSelectedQualityUI();
-  }
-
-  // One clean event listener for quality changes
-  qualityList.addEventListener('click', e => {
-    const li = e.target.closest('li');
-    if (!li) return;
-
-    const quality = li.dataset.quality;
-    if (quality === 'auto') {
-      switchToAutoQuality();
-    } else {
-      switchToManualQuality(parseInt(quality, 10));
-    }
-  });
-
-
-  // Gear dropdown toggle
-document.getElementById('settingsBtn').addEventListener('click', () => {
-  const panel = document.getElementById('settingsDropdown');
-  panel.classList.toggle('hidden');
-});
-
-// Hide on outside click
-document.addEventListener('click', (e) => {
-  const clickedInsideSettings = gearWrapper.contains(e.target);
-  const clickedInsideQuality = qualityMenu.contains(e.target);
-  const clickedQualityTrigger = qualityOptionsTrigger.contains(e.target);
-
-  // If clicked outside settings + outside quality menu + not the quality trigger itself
-  if (!clickedInsideSettings && !clickedInsideQuality && !clickedQualityTrigger) {
-    settingsDropdown.classList.add('hidden');
-    dropdownVisible = false;
-
-    qualityMenu.classList.add('hidden');
-    qualityArrow.style.transform = 'rotate(0deg)';
+  const openBtn = document.getElementById('openQualityModalBtn');
+  const modal = document.getElementById('qualityModal');
+  const list = document.getElementById('qualityList');
+  const current = document.getElementById('currentQualityDisplay');
+  if (!openBtn || !modal || !list) return;
+  const isOpen = () => !modal.classList.contains('hidden');
+  const rate = bps => bps ? ` · ${(bps / 1_000_000).toFixed(1)} Mbps` : '';
+
+  function renderCurrent(info = playback.getQuality()) {
+    if (!current) return;
+    current.textContent = playback.backend
+      ? `Current: ${info.height ? `${info.height}p` : 'Unknown'}${rate(info.bitrate)}${info.auto ? ' (Auto)' : ''}`
+      : 'Nothing playing';
   }
-});
-
-
-// Quality dropdown toggle
-function toggleQualityMenu() {
-  const menu = document.getElementById('qualityMenu');
-  const arrow = document.getElementById('qualityArrow');
-  menu.classList.toggle('hidden');
-  arrow.style.transform = menu.classList.contains('hidden') ? 'rotate(0deg)' : 'rotate(90deg)';
-}
-
-// Quality Selection with ✔️ check
-document.querySelectorAll('#qualityMenu li').forEach(item => {
-  item.addEventListener('click', () => {
-    const selected = item.dataset.quality;
-
-    document.querySelectorAll('#qualityMenu li').forEach(li => li.innerHTML = li.textContent); // Clear ✔️
-    item.innerHTML = '✔️ ' + item.textContent;
-
-    if (currentFormat === 'dash') {
-      player.configure({ abr: { enabled: selected === 'auto' } });
-      const tracks = player.getVariantTracks().filter(t => t.type === 'video');
-      let matchTrack = null;
-
-      if (selected !== 'auto') {
-        if (selected === '720-low') {
-          matchTrack = tracks.find(t => t.height === 720 && t.frameRate < 30);
-        } else {
-          matchTrack = tracks.find(t => t.height == selected);
-        }
-        if (matchTrack) player.selectVariantTrack(matchTrack, true);
-      }
-    }
-
-    if (currentFormat === 'hls' && window.hls) {
-      window.hls.currentLevel = selected === 'auto' ? -1 : (() => {
-        const lvl = window.hls.levels.find((l, i) => {
-          if (selected === '720-low') return l.height === 720 && parseFloat(l.attrs?.['FRAME-RATE'] || 60) <= 30;
-          return l.height == selected;
-        });
-        return lvl ? window.hls.levels.indexOf(lvl) : -1;
-      })();
-    }
-
-    // Close quality menu
-    document.getElementById('qualityMenu').classList.add('hidden');
-    document.getElementById('qualityArrow').style.transform = 'rotate(0deg)';
-  });
-});
-
-
-qualityToggle.addEventListener('click', e => {
-  e.stopPropagation();
-  const isShown = qualityMenu.classList.toggle('show');
-  qualityArrow.style.transform = isShown ? 'rotate(90deg)' : 'rotate(0deg)';
-});
-
 
-
-
-
-  // Volume restore (existing code)
-  localStorage.setItem('savedVolume', video.volume);
-  const savedVolume = parseFloat(localStorage.getItem('savedVolume')) || 1;
-  if (!isNaN(savedVolume)) {
-    video.volume = savedVolume;
-    video.muted = savedVolume === 0;
-    volumeSlider.value = savedVolume;
-    updateVolumeIcon();
-  } else {
-    video.volume = 1;
-    video.muted = false;
-    volumeSlider.value = 1;
+  function renderList() {
+    const qualities = playback.getQualities();
+    const { auto, height } = playback.getQuality();
+    const item = (value, label, selected) => `
+      <li data-quality="${value}" class="cursor-pointer hover:text-cyan-300 px-2 py-1 rounded flex justify-between items-center ${selected ? 'text-cyan-300 font-semibold' : ''}">
+        ${label}<span class="checkmark ${selected ? '' : 'hidden'}">✔️</span>
+      </li>`;
+    list.innerHTML = item('auto', 'Auto', auto) + qualities.map(q =>
+      item(q.height, `${q.height}p${q.frameRate > 30 ? ` (${Math.round(q.frameRate)}fps)` : ''}`, !auto && q.height === height)
+    ).join('');
+    // single-rendition and native streams have nothing to pick from
+    openBtn.classList.toggle('hidden', qualities.length < 2);
+    renderCurrent();
   }
- 
 
-  // Speed controls
-  speedList.addEventListener('click', e => {
+  list.addEventListener('click', e => {
     const li = e.target.closest('li');
     if (!li) return;
-    selectedSpeed = li.dataset.speed;
-    updateSpeedCheckmarks();
-    if (video) video.playbackRate = parseFloat(selectedSpeed);
-  });
-
-  // Settings toggle
-  settingsBtn.addEventListener('click', () => {
-    settingsDropdown.classList.toggle('hidden');
-  });
-
-  openQualityModalBtn.addEventListener('click', () => {
-    qualityModal.classList.remove('hidden');
-    settingsDropdown.classList.add('hidden');
-    updateCurrentQualityDisplay();
-  });
-
-  openSpeedModalBtn.addEventListener('click', () => {
-    speedModal.classList.remove('hidden');
-    settingsDropdown.classList.add('hidden');
-    updateSpeedCheckmarks();
+    playback.setQuality(li.dataset.quality === 'auto' ? 'auto' : Number(li.dataset.quality));
+    renderList();
   });
 
-  closeQualityModalBtn.addEventListener('click', () => {
-    qualityModal.classList.add('hidden');
+  openBtn.addEventListener('click', () => {
+    renderList();
+    modal.classList.remove('hidden');
+    document.getElementById('settingsDropdown').classList.add('hidden');
   });
+  document.getElementById('closeQualityModal').addEventListener('click', () => modal.classList.add('hidden'));
+  modal.addEventListener('click', e => { if (e.target === modal) modal.classList.add('hidden'); });
 
-  closeSpeedModalBtn.addEventListener('click', () => {
-    speedModal.classList.add('hidden');
-  });
-
-  document.addEventListener('click', e => {
-    if (
-      !settingsDropdown.contains(e.target) &&
-      !settingsBtn.contains(e.target) &&
-      !qualityModal.contains(e.target) &&
-      !speedModal.contains(e.target)
-    ) {
-      settingsDropdown.classList.add('hidden');
-      qualityModal.classList.add('hidden');
-      speedModal.classList.add('hidden');
-    }
-  });
-
-  setInterval(() => {
-    if (!qualityModal.classList.contains('hidden')) {
-      updateCurrentQualityDisplay();
-    }
-  }, 2000);
+  playback.on('ready', renderList);
+  playback.on('qualitychange', () => { if (isOpen()) renderList(); });
+  playback.on('stats', stats => { if (isOpen()) renderCurrent({ ...playback.getQuality(), bitrate: stats.bitrate }); });
 });
 
-// Called after manifest is loaded
-async function onChannelChange(newIndex) {
-  const url = channelList[newIndex].url;
-  const player = window.shakaPlayerInstance;
-
-  try {
-    await player.load(url);
-    console.log('✅ Manifest loaded:', url);
-
-    populateQualityList();
-
-    // Auto quality detection by bandwidth
-    const stats = player.getStats();
-    const bandwidth = stats.estimatedBandwidth / 1_000_000;
-    const bestQuality = chooseQualityFromBandwidth(bandwidth);
-    switchToManualQuality(bestQuality);
-
-    retryCount = 0;
-    const media = player.getMediaElement();
-    media.play().catch(() => {});
-  } catch (err) {
-    console.error('❌ Error loading channel:', err);
-  }
-}
-
 
 
 const settings = {
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+// scripts/import-m3u.js
+// Import an M3U playlist (local file or URL) into data/channels.json.
+//
+//   node scripts/import-m3u.js <file|url> [--mode merge|replace] [--default-category News] [--apply] [--json]
+//
+// Without --apply it only prints what would change.
+import fs from "fs";
+import { readChannels, writeChannels } from "../lib/catalogue.js";
+import { parseM3u } from "../lib/m3u.js";
+import { planImport } from "../lib/importer.js";
+
+function parseArgs(argv) {
+  const args = { mode: "merge", apply: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--apply") args.apply = true;
+    else if (a === "--json") args.json = true;
+    else if (a === "--mode") args.mode = argv[++i];
+    else if (a === "--default-category") args.defaultCategory = argv[++i];
+    else if (a === "--help" || a === "-h") args.help = true;
+    else if (!args.source) args.source = a;
+    else throw new Error(`Unexpected argument: ${a}`);
+  }
+  return args;
+}
+
+async function readSource(source) {
+  if (/^https?:\/\//i.test(source)) {
+    const res = await fetch(source);
+    if (!res.ok) throw new Error(`Failed to fetch ${source}: ${res.status}`);
+    return res.text();
+  }
+  return fs.readFileSync(source, "utf8");
+}
+
+function printDiff(diff) {
+  const s = diff.summary;
+  console.log(`Mode: ${diff.mode}`);
+  console.log(`  + ${s.added} added, ~ ${s.updated} updated, = ${s.unchanged} unchanged, - ${s.removed} removed`);
+  console.log(`  ! ${s.invalid} invalid, ${s.duplicates} duplicate URLs skipped`);
+  diff.added.forEach(c => console.log(`  + ${c.id} (${c.category}) ${c.name}`));
+  diff.updated.forEach(c => console.log(`  ~ ${c.id} ${c.name}: ${c.fields.join(", ")}`));
+  diff.removed.forEach(c => console.log(`  - ${c.id} ${c.name}`));
+  diff.invalid.forEach(c => console.log(`  ! line ${c.line} ${c.name}: ${c.errors.map(e => e.message).join("; ")}`));
+  diff.duplicates.forEach(c => console.log(c.existing
+    ? `  = ${c.id} ${c.name}: already in the catalogue under another channel with the same URL (left alone)`
+    : `  = line ${c.line} ${c.name}: duplicate of an earlier URL`));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.source) {
+    console.log("Usage: node scripts/import-m3u.js <file|url> [--mode merge|replace] [--default-category <name>] [--apply] [--json]");
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const entries = parseM3u(await readSource(args.source));
+  const { channels, diff } = planImport(readChannels(), entries, { mode: args.mode, defaultCategory: args.defaultCategory });
+
+  if (args.json) console.log(JSON.stringify(diff, null, 2));
+  else printDiff(diff);
+
+  if (!args.apply) {
+    if (!args.json) console.log("\nDry run only. Re-run with --apply to write data/channels.json.");
+    return;
+  }
+  const { backup } = writeChannels(channels);
+  if (!args.json) console.log(`\n✅ Wrote ${channels.length} channels${backup ? ` (previous version in data/backups/${backup})` : ""}`);
+}
+
+main().catch(e => {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+});
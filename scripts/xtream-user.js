@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+// scripts/xtream-user.js
+// Manage Xtream Codes logins in data/xtream-users.json.
+//
+//   node scripts/xtream-user.js add <username> [--password <pw>] [--max-connections 2] [--expires 2025-12-31]
+//   node scripts/xtream-user.js passwd <username> [--password <pw>]
+//   node scripts/xtream-user.js disable|enable|remove <username>
+//   node scripts/xtream-user.js list
+//
+// Without --password a random one is generated and printed once.
+import crypto from "crypto";
+import { readUsers, writeUsers, XTREAM_USERS_FILE } from "../lib/xtream.js";
+import { hashPassword } from "../lib/passwords.js";
+
+const USAGE = "Usage: node scripts/xtream-user.js add|passwd|disable|enable|remove <username> [--password <pw>] [--max-connections <n>] [--expires <date>] | list";
+
+function parseArgs(argv) {
+  const args = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--password") args.password = argv[++i];
+    else if (a === "--max-connections") args.maxConnections = Number(argv[++i]);
+    else if (a === "--expires") args.expires = argv[++i];
+    else if (a === "--help" || a === "-h") args.help = true;
+    else if (a.startsWith("--")) throw new Error(`Unknown option ${a}`);
+    else args.positional.push(a);
+  }
+  return args;
+}
+
+function newPassword(args) {
+  if (args.password) return { password: args.password, generated: false };
+  return { password: crypto.randomBytes(9).toString("base64url"), generated: true };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [command, username] = args.positional;
+  if (args.help || !command) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const users = readUsers();
+  if (command === "list") {
+    if (!users.length) console.log(`No users in ${XTREAM_USERS_FILE}`);
+    users.forEach(u => console.log(`${u.username}\t${u.enabled === false ? "disabled" : "enabled"}\tmax ${u.maxConnections || 1}\texpires ${u.expiresAt || "never"}`));
+    return;
+  }
+  if (!username) throw new Error(USAGE);
+  if (/[/\s]/.test(username)) throw new Error("Usernames cannot contain spaces or '/'");
+
+  const user = users.find(u => u.username === username);
+  if (command === "add") {
+    if (user) throw new Error(`User "${username}" already exists`);
+    if (args.expires && Number.isNaN(Date.parse(args.expires))) throw new Error(`Invalid date "${args.expires}"`);
+    const { password, generated } = newPassword(args);
+    users.push({
+      username,
+      password: hashPassword(password),
+      enabled: true,
+      maxConnections: args.maxConnections || 1,
+      expiresAt: args.expires ? new Date(args.expires).toISOString() : null,
+      createdAt: new Date().toISOString()
+    });
+    writeUsers(users);
+    console.log(`✅ Added ${username}${generated ? ` with password ${password}` : ""}`);
+    return;
+  }
+
+  if (!user) throw new Error(`No user "${username}"`);
+  if (command === "passwd") {
+    const { password, generated } = newPassword(args);
+    user.password = hashPassword(password);
+    console.log(`✅ Password changed for ${username}${generated ? `: ${password}` : ""}`);
+  } else if (command === "disable" || command === "enable") {
+    user.enabled = command === "enable";
+    console.log(`✅ ${username} ${command}d`);
+  } else if (command === "remove") {
+    users.splice(users.indexOf(user), 1);
+    console.log(`✅ Removed ${username}`);
+  } else {
+    throw new Error(USAGE);
+  }
+  writeUsers(users);
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
@@ -2,58 +2,587 @@
 import http from "http";
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
+import { createRouter, httpError, sendJson, readJson, readBody } from "./lib/router.js";
+import {
+  CHANNELS_FILE, readChannels, readChannelsText, writeChannels, listBackups, restoreBackup, uniqueId, publicChannel, assignLcns,
+  channelSources, withSource
+} from "./lib/catalogue.js";
+import { validateChannelInput, pickChannelFields, lintCatalogue } from "./lib/validate.js";
+import { renderM3u, parseM3u } from "./lib/m3u.js";
+import { planImport } from "./lib/importer.js";
+import { createHealthChecker } from "./lib/health.js";
+import { createSourceSniffer } from "./lib/sniff.js";
+import { createProxy, shouldProxy } from "./lib/proxy.js";
+import { createEpg } from "./lib/epg.js";
+import { createSseHub, diffChannels, watchFile } from "./lib/events.js";
+import { createStaticHandler } from "./lib/static.js";
+import { queryLineup } from "./lib/query.js";
+import {
+  createXtreamAuth, liveCategories, liveStreams, findByStreamId, accountInfo, shortEpg,
+  isXtreamPlayable, servesFormat
+} from "./lib/xtream.js";
+import {
+  createAccount, authenticate, createSessions, readState, writeState, normalizeState
+} from "./lib/accounts.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const PORT = process.env.PORT || 3000;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
 
 const PUBLIC_DIR = path.join(__dirname, "public");
-const CHANNELS_FILE = path.join(__dirname, "data", "channels.json");
+// Minutes between stream health rounds; 0 turns the background checker off
+const HEALTH_CHECK_MINUTES = Number(process.env.HEALTH_CHECK_INTERVAL ?? 10);
+// auto | all | off, see shouldProxy() in lib/proxy.js
+const PROXY_MODE = process.env.PROXY_MODE || "auto";
+// Comma separated XMLTV paths/URLs (plain or .gz)
+const EPG_SOURCES = (process.env.EPG_SOURCES || "").split(",").map(s => s.trim()).filter(Boolean);
+const EPG_REFRESH_HOURS = Number(process.env.EPG_REFRESH_HOURS ?? 6);
+const EPG_MAX_WINDOW_MS = 48 * 60 * 60 * 1000;
+// Set ALLOW_SIGNUP=1 while the household creates its accounts, then unset it
+const ALLOW_SIGNUP = process.env.ALLOW_SIGNUP === "1";
 
-// Serve static files
-function serveStatic(res, filePath) {
-  if (!fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
-    res.writeHead(404);
-    return res.end("Not Found");
+// Static files from public/ (see lib/static.js)
+const serveStatic = createStaticHandler(PUBLIC_DIR);
+
+// hex "2615129e..." -> base64url, the encoding EME uses for ClearKey kids/keys
+function hexToBase64Url(hex) {
+  return Buffer.from(hex, "hex").toString("base64url");
+}
+
+function isAdmin(req) {
+  if (!ADMIN_TOKEN) return false;
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  const digest = value => crypto.createHash("sha256").update(value).digest();
+  return !!match && crypto.timingSafeEqual(digest(match[1].trim()), digest(ADMIN_TOKEN));
+}
+
+// Management routes need "Authorization: Bearer <ADMIN_TOKEN>"; with no token
+// configured they stay switched off
+function requireAdmin(req) {
+  if (!ADMIN_TOKEN) throw httpError(503, "Admin API disabled: set ADMIN_TOKEN");
+  if (!isAdmin(req)) throw httpError(401, "Unauthorized");
+}
+
+// Origin the client used to reach us, for absolute URLs in playlists
+function requestOrigin(req) {
+  const proto = String(req.headers["x-forwarded-proto"] || (req.socket.encrypted ? "https" : "http")).split(",")[0].trim();
+  return `${proto}://${req.headers.host || `localhost:${PORT}`}`;
+}
+
+function loadChannelsOrFail() {
+  try {
+    return readChannels();
+  } catch (e) {
+    throw httpError(500, "Channels file error");
   }
-  const ext = path.extname(filePath).toLowerCase();
-  const types = { ".html":"text/html", ".js":"application/javascript", ".css":"text/css", ".json":"application/json", ".png":"image/png", ".jpg":"image/jpeg", ".svg":"image/svg+xml" };
-  const mime = types[ext] || "application/octet-stream";
-  const data = fs.readFileSync(filePath);
-  res.writeHead(200, { "Content-Type": mime });
-  res.end(data);
 }
 
-// HTTP server
-const server = http.createServer((req, res) => {
-  const url = req.url;
-
-  // Serve channels JSON
-  if (url === "/channels") {
-    if (!fs.existsSync(CHANNELS_FILE)) {
-      res.writeHead(200, { "Content-Type": "application/json" });
-      return res.end(JSON.stringify([]));
-    }
-    const text = fs.readFileSync(CHANNELS_FILE, "utf8");
-    try {
-      const parsed = JSON.parse(text);
-      // remove sensitive fields
-      const safe = parsed.map(ch => {
-        const { name, logo, manifestUri, category } = ch;
-        return { name, logo, manifestUri, category };
-      });
-      res.writeHead(200, { "Content-Type": "application/json" });
-      return res.end(JSON.stringify(safe));
-    } catch (e) {
-      res.writeHead(500);
-      return res.end(JSON.stringify({ error: "Channels file error" }));
+// Parsed and validated catalogue, kept in memory until channels.json changes
+// on disk (checked with a stat per call, so API writes show up immediately)
+let catalogueCache = null;
+
+function loadCatalogue() {
+  let stat;
+  try {
+    stat = fs.statSync(CHANNELS_FILE);
+  } catch (e) {
+    throw httpError(500, "Channels file error");
+  }
+  const stamp = `${stat.ino}-${stat.size}-${stat.mtimeMs}`;
+  if (!catalogueCache || catalogueCache.stamp !== stamp) {
+    const linted = lintCatalogue(readChannelsText());
+    const { report } = linted;
+    // numbered over the whole file so a quarantined entry doesn't shift the rest
+    const lcns = assignLcns(linted.channels.filter(ch => ch && typeof ch === "object" && ch.id));
+    // the main source goes in url/manifestUri, backups stay in "sources"
+    const valid = linted.valid.map(ch => {
+      const main = withSource(ch, 0);
+      const detectedType = sniffer.typeOf(main);
+      return { ...main, lcn: lcns.get(ch.id), ...(detectedType ? { detectedType } : {}) };
+    });
+    sniffer.detect(valid);
+    const proxied = source => shouldProxy(source, PROXY_MODE);
+    const lineup = valid.map(ch => publicChannel(ch, { proxied }));
+    const version = crypto.createHash("sha1").update(JSON.stringify(lineup)).digest("base64url").slice(0, 16);
+    catalogueCache = { stamp, valid, report, lineup, version };
+  }
+  return catalogueCache;
+}
+
+// Entries that pass validation; broken ones are quarantined instead of failing the whole list
+function loadServableChannels() {
+  const { valid, report } = loadCatalogue();
+  if (report.error) throw httpError(500, "Channels file error");
+  return valid;
+}
+
+// What /channels and /events hand to the browser
+function publicLineup() {
+  const { lineup, report } = loadCatalogue();
+  if (report.error) throw httpError(500, "Channels file error");
+  return lineup;
+}
+
+function logValidation(report) {
+  if (report.error) {
+    console.error(`❌ channels.json is not valid JSON (line ${report.error.line ?? "?"}): ${report.error.message}`);
+  } else if (report.quarantined || report.warnings) {
+    console.warn(`⚠️ channels.json: ${report.valid}/${report.total} entries served, ${report.quarantined} quarantined, ${report.warnings} warnings (GET /api/channels/validation)`);
+  }
+}
+
+// Validate an incoming entry and strip unknown fields, 422 on bad input
+function cleanChannel(input) {
+  const errors = validateChannelInput(input);
+  if (errors.length) {
+    const err = httpError(422, "Invalid channel");
+    err.details = errors;
+    throw err;
+  }
+  return pickChannelFields(input);
+}
+
+// Stream types for URLs that don't give theirs away (no "type", no telling path),
+// sniffed in the background; each batch of answers rebuilds the lineup once so
+// browsers get one "changed" event and switch to the right player.
+// SNIFF_VERBOSE=1 logs every channel.
+const sniffer = createSourceSniffer({
+  verbose: process.env.SNIFF_VERBOSE === "1",
+  onDetected(found) {
+    console.log(`🔎 Stream type detected for ${found.length} channel(s)`);
+    catalogueCache = null;
+    refreshLineup();
+  }
+});
+
+// Probes whatever is servable at the start of each round
+const health = createHealthChecker(() => {
+  try {
+    return loadServableChannels();
+  } catch (e) {
+    return [];
+  }
+}, { intervalMs: HEALTH_CHECK_MINUTES * 60 * 1000 });
+
+// Set PROXY_SECRET so proxy URLs survive a restart
+const proxy = createProxy({ secret: process.env.PROXY_SECRET });
+
+const epg = createEpg(EPG_SOURCES, { refreshMs: EPG_REFRESH_HOURS * 60 * 60 * 1000 });
+
+// ?from= / ?to= as ISO dates or epoch milliseconds
+function parseTime(value, fallback) {
+  if (value === null || value === "") return fallback;
+  const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(ms)) throw httpError(400, `Invalid time "${value}"`);
+  return ms;
+}
+
+// Live lineup updates: diff the public lineup whenever channels.json changes
+const events = createSseHub();
+let broadcastLineup = [];
+
+function refreshLineup() {
+  let next;
+  try {
+    next = publicLineup();
+  } catch (e) {
+    // half-written or broken file: keep the last good lineup until it's fixed
+    console.error("❌ channels.json changed but could not be loaded; keeping the previous lineup");
+    return;
+  }
+  const { added, removed, changed } = diffChannels(broadcastLineup, next);
+  broadcastLineup = next;
+  if (added.length) events.send("added", added);
+  if (removed.length) events.send("removed", removed);
+  if (changed.length) events.send("changed", changed);
+  if (added.length || removed.length || changed.length) {
+    console.log(`🔄 Lineup updated: +${added.length} -${removed.length} ~${changed.length} (${events.size} listeners)`);
+  }
+}
+
+// Xtream Codes logins from data/xtream-users.json
+const xtreamAuth = createXtreamAuth();
+
+// Xtream apps send their parameters in the query string or as a form POST
+async function xtreamParams(req) {
+  const params = new URLSearchParams(req.query);
+  if (req.method === "POST") {
+    for (const [key, value] of new URLSearchParams(await readBody(req, 64 * 1024))) params.set(key, value);
+  }
+  return params;
+}
+
+// Xtream credentials are checked on every request, so they share the login
+// limiter: too many bad ones from an address and it gets 429s for a while
+function xtreamUser(req, username, password) {
+  checkLoginRate(req);
+  const user = xtreamAuth(username, password);
+  if (!user) recordLoginFailure(req);
+  return user;
+}
+
+async function playerApi(req, res) {
+  const params = await xtreamParams(req);
+  const password = params.get("password");
+  const user = xtreamUser(req, params.get("username"), password);
+  // what real panels answer; apps look at user_info.auth rather than the status code
+  if (!user) return sendJson(res, 200, { user_info: { auth: 0 } });
+
+  const channels = loadServableChannels().filter(isXtreamPlayable);
+  switch (params.get("action") || "") {
+    case "":
+      return sendJson(res, 200, accountInfo(user, password, { origin: requestOrigin(req) }));
+    case "get_live_categories":
+      return sendJson(res, 200, liveCategories(channels));
+    case "get_live_streams":
+      return sendJson(res, 200, liveStreams(channels, { categoryId: params.get("category_id") }));
+    case "get_short_epg":
+    case "get_simple_data_table": {
+      const channel = findByStreamId(channels, params.get("stream_id"));
+      if (!channel) return sendJson(res, 200, { epg_listings: [] });
+      const now = Date.now();
+      const listings = epg.query([channel], now - 60 * 60 * 1000, now + 24 * 60 * 60 * 1000)[channel.id] || [];
+      const current = listings.filter(p => Date.parse(p.stop) > now);
+      const limit = params.get("action") === "get_short_epg" ? Number(params.get("limit")) || 4 : undefined;
+      return sendJson(res, 200, shortEpg(current, channel.tvgId || channel.id, limit));
     }
+    // live TV only: the VOD and series sections stay empty
+    case "get_vod_categories":
+    case "get_vod_streams":
+    case "get_series_categories":
+    case "get_series":
+      return sendJson(res, 200, []);
+    default:
+      throw httpError(400, "Unsupported action");
   }
+}
+
+// Viewer accounts (lib/accounts.js); SESSION_SECRET overrides the generated one
+const sessions = createSessions({ secret: process.env.SESSION_SECRET });
+
+// Failed logins and sign-ups per client address, to slow down password guessing
+// and account spam
+const loginFailures = new Map();
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 10;
+
+function checkLoginRate(req) {
+  const key = req.socket.remoteAddress;
+  const entry = loginFailures.get(key);
+  if (entry && entry.until > Date.now() && entry.count >= LOGIN_MAX_FAILURES) {
+    throw httpError(429, "Too many attempts, try again later");
+  }
+}
+
+function recordLoginFailure(req) {
+  const key = req.socket.remoteAddress;
+  const entry = loginFailures.get(key);
+  if (!entry || entry.until < Date.now()) loginFailures.set(key, { count: 1, until: Date.now() + LOGIN_WINDOW_MS });
+  else entry.count++;
+}
 
-  // Serve static files from public
-  let filePath = path.join(PUBLIC_DIR, url === "/" ? "index.html" : url);
-  serveStatic(res, filePath);
+function requireUser(req) {
+  const username = sessions.user(req);
+  if (!username) throw httpError(401, "Not signed in");
+  return username;
+}
+
+const isHttps = req => requestOrigin(req).startsWith("https:");
+
+const router = createRouter();
+
+// ClearKey license: answer only the KIDs the CDM asked for. One route per
+// channel; the keys of all its sources are on offer.
+router.post("/license/:id", async (req, res) => {
+  const channel = loadServableChannels().find(ch => ch.id === req.params.id);
+  const clearKeys = channel ? channelSources(channel).filter(s => s.clearKey).map(s => s.clearKey) : [];
+  if (!clearKeys.length) throw httpError(404, "No license for this channel");
+
+  const request = await readJson(req, 64 * 1024).catch(() => null);
+  if (!request || !Array.isArray(request.kids)) throw httpError(400, "Invalid license request");
+
+  const available = {};
+  for (const [kid, key] of clearKeys.flatMap(Object.entries)) {
+    available[hexToBase64Url(kid)] = hexToBase64Url(key);
+  }
+  const keys = request.kids
+    .map(kid => String(kid).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, ""))
+    .filter(kid => available[kid])
+    .map(kid => ({ kty: "oct", kid, k: available[kid] }));
+
+  sendJson(res, 200, { keys, type: request.type || "temporary" }, { "Cache-Control": "no-store" });
+});
+
+// Serve channels JSON (sensitive fields removed). Optional filters, see lib/query.js:
+// ?category=&q=&ids=&fields=&sort=&limit=&offset=. X-Total-Count is the match
+// count before paging; the ETag changes with the lineup and the query.
+router.get("/channels", (req, res) => {
+  const lineup = publicLineup();
+  const { version } = catalogueCache;
+  const params = new URLSearchParams([...req.query].sort(([a], [b]) => a.localeCompare(b)));
+  const etag = `"${version}-${crypto.createHash("sha1").update(params.toString()).digest("base64url").slice(0, 10)}"`;
+  const headers = { ETag: etag, "Cache-Control": "no-cache" };
+
+  const inm = req.headers["if-none-match"];
+  if (inm && inm.split(",").some(tag => tag.trim().replace(/^W\//, "") === etag)) {
+    res.writeHead(304, headers);
+    return res.end();
+  }
+  const { total, items } = queryLineup(lineup, req.query);
+  sendJson(res, 200, items, { ...headers, "X-Total-Count": String(total) });
+});
+
+// Lineup changes as Server-Sent Events: "added" and "changed" carry channels
+// in the /channels shape, "removed" carries ids
+router.get("/events", (req, res) => {
+  events.handle(req, res);
+});
+
+// Reverse proxy for channels that can't be played straight from the browser
+// (plain http on an https page, CDNs that want a Referer/User-Agent).
+// The bare path is the main source's manifest, ?source=n a backup's; deeper
+// paths are sealed upstream URLs that carry their source (and so its headers).
+router.get("/proxy/:id/*", async (req, res) => {
+  const channel = loadServableChannels().find(ch => ch.id === req.params.id);
+  const rest = req.params["*"];
+  let index = null;
+  if (channel) index = rest ? proxy.sourceOf(channel.id, rest) : Number(req.query.get("source") || 0);
+  const target = Number.isInteger(index) ? withSource(channel, index) : null;
+  if (!target || !shouldProxy(target, PROXY_MODE)) throw httpError(404, "Channel not proxied");
+  await proxy.handle(req, res, target, rest, { source: index });
+});
+
+// Programme guide. ?channel=id[,id] (default: every channel with guide data),
+// ?from=&to= (default: the next 3 hours, at most 48 hours)
+router.get("/api/epg", (req, res) => {
+  const from = parseTime(req.query.get("from"), Date.now());
+  const to = parseTime(req.query.get("to"), from + 3 * 60 * 60 * 1000);
+  if (to <= from) throw httpError(400, "to must be after from");
+  if (to - from > EPG_MAX_WINDOW_MS) throw httpError(400, "Window is limited to 48 hours");
+
+  const ids = (req.query.get("channel") || "").split(",").map(s => s.trim()).filter(Boolean);
+  let list = loadServableChannels();
+  if (ids.length) list = list.filter(ch => ids.includes(ch.id));
+  sendJson(res, 200, {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    loadedAt: epg.status().loadedAt,
+    channels: epg.query(list, from, to)
+  }, { "Cache-Control": "max-age=60" });
 });
 
-server.listen(PORT, () => console.log(`✅ Server running on port ${PORT}`));
+// Viewer accounts and synced state
+router.post("/api/auth/register", async (req, res) => {
+  if (!ALLOW_SIGNUP) throw httpError(403, "Sign-up is closed");
+  checkLoginRate(req);
+  // every sign-up counts, a successful one included
+  recordLoginFailure(req);
+  const { username, password } = (await readJson(req, 16 * 1024)) || {};
+  const account = createAccount(username, password);
+  sendJson(res, 201, account, { "Set-Cookie": sessions.issue(account.username, { secure: isHttps(req) }) });
+});
+
+router.post("/api/auth/login", async (req, res) => {
+  checkLoginRate(req);
+  const { username, password } = (await readJson(req, 16 * 1024)) || {};
+  const account = authenticate(username, password);
+  if (!account) {
+    recordLoginFailure(req);
+    throw httpError(401, "Wrong username or password");
+  }
+  sendJson(res, 200, account, { "Set-Cookie": sessions.issue(account.username, { secure: isHttps(req) }) });
+});
+
+router.post("/api/auth/logout", (req, res) => {
+  sendJson(res, 204, undefined, { "Set-Cookie": sessions.clear({ secure: isHttps(req) }) });
+});
+
+router.get("/api/me", (req, res) => {
+  sendJson(res, 200, { username: requireUser(req) }, { "Cache-Control": "no-store" });
+});
+
+// favorites, history, volume, tier and filter as one document; PUT replaces it
+router.get("/api/me/state", (req, res) => {
+  sendJson(res, 200, readState(requireUser(req)), { "Cache-Control": "no-store" });
+});
+
+router.put("/api/me/state", async (req, res) => {
+  const username = requireUser(req);
+  const state = normalizeState(await readJson(req, 256 * 1024));
+  sendJson(res, 200, writeState(username, state));
+});
+
+// Xtream Codes API subset for IPTV apps (see lib/xtream.js)
+router.get("/player_api.php", playerApi);
+router.post("/player_api.php", playerApi);
+
+// Xtream stream URL: /live/<user>/<pass>/<streamId>.m3u8|.ts -> redirect to the
+// channel (through /proxy when the channel is proxied). .m3u8 is for HLS
+// channels, .ts for plain streams; anything else is a 415.
+router.get("/live/:user/:pass/:stream", (req, res) => {
+  const match = /^(\d+)\.(m3u8|ts)$/.exec(req.params.stream);
+  if (!match) throw httpError(404, "Unknown stream");
+  if (!xtreamUser(req, req.params.user, req.params.pass)) throw httpError(401, "Unauthorized");
+  const channel = findByStreamId(loadServableChannels().filter(isXtreamPlayable), match[1]);
+  if (!channel) throw httpError(404, "Unknown stream");
+  if (!servesFormat(channel, match[2])) throw httpError(415, `This stream is not available as .${match[2]}`);
+
+  const target = shouldProxy(channel, PROXY_MODE)
+    ? `${requestOrigin(req)}/proxy/${encodeURIComponent(channel.id)}/`
+    : channel.manifestUri || channel.url;
+  res.writeHead(302, { Location: target, "Cache-Control": "no-store" });
+  res.end();
+});
+
+// Extended M3U of the lineup. ?category=News,Sports and ?q=name narrow it down.
+// ClearKey entries point Kodi at our license route; admins can ask for
+// the raw kid:key pairs with ?keys=inline.
+router.get("/playlist.m3u", (req, res) => {
+  const categories = (req.query.get("category") || "").split(",").map(c => c.trim().toLowerCase()).filter(Boolean);
+  const q = (req.query.get("q") || "").trim().toLowerCase();
+  const channels = loadServableChannels().filter(ch =>
+    (!categories.length || categories.includes(String(ch.category).toLowerCase())) &&
+    (!q || String(ch.name).toLowerCase().includes(q))
+  );
+  const inlineKeys = req.query.get("keys") === "inline";
+  if (inlineKeys) requireAdmin(req);
+
+  res.writeHead(200, {
+    "Content-Type": "audio/x-mpegurl; charset=utf-8",
+    "Content-Disposition": 'inline; filename="playlist.m3u"'
+  });
+  const proxied = ch => shouldProxy(ch, PROXY_MODE);
+  res.end(renderM3u(channels, { baseUrl: requestOrigin(req), inlineKeys, proxied }));
+});
+
+// ---------------- Channel management API ----------------
+router.get("/api/channels", (req, res) => {
+  requireAdmin(req);
+  sendJson(res, 200, loadChannelsOrFail());
+});
+
+// Lint report: per-entry errors/warnings with the line each entry starts on
+router.get("/api/channels/validation", (req, res) => {
+  requireAdmin(req);
+  const { report } = lintCatalogue(readChannelsText());
+  sendJson(res, report.error ? 500 : 200, report);
+});
+
+router.get("/api/channels/:id", (req, res) => {
+  requireAdmin(req);
+  const channel = loadChannelsOrFail().find(ch => ch.id === req.params.id);
+  if (!channel) throw httpError(404, "Channel not found");
+  sendJson(res, 200, channel);
+});
+
+router.post("/api/channels", async (req, res) => {
+  requireAdmin(req);
+  const input = cleanChannel(await readJson(req));
+  const channels = loadChannelsOrFail();
+  const taken = new Set(channels.map(ch => ch.id));
+  if (input.id && taken.has(input.id)) throw httpError(409, "A channel with this id already exists");
+  const channel = { id: input.id || uniqueId(input.name, taken), ...input };
+  channels.push(channel);
+  writeChannels(channels);
+  sendJson(res, 201, channel, { Location: `/api/channels/${encodeURIComponent(channel.id)}` });
+});
+
+router.put("/api/channels/:id", async (req, res) => {
+  requireAdmin(req);
+  const channels = loadChannelsOrFail();
+  const idx = channels.findIndex(ch => ch.id === req.params.id);
+  if (idx < 0) throw httpError(404, "Channel not found");
+  const input = cleanChannel({ ...(await readJson(req)), id: req.params.id });
+  channels[idx] = input;
+  writeChannels(channels);
+  sendJson(res, 200, input);
+});
+
+// Merge patch: fields set to null are removed
+router.patch("/api/channels/:id", async (req, res) => {
+  requireAdmin(req);
+  const patch = await readJson(req);
+  if (!patch || typeof patch !== "object" || Array.isArray(patch)) throw httpError(400, "Patch must be an object");
+  const channels = loadChannelsOrFail();
+  const idx = channels.findIndex(ch => ch.id === req.params.id);
+  if (idx < 0) throw httpError(404, "Channel not found");
+  const merged = { ...channels[idx], ...patch, id: req.params.id };
+  for (const key of Object.keys(merged)) if (merged[key] === null) delete merged[key];
+  channels[idx] = cleanChannel(merged);
+  writeChannels(channels);
+  sendJson(res, 200, channels[idx]);
+});
+
+router.delete("/api/channels/:id", (req, res) => {
+  requireAdmin(req);
+  const channels = loadChannelsOrFail();
+  const idx = channels.findIndex(ch => ch.id === req.params.id);
+  if (idx < 0) throw httpError(404, "Channel not found");
+  channels.splice(idx, 1);
+  writeChannels(channels);
+  res.writeHead(204);
+  res.end();
+});
+
+// M3U import. The body is the playlist text. Dry run unless ?apply=1;
+// ?mode=merge|replace, ?defaultCategory= for groups we don't know.
+router.post("/api/import/m3u", async (req, res) => {
+  requireAdmin(req);
+  const mode = req.query.get("mode") || "merge";
+  if (mode !== "merge" && mode !== "replace") throw httpError(400, "mode must be merge or replace");
+  const entries = parseM3u(await readBody(req, 10 * 1024 * 1024));
+  if (!entries.length) throw httpError(400, "No playlist entries found");
+
+  const { channels, diff } = planImport(loadChannelsOrFail(), entries, {
+    mode, defaultCategory: req.query.get("defaultCategory") || undefined
+  });
+  const apply = ["1", "true"].includes(req.query.get("apply"));
+  const backup = apply ? writeChannels(channels).backup : null;
+  sendJson(res, 200, { applied: apply, backup, diff });
+});
+
+// Latest probe result per channel id. Carries no upstream URLs, so it's public.
+router.get("/api/health/channels", (req, res) => {
+  sendJson(res, 200, health.snapshot(), { "Cache-Control": "no-cache" });
+});
+
+// Start a round now instead of waiting for the timer; ?wait=1 answers when it is done
+router.post("/api/health/channels/check", async (req, res) => {
+  requireAdmin(req);
+  const round = health.checkNow();
+  const wait = ["1", "true"].includes(req.query.get("wait"));
+  if (wait) await round;
+  sendJson(res, wait ? 200 : 202, health.snapshot());
+});
+
+router.get("/api/backups", (req, res) => {
+  requireAdmin(req);
+  sendJson(res, 200, listBackups());
+});
+
+router.post("/api/backups/:name/restore", (req, res) => {
+  requireAdmin(req);
+  const result = restoreBackup(req.params.name);
+  if (!result) throw httpError(404, "Backup not found");
+  sendJson(res, 200, result);
+});
+
+// Serve static files from public
+router.get("/*", (req, res) => serveStatic(req, res, req.pathname));
+
+// HTTP server
+const server = http.createServer((req, res) => router.handle(req, res));
+
+logValidation(lintCatalogue(readChannelsText()).report);
+try {
+  broadcastLineup = publicLineup();
+} catch (e) {}
+watchFile(CHANNELS_FILE, refreshLineup);
+server.listen(PORT, () => {
+  console.log(`✅ Server running on port ${PORT}`);
+  health.start();
+  epg.start();
+});
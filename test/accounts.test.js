@@ -0,0 +1,76 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createSessions, emptyState, normalizeState, parseCookies } from "../lib/accounts.js";
+
+const invalid = input => {
+  try {
+    normalizeState(input);
+  } catch (e) {
+    assert.equal(e.status, 422);
+    return e.details.map(d => d.field);
+  }
+  assert.fail("expected a 422");
+};
+
+test("normalizeState keeps the stored shape and fills in defaults", () => {
+  assert.deepEqual(normalizeState({}), emptyState());
+  const state = normalizeState({
+    favorites: ["tv5", "gma", "tv5"],
+    history: [{ id: "tv5", time: 1700000000000, extra: true }],
+    volume: 0.5,
+    tier: "hd",
+    filter: { category: "News" },
+    somethingElse: 1
+  });
+  assert.deepEqual(state, {
+    favorites: ["tv5", "gma"],
+    history: [{ id: "tv5", time: 1700000000000 }],
+    volume: 0.5,
+    tier: "hd",
+    filter: { category: "News", hideOffline: false },
+    updatedAt: null
+  });
+});
+
+test("normalizeState rejects bad fields with 422 details", () => {
+  assert.deepEqual(invalid([]), [""]);
+  assert.deepEqual(invalid({ favorites: [1], volume: 2, tier: 5, filter: { hideOffline: "yes" } }),
+    ["favorites", "volume", "tier", "filter.hideOffline"]);
+  assert.deepEqual(invalid({ history: "tv5" }), ["history"]);
+});
+
+test("normalizeState drops legacy { index, time } history entries and keeps the rest", () => {
+  const legacy = {
+    favorites: ["tv5"],
+    history: [{ index: 3, time: 1600000000000 }, null, { id: "gma", time: "yesterday" }, { id: "tv5", time: 1700000000000 }],
+    volume: 0.8,
+    tier: "sd",
+    filter: { category: "Local", hideOffline: true }
+  };
+  const state = normalizeState(legacy);
+  assert.deepEqual(state.history, [{ id: "tv5", time: 1700000000000 }]);
+  assert.deepEqual([state.favorites, state.volume, state.tier, state.filter], [["tv5"], 0.8, "sd", { category: "Local", hideOffline: true }]);
+  assert.deepEqual(normalizeState(JSON.parse(JSON.stringify(state))), state);
+});
+
+test("parseCookies splits the header and skips malformed values", () => {
+  assert.deepEqual(parseCookies({ headers: { cookie: "a=1; session=x%20y; bad=%E0%A4%A; junk" } }), { a: "1", session: "x y" });
+  assert.deepEqual(parseCookies({ headers: {} }), {});
+});
+
+test("sessions round-trip and refuse tampered or expired cookies", t => {
+  const sessions = createSessions({ secret: "test-secret" });
+  const setCookie = sessions.issue("álvaro", { secure: true });
+  assert.match(setCookie, /; HttpOnly; SameSite=Lax; Max-Age=\d+; Secure$/);
+  const value = setCookie.split(";")[0].split("=")[1];
+  const req = cookie => ({ headers: { cookie: `session=${cookie}` } });
+  assert.equal(sessions.user(req(value)), "álvaro");
+
+  const [name, expires, mac] = value.split(".");
+  assert.equal(sessions.user(req(`${Buffer.from("root").toString("base64url")}.${expires}.${mac}`)), null);
+  assert.equal(createSessions({ secret: "other" }).user(req(value)), null);
+  assert.equal(sessions.user(req("garbage")), null);
+
+  t.mock.method(Date, "now", () => Number(expires) + 1);
+  assert.equal(sessions.user(req(`${name}.${expires}.${mac}`)), null);
+});
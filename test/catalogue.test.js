@@ -0,0 +1,47 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { channelSources, publicChannel, sourceType, withSource } from "../lib/catalogue.js";
+
+const clearKey = { "00112233445566778899aabbccddeeff": "ffeeddccbbaa99887766554433221100" };
+const channel = {
+  id: "rage",
+  name: "Rage",
+  logo: "https://l/rage.png",
+  category: "Music",
+  url: "https://a/rage/index.m3u8",
+  headers: { Referer: "https://a/" },
+  sources: [
+    { manifestUri: "https://c/rage/.mpd", clearKey, priority: 2, label: "DASH" },
+    { url: "https://b/rage.m3u8", headers: { Referer: "https://b/" }, priority: 1, label: "Mirror" }
+  ]
+};
+
+test("channelSources puts the channel's own URL first, then backups by priority", () => {
+  assert.deepEqual(channelSources(channel).map(s => s.label || s.url), ["https://a/rage/index.m3u8", "Mirror", "DASH"]);
+  assert.deepEqual(channelSources({ sources: [{ url: "https://b/x.m3u8" }] }), [{ url: "https://b/x.m3u8" }]);
+});
+
+test("withSource promotes a backup with its own headers and keeps the rest as sources", () => {
+  const mirror = withSource(channel, 1);
+  assert.equal(mirror.url, "https://b/rage.m3u8");
+  assert.deepEqual(mirror.headers, { Referer: "https://b/" });
+  assert.equal(mirror.label, undefined);
+  assert.deepEqual(mirror.sources.map(s => s.label || s.url), ["https://a/rage/index.m3u8", "DASH"]);
+  const dash = withSource(channel, 2);
+  assert.equal(dash.url, undefined);
+  assert.equal(sourceType(dash), "dash");
+  assert.deepEqual(dash.headers, { Referer: "https://a/" });
+  assert.equal(withSource(channel, 3), null);
+});
+
+test("publicChannel describes every source without exposing keys", () => {
+  const pub = publicChannel(channel, { proxied: ch => Boolean(ch.headers) && !ch.clearKey });
+  assert.deepEqual(pub.sources, [
+    { type: "hls", uri: "/proxy/rage/", drm: null },
+    { type: "hls", uri: "/proxy/rage/?source=1", drm: null, label: "Mirror" },
+    { type: "dash", uri: "https://c/rage/.mpd", drm: { keySystem: "org.w3.clearkey", licenseUri: "/license/rage" }, label: "DASH" }
+  ]);
+  assert.equal(pub.source, pub.sources[0]);
+  assert.ok(!JSON.stringify(pub).includes("ffeedd"));
+  assert.equal(pub.headers, undefined);
+});
@@ -0,0 +1,99 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import { createEpg, nameKey, parseXmltv, parseXmltvTime } from "../lib/epg.js";
+
+const XMLTV = `<?xml version="1.0" encoding="UTF-8"?>
+<tv>
+  <channel id="GMA.ph"><display-name>GMA HD</display-name><display-name lang="en">GMA 7</display-name></channel>
+  <channel id="tv5.ph"><display-name>TV5</display-name></channel>
+  <programme start="20240101080000 +0800" stop="20240101090000 +0800" channel="GMA.ph">
+    <title>Unang Hirit &amp; Friends</title><desc><![CDATA[Morning <b>show</b>]]></desc>
+    <category>News</category><icon src="https://i/uh.png"/>
+  </programme>
+  <programme start="20240101090000 +0800" channel="GMA.ph"><title>Next</title></programme>
+  <programme start="20240101100000 +0800" stop="20240101110000 +0800" channel="GMA.ph"><title>Later</title></programme>
+  <programme start="20240101000000 Z" stop="20240101010000 Z" channel="tv5.ph"><title>Late news</title></programme>
+  <programme start="nonsense" channel="tv5.ph"><title>Dropped</title></programme>
+</tv>`;
+
+test("parseXmltvTime applies the offset and defaults to UTC", () => {
+  assert.equal(parseXmltvTime("20240101080000 +0800"), Date.UTC(2024, 0, 1, 0, 0, 0));
+  assert.equal(parseXmltvTime("20240101080000 -05:30"), Date.UTC(2024, 0, 1, 13, 30, 0));
+  assert.equal(parseXmltvTime("202401010800"), Date.UTC(2024, 0, 1, 8, 0, 0));
+  assert.equal(parseXmltvTime("soon"), null);
+});
+
+test("nameKey ignores case, accents, punctuation and HD/SD suffixes", () => {
+  assert.equal(nameKey("GMA HD"), nameKey("gma-hd"));
+  assert.equal(nameKey("GMA HD"), nameKey("GMA"));
+  assert.equal(nameKey("Télé Québec"), "telequebec");
+});
+
+test("parseXmltv reads channels and programmes and decodes entities", () => {
+  const { channels, programmes } = parseXmltv(XMLTV);
+  assert.deepEqual(channels, [{ id: "GMA.ph", names: ["GMA HD", "GMA 7"] }, { id: "tv5.ph", names: ["TV5"] }]);
+  assert.equal(programmes.length, 4);
+  assert.deepEqual(programmes[0], {
+    channel: "GMA.ph",
+    start: Date.UTC(2024, 0, 1, 0),
+    stop: Date.UTC(2024, 0, 1, 1),
+    title: "Unang Hirit & Friends",
+    subTitle: undefined,
+    desc: "Morning <b>show</b>",
+    category: "News",
+    icon: "https://i/uh.png"
+  });
+  assert.equal(programmes[1].stop, null);
+});
+
+test("createEpg loads gzipped files and matches channels by tvgId or name", async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "epg-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "guide.xml.gz");
+  fs.writeFileSync(file, zlib.gzipSync(XMLTV));
+  t.mock.method(console, "log", () => {});
+
+  const epg = createEpg([file], { refreshMs: 0 });
+  await epg.load();
+  const channels = [
+    { id: "gma", name: "Whatever", tvgId: "gma.PH" },
+    { id: "tv5", name: "TV5 HD" },
+    { id: "none", name: "Nothing" }
+  ];
+  const guide = epg.query(channels, Date.UTC(2024, 0, 1, 0, 30), Date.UTC(2024, 0, 1, 2));
+  assert.deepEqual(Object.keys(guide), ["gma", "tv5"]);
+  assert.deepEqual(guide.gma.map(p => p.title), ["Unang Hirit & Friends", "Next"]);
+  // a programme without a stop time ends where the next one starts
+  assert.equal(guide.gma[1].stop, "2024-01-01T02:00:00.000Z");
+  assert.deepEqual(guide.tv5.map(p => p.title), ["Late news"]);
+  assert.deepEqual(epg.status().errors, []);
+  assert.equal(epg.status().channels, 2);
+});
+
+test("a source that fails on refresh keeps its last good programmes", async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "epg-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const guide = (id, title) => `<tv><programme start="20240101000000 Z" stop="20240101010000 Z" channel="${id}"><title>${title}</title></programme></tv>`;
+  const first = path.join(dir, "first.xml");
+  const second = path.join(dir, "second.xml");
+  fs.writeFileSync(first, guide("tv5.ph", "Old news"));
+  fs.writeFileSync(second, guide("gma.ph", "Teleserye"));
+
+  const epg = createEpg([first, second, path.join(dir, "never.xml")], { refreshMs: 0 });
+  await epg.load();
+  fs.writeFileSync(first, guide("tv5.ph", "New news"));
+  fs.rmSync(second);
+  await epg.load();
+
+  const channels = [{ id: "tv5", name: "TV5", tvgId: "tv5.ph" }, { id: "gma", name: "GMA", tvgId: "gma.ph" }];
+  const titles = epg.query(channels, Date.UTC(2024, 0, 1), Date.UTC(2024, 0, 2));
+  assert.deepEqual(titles.tv5.map(p => p.title), ["New news"]);
+  assert.deepEqual(titles.gma.map(p => p.title), ["Teleserye"]);
+  assert.deepEqual(epg.status().errors.map(e => path.basename(e.source)), ["second.xml", "never.xml"]);
+});
@@ -0,0 +1,17 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { diffChannels } from "../lib/events.js";
+
+test("diffChannels reports added, removed and changed channels by id", () => {
+  const prev = [{ id: 1, name: "TV5" }, { id: 2, name: "GMA" }, { id: 3, name: "Rage" }];
+  const next = [{ id: 1, name: "TV5" }, { id: 3, name: "Rage HD" }, { id: 4, name: "NHK" }];
+  const { added, removed, changed } = diffChannels(prev, next);
+  assert.deepEqual(added, [{ id: 4, name: "NHK" }]);
+  assert.deepEqual(removed, [2]);
+  assert.deepEqual(changed, [{ id: 3, name: "Rage HD" }]);
+});
+
+test("diffChannels is empty when nothing changed", () => {
+  const list = [{ id: 1, name: "TV5", sources: [{ url: "https://b/tv5.m3u8" }] }];
+  assert.deepEqual(diffChannels(list, structuredClone(list)), { added: [], removed: [], changed: [] });
+});
@@ -0,0 +1,85 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { probeChannel, createHealthChecker } from "../lib/health.js";
+
+// A tiny upstream: HLS master -> media playlist -> segment (which wants a Referer),
+// a DASH manifest with a SegmentTemplate, and a playlist whose segment is gone
+const routes = {
+  "/hls/master.m3u8": "#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=800000\nlow/index.m3u8\n#EXT-X-STREAM-INF:BANDWIDTH=2000000\nhigh/index.m3u8\n",
+  "/hls/low/index.m3u8": "#EXTM3U\n#EXT-X-TARGETDURATION:6\n#EXTINF:6,\nseg1.ts\n",
+  "/hls/low/seg1.ts": "G".repeat(188),
+  "/dash/manifest.mpd": '<MPD><Period><AdaptationSet><SegmentTemplate initialization="$RepresentationID$/init.mp4" media="$RepresentationID$/$Number$.m4s"/>' +
+    '<Representation id="v1" bandwidth="500000"/></AdaptationSet></Period></MPD>',
+  "/dash/v1/init.mp4": "\0\0\0\x18ftypiso6",
+  "/gone/index.m3u8": "#EXTM3U\n#EXTINF:6,\nmissing.ts\n",
+  "/html/index.m3u8": "<html>Not here</html>"
+};
+
+async function upstream(t) {
+  const server = http.createServer((req, res) => {
+    const body = routes[new URL(req.url, "http://x").pathname];
+    if (req.url.endsWith(".ts") && req.headers.referer !== "https://site/") res.writeHead(403).end();
+    else if (body === undefined) res.writeHead(404).end();
+    else res.end(body);
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test("probeChannel follows an HLS master to a segment, with the channel's headers", async t => {
+  const base = await upstream(t);
+  const headers = { Referer: "https://site/" };
+  const probe = await probeChannel({ url: `${base}/hls/master.m3u8`, headers });
+  assert.equal(probe.ok, true);
+  assert.equal(probe.variants, 2);
+  const noReferer = await probeChannel({ url: `${base}/hls/master.m3u8` });
+  assert.deepEqual([noReferer.ok, noReferer.error], [false, "HTTP 403 from segment"]);
+});
+
+test("probeChannel fetches a DASH initialization segment", async t => {
+  const base = await upstream(t);
+  const probe = await probeChannel({ manifestUri: `${base}/dash/manifest.mpd` });
+  assert.deepEqual([probe.ok, probe.variants], [true, 1]);
+});
+
+test("probeChannel reports dead segments and non-playlists", async t => {
+  const base = await upstream(t);
+  const gone = await probeChannel({ url: `${base}/gone/index.m3u8`, headers: { Referer: "https://site/" } });
+  assert.deepEqual([gone.ok, gone.error], [false, "HTTP 404 from segment"]);
+  assert.equal((await probeChannel({ url: `${base}/html/index.m3u8` })).error, "Not an M3U8 playlist");
+  assert.equal((await probeChannel({ url: `${base}/nothing.m3u8` })).error, "HTTP 404 from manifest");
+});
+
+test("health checker counts consecutive failures and forgets removed channels", async t => {
+  const base = await upstream(t);
+  let channels = [
+    { id: "up", url: `${base}/hls/master.m3u8`, headers: { Referer: "https://site/" } },
+    { id: "down", url: `${base}/gone/index.m3u8` }
+  ];
+  const checker = createHealthChecker(() => channels, { intervalMs: 0, timeoutMs: 2000 });
+  await checker.checkNow();
+  await checker.checkNow();
+  const { summary, channels: results } = checker.snapshot();
+  assert.deepEqual(summary, { online: 1, offline: 1, checked: 2 });
+  assert.equal(results.up.failures, 0);
+  assert.equal(results.down.failures, 2);
+  assert.equal(results.down.lastSuccess, null);
+
+  channels = channels.slice(0, 1);
+  await checker.checkNow();
+  assert.equal(checker.get("down"), null);
+});
+
+test("a channel stays online while one of its backup sources plays", async t => {
+  const base = await upstream(t);
+  const channels = [{
+    id: "rage",
+    url: `${base}/gone/index.m3u8`,
+    sources: [{ url: `${base}/dash/manifest.mpd` }]
+  }];
+  const checker = createHealthChecker(() => channels, { intervalMs: 0, timeoutMs: 2000 });
+  await checker.checkNow();
+  assert.equal(checker.get("rage").status, "online");
+});
@@ -0,0 +1,58 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { toChannel, planImport } from "../lib/importer.js";
+
+const entry = (name, uri, extra = {}) => ({ name, uri, group: "News", headers: {}, line: 1, ...extra });
+
+test("toChannel maps playlist entries to catalogue fields", () => {
+  assert.deepEqual(toChannel(entry("A", "https://a/x.mpd", { logo: "https://l/a.png", tvgId: "a.ph", lcn: 7 })), {
+    name: "A", logo: "https://l/a.png", category: "News", manifestUri: "https://a/x.mpd", tvgId: "a.ph", lcn: 7
+  });
+  assert.equal(toChannel(entry("B", "https://b/live", { manifestType: "mpd" })).manifestUri, "https://b/live");
+  assert.equal(toChannel(entry("C", "https://c/live.m3u8", { group: "news" })).category, "News");
+  assert.equal(toChannel(entry("E", "https://e/x.m3u8", { logo: "javascript:alert(1)" })).logo, undefined);
+  assert.equal(toChannel(entry("D", "https://d/x.m3u8", { group: "Cooking" }), { defaultCategory: "Local" }).category, "Local");
+});
+
+test("merge updates channels by URL, appends new ones and keeps ids", () => {
+  const existing = [
+    { id: "a", name: "A", category: "News", url: "https://a/x.m3u8", rating: "PG" },
+    { id: "b", name: "B", category: "News", url: "https://b/x.m3u8" }
+  ];
+  const { channels, diff } = planImport(existing, [
+    entry("A renamed", "https://a/x.m3u8"),
+    entry("B", "https://b/x.m3u8"),
+    entry("New", "https://n/x.m3u8"),
+    entry("New again", "https://n/x.m3u8", { line: 9 }),
+    entry("Bad", "ftp://bad", { line: 12 })
+  ]);
+  assert.deepEqual(channels.map(ch => ch.id), ["a", "b", "new"]);
+  assert.equal(channels[0].name, "A renamed");
+  assert.equal(channels[0].rating, "PG");
+  assert.deepEqual(diff.updated, [{ id: "a", name: "A renamed", fields: ["name"] }]);
+  assert.equal(diff.unchanged, 1);
+  assert.deepEqual(diff.added, [{ id: "new", name: "New", category: "News" }]);
+  assert.deepEqual(diff.duplicates, [{ line: 9, name: "New again", uri: "https://n/x.m3u8" }]);
+  assert.equal(diff.invalid[0].line, 12);
+});
+
+test("replace drops what the playlist doesn't have", () => {
+  const existing = [
+    { id: "a", name: "A", category: "News", url: "https://a/x.m3u8" },
+    { id: "b", name: "B", category: "News", url: "https://b/x.m3u8" }
+  ];
+  const { channels, diff } = planImport(existing, [entry("B", "https://b/x.m3u8")], { mode: "replace" });
+  assert.deepEqual(channels.map(ch => ch.id), ["b"]);
+  assert.deepEqual(diff.removed, [{ id: "a", name: "A" }]);
+  assert.throws(() => planImport(existing, [], { mode: "append" }), /Unknown import mode/);
+});
+
+test("existing channels sharing a URL: the first is updated, the rest reported", () => {
+  const existing = [
+    { id: "a", name: "A", category: "News", url: "https://x/1.m3u8" },
+    { id: "b", name: "B", category: "News", url: "https://x/1.m3u8" }
+  ];
+  const { channels, diff } = planImport(existing, [entry("A2", "https://x/1.m3u8")]);
+  assert.deepEqual(channels.map(ch => ch.name), ["A2", "B"]);
+  assert.deepEqual(diff.duplicates, [{ id: "b", name: "B", uri: "https://x/1.m3u8", existing: true }]);
+});
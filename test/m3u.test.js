@@ -0,0 +1,123 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { renderM3u, parseM3u, parseLicenseKey } from "../lib/m3u.js";
+
+const KEYS = { "2615129ef2c846a9bbd43a641c7303ef": "07c7f996b1734ea288641a68e1cfdc4d" };
+
+test("renderM3u writes one EXTINF block per channel", () => {
+  const text = renderM3u([
+    { id: "rage-tv", name: "Rage Tv", logo: "https://l/r.png", category: "Movies", lcn: 3, url: "https://a/chunks.m3u8" },
+    { id: "no-url", name: "Nothing", category: "News" }
+  ]);
+  assert.equal(text, [
+    "#EXTM3U",
+    '#EXTINF:-1 tvg-id="rage-tv" tvg-chno="3" tvg-name="Rage Tv" tvg-logo="https://l/r.png" group-title="Movies",Rage Tv',
+    "https://a/chunks.m3u8",
+    ""
+  ].join("\n"));
+});
+
+test("renderM3u points ClearKey DASH channels at the license route", () => {
+  const lines = renderM3u([{ id: "tv5", name: "TV5", category: "Local", manifestUri: "https://a/index.mpd", clearKey: KEYS }], { baseUrl: "http://tv.local" }).split("\n");
+  assert.deepEqual(lines.slice(2, 6), [
+    "#KODIPROP:inputstream=inputstream.adaptive",
+    "#KODIPROP:inputstream.adaptive.manifest_type=mpd",
+    "#KODIPROP:inputstream.adaptive.license_type=clearkey",
+    "#KODIPROP:inputstream.adaptive.license_key=http://tv.local/license/tv5"
+  ]);
+  assert.equal(lines[6], "https://a/index.mpd");
+});
+
+test("renderM3u can inline the keys and carries Referer/User-Agent", () => {
+  const text = renderM3u([{
+    id: "x", name: "X", category: "News", manifestUri: "https://a/x.mpd", clearKey: KEYS,
+    headers: { Referer: "https://site/", "User-Agent": "Box/1.0" }
+  }], { inlineKeys: true });
+  assert.match(text, /license_key=2615129ef2c846a9bbd43a641c7303ef:07c7f996b1734ea288641a68e1cfdc4d\n/);
+  assert.match(text, /#EXTVLCOPT:http-referrer=https:\/\/site\/\n#EXTVLCOPT:http-user-agent=Box\/1\.0\n/);
+});
+
+test("renderM3u keeps attribute values on one line and inside their quotes", () => {
+  const text = renderM3u([{ id: "x", name: 'Say "hi"\nthere', category: "News", url: "https://a/x.m3u8" }]);
+  assert.match(text, /tvg-name="Say 'hi' there"/);
+  assert.match(text, /,Say "hi" there\n/);
+});
+
+test("renderM3u keeps header values and URLs from adding playlist lines", () => {
+  const text = renderM3u([{
+    id: "x", name: "X", category: "News", url: "https://a/x.m3u8\n#EXTINF:-1,Injected",
+    headers: { Referer: "https://site/\r\nhttps://evil/x.m3u8", "User-Agent": "Box\n#EXTVLCOPT:http-referrer=y" }
+  }]);
+  assert.deepEqual(text.split("\n").slice(2), [
+    "#EXTVLCOPT:http-referrer=https://site/ https://evil/x.m3u8",
+    "#EXTVLCOPT:http-user-agent=Box #EXTVLCOPT:http-referrer=y",
+    "https://a/x.m3u8 #EXTINF:-1,Injected",
+    ""
+  ]);
+});
+
+test("renderM3u lists proxied channels by their /proxy URL, without upstream or headers", () => {
+  const text = renderM3u([
+    { id: "rage tv", name: "Rage", category: "Music", url: "http://upstream/secret.m3u8", headers: { Referer: "https://site/" } },
+    { id: "tv5", name: "TV5", category: "Local", url: "https://a/tv5.m3u8" }
+  ], { baseUrl: "http://tv.local", proxied: ch => ch.url.startsWith("http:") });
+  assert.doesNotMatch(text, /upstream|site|EXTVLCOPT/);
+  assert.match(text, /\nhttp:\/\/tv\.local\/proxy\/rage%20tv\/\n/);
+  assert.match(text, /\nhttps:\/\/a\/tv5\.m3u8\n$/);
+});
+
+test("parseM3u reads EXTINF attributes, Kodi props and VLC options", () => {
+  const entries = parseM3u([
+    "\uFEFF#EXTM3U x-tvg-url=\"https://epg\"",
+    '#EXTINF:-1 tvg-id="tv5.ph" tvg-chno="5" tvg-logo="https://l/tv5.png" group-title="Local",TV5, Manila',
+    "#KODIPROP:inputstream.adaptive.manifest_type=mpd",
+    "#KODIPROP:inputstream.adaptive.license_type=clearkey",
+    "#KODIPROP:inputstream.adaptive.license_key=2615129ef2c846a9bbd43a641c7303ef:07c7f996b1734ea288641a68e1cfdc4d",
+    "#EXTVLCOPT:http-referrer=https://site/",
+    "https://a/index.mpd",
+    "",
+    "#EXTINF:-1,Bare",
+    "#EXTGRP:News",
+    "https://b/live.m3u8|User-Agent=Box%2F1.0&Origin=https://o"
+  ].join("\r\n"));
+
+  assert.equal(entries.length, 2);
+  assert.deepEqual(entries[0], {
+    headers: { Referer: "https://site/" },
+    line: 2,
+    name: "TV5, Manila",
+    logo: "https://l/tv5.png",
+    group: "Local",
+    tvgId: "tv5.ph",
+    lcn: 5,
+    manifestType: "mpd",
+    uri: "https://a/index.mpd",
+    clearKey: KEYS
+  });
+  assert.equal(entries[1].name, "Bare");
+  assert.equal(entries[1].group, "News");
+  assert.equal(entries[1].uri, "https://b/live.m3u8");
+  assert.deepEqual(entries[1].headers, { "User-Agent": "Box/1.0", Origin: "https://o" });
+});
+
+test("parseM3u leaves keys alone for non-ClearKey DRM", () => {
+  const [entry] = parseM3u([
+    "#EXTINF:-1,Widevine",
+    "#KODIPROP:inputstream.adaptive.license_type=com.widevine.alpha",
+    "#KODIPROP:inputstream.adaptive.license_key=https://license.example/wv",
+    "https://a/x.mpd"
+  ].join("\n"));
+  assert.equal(entry.clearKey, undefined);
+  assert.equal(entry.licenseKey, undefined);
+});
+
+test("parseLicenseKey understands the common license_key spellings", () => {
+  assert.deepEqual(parseLicenseKey("2615129EF2C846A9BBD43A641C7303EF:07C7F996B1734EA288641A68E1CFDC4D"), KEYS);
+  assert.deepEqual(parseLicenseKey(JSON.stringify(KEYS)), KEYS);
+  assert.deepEqual(parseLicenseKey(JSON.stringify({
+    keys: [{ kty: "oct", kid: "JhUSnvLIRqm71DpkHHMD7w", k: "B8f5lrFzTqKIZBpo4c_cTQ" }]
+  })), KEYS);
+  assert.equal(parseLicenseKey("https://license.example/ck"), null);
+  assert.equal(parseLicenseKey(""), null);
+  assert.equal(parseLicenseKey("{not json"), null);
+});
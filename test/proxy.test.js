@@ -0,0 +1,81 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createProxy, resolveProxied, shouldProxy } from "../lib/proxy.js";
+
+const BASE = "https://cdn.example/live/ch1/index.m3u8";
+
+test("resolveProxied stays below the sealed URL's directory", () => {
+  assert.equal(resolveProxied(BASE, ""), BASE);
+  assert.equal(resolveProxied(BASE, "seg1.ts"), "https://cdn.example/live/ch1/seg1.ts");
+  assert.equal(resolveProxied(BASE, "720p/seg1.ts", "?t=1"), "https://cdn.example/live/ch1/720p/seg1.ts?t=1");
+});
+
+test("resolveProxied refuses paths that leave the source", () => {
+  const outside = [
+    "http://127.0.0.1:3901/api/health/channels",
+    "https:/evil.example/x",
+    "//127.0.0.1:3901/playlist.m3u",
+    "\\\\evil.example\\x",
+    "/\\evil.example/x",
+    "../other/seg.ts",
+    "a/../../../x",
+    "/live/ch2/index.m3u8"
+  ];
+  for (const relative of outside) {
+    assert.throws(() => resolveProxied(BASE, relative), err => err.status === 403, relative);
+  }
+});
+
+test("tokens carry the channel and source they were minted for", () => {
+  const proxy = createProxy({ secret: "test" });
+  const token = proxy.seal("ch1", BASE, 2);
+  assert.deepEqual(proxy.open("ch1", token), { url: BASE, source: 2 });
+  assert.equal(proxy.open("ch2", token), null);
+  assert.equal(proxy.open("ch1", token.slice(0, -2) + "AA"), null);
+  assert.equal(proxy.sourceOf("ch1", `${token}/seg1.ts`), 2);
+  assert.equal(proxy.sourceOf("ch1", "garbage"), null);
+});
+
+test("rewriteHls seals every URI against the playlist URL", () => {
+  const proxy = createProxy({ secret: "test" });
+  const text = [
+    "#EXTM3U",
+    '#EXT-X-KEY:METHOD=AES-128,URI="key.bin"',
+    '#EXT-X-MAP:URI="data:,init"',
+    "#EXTINF:4,",
+    "seg1.ts",
+    "https://other.example/seg2.ts"
+  ].join("\n");
+  const lines = proxy.rewriteHls("ch1", text, BASE, 1).split("\n");
+  const opened = path => proxy.open("ch1", path.split("/")[3]);
+
+  assert.equal(lines[0], "#EXTM3U");
+  const key = /URI="([^"]*)"/.exec(lines[1])[1];
+  assert.deepEqual(opened(key), { url: "https://cdn.example/live/ch1/key.bin", source: 1 });
+  assert.equal(lines[2], '#EXT-X-MAP:URI="data:,init"');
+  assert.deepEqual(opened(lines[4]), { url: "https://cdn.example/live/ch1/seg1.ts", source: 1 });
+  assert.deepEqual(opened(lines[5]), { url: "https://other.example/seg2.ts", source: 1 });
+});
+
+test("rewriteDash adds a sealed BaseURL and keeps template variables in clear", () => {
+  const proxy = createProxy({ secret: "test" });
+  const mpd = '<MPD type="dynamic"><Period><AdaptationSet>' +
+    '<SegmentTemplate media="https://cdn.example/dash/v_$Number$.m4s" initialization="init.mp4"/>' +
+    "</AdaptationSet></Period></MPD>";
+  const out = proxy.rewriteDash("ch1", mpd, "https://cdn.example/dash/manifest.mpd");
+  const base = /<BaseURL>([^<]*)<\/BaseURL>/.exec(out)[1];
+  assert.deepEqual(proxy.open("ch1", base.split("/")[3]), { url: "https://cdn.example/dash/", source: 0 });
+  const media = /media="([^"]*)"/.exec(out)[1];
+  assert.match(media, /^\/proxy\/ch1\/[\w-]+\/v_\$Number\$\.m4s$/);
+  assert.match(out, /initialization="init\.mp4"/);
+});
+
+test("shouldProxy: channel flag, then mode, then http:// or custom headers", () => {
+  assert.equal(shouldProxy({ url: "https://a/x.m3u8", proxy: true }), true);
+  assert.equal(shouldProxy({ url: "http://a/x.m3u8", proxy: false }), false);
+  assert.equal(shouldProxy({ url: "https://a/x.m3u8" }, "all"), true);
+  assert.equal(shouldProxy({ url: "http://a/x.m3u8" }, "off"), false);
+  assert.equal(shouldProxy({ url: "http://a/x.m3u8" }), true);
+  assert.equal(shouldProxy({ url: "https://a/x.m3u8", headers: { Referer: "r" } }), true);
+  assert.equal(shouldProxy({ manifestUri: "https://a/x.mpd" }), false);
+});
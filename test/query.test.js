@@ -0,0 +1,38 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { queryLineup } from "../lib/query.js";
+
+const lineup = [
+  { id: "tv5", name: "TV5", category: "Local", lcn: 5, logo: "https://l/tv5.png" },
+  { id: "gma", name: "GMA", category: "Local", lcn: 7, logo: "https://l/gma.png" },
+  { id: "cnn", name: "CNN International", category: "News", lcn: 100 },
+  { id: "bbc", name: "BBC News", category: "News", lcn: 20 }
+];
+const run = params => queryLineup(lineup, new URLSearchParams(params));
+const ids = result => result.items.map(ch => ch.id);
+
+test("queryLineup filters by category, name and ids", () => {
+  assert.deepEqual(ids(run("category=news")), ["cnn", "bbc"]);
+  assert.deepEqual(ids(run("category=Local,News&q=n")), ["cnn", "bbc"]);
+  assert.deepEqual(ids(run("ids=gma,bbc,missing")), ["gma", "bbc"]);
+  assert.deepEqual(run("q=nothing"), { total: 0, items: [] });
+});
+
+test("queryLineup sorts numerically and descending, then pages after counting", () => {
+  assert.deepEqual(ids(run("sort=lcn")), ["tv5", "gma", "bbc", "cnn"]);
+  assert.deepEqual(ids(run("sort=category,-name")), ["tv5", "gma", "cnn", "bbc"]);
+  const page = run("sort=lcn&limit=2&offset=1");
+  assert.equal(page.total, 4);
+  assert.deepEqual(ids(page), ["gma", "bbc"]);
+  assert.deepEqual(ids(run("limit=0")), []);
+});
+
+test("queryLineup keeps only the requested fields plus id", () => {
+  assert.deepEqual(run("fields=name&ids=tv5").items, [{ id: "tv5", name: "TV5" }]);
+});
+
+test("queryLineup rejects unknown fields, sort keys and bad paging with 400", () => {
+  for (const params of ["fields=url", "sort=-url", "limit=-1", "offset=two"]) {
+    assert.throws(() => run(params), e => e.status === 400, params);
+  }
+});
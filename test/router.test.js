@@ -0,0 +1,74 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Readable } from "stream";
+import { createRouter, httpError, readJson } from "../lib/router.js";
+
+// Just enough of http.ServerResponse for sendJson()
+function fakeRes() {
+  return {
+    headersSent: false,
+    writeHead(status, headers) {
+      this.status = status;
+      this.headers = headers;
+      this.headersSent = true;
+    },
+    end(body) {
+      this.body = body === undefined ? undefined : JSON.parse(body);
+    }
+  };
+}
+
+async function dispatch(router, method, url) {
+  const req = { method, url };
+  const res = fakeRes();
+  await router.handle(req, res);
+  return { req, res };
+}
+
+test("router matches named segments and trailing wildcards", async () => {
+  const router = createRouter();
+  router.get("/api/channels/:id", (req, res) => res.end(JSON.stringify(req.params)));
+  router.get("/proxy/:id/*", (req, res) => res.end(JSON.stringify(req.params)));
+
+  assert.deepEqual((await dispatch(router, "GET", "/api/channels/tv%205")).res.body, { id: "tv 5" });
+  assert.deepEqual((await dispatch(router, "GET", "/api/channels/tv5/")).res.body, { id: "tv5" });
+  assert.deepEqual((await dispatch(router, "GET", "/proxy/tv5/a/b.ts?x=1")).res.body, { id: "tv5", "*": "a/b.ts" });
+  assert.deepEqual((await dispatch(router, "GET", "/proxy/tv5")).res.body, { id: "tv5", "*": "" });
+  assert.deepEqual((await dispatch(router, "HEAD", "/api/channels/x")).res.body, { id: "x" });
+});
+
+test("router answers 404, 405 with Allow, and 400 for malformed escapes", async () => {
+  const router = createRouter();
+  router.get("/api/channels/:id", (req, res) => res.end());
+  router.delete("/api/channels/:id", (req, res) => res.end());
+
+  assert.equal((await dispatch(router, "GET", "/nothing")).res.status, 404);
+  const { res } = await dispatch(router, "POST", "/api/channels/x");
+  assert.equal(res.status, 405);
+  assert.equal(res.headers.Allow, "GET, DELETE");
+  assert.deepEqual((await dispatch(router, "GET", "/api/channels/%E0%A4%A")).res.body, { error: "Malformed URL" });
+});
+
+test("router turns thrown errors into JSON and hides 5xx messages", async t => {
+  t.mock.method(console, "error", () => {});
+  const router = createRouter();
+  router.get("/bad", () => {
+    const err = httpError(422, "Invalid channel");
+    err.details = [{ field: "name", message: "name is required" }];
+    throw err;
+  });
+  router.get("/broken", async () => { throw new Error("disk on fire"); });
+
+  const bad = (await dispatch(router, "GET", "/bad")).res;
+  assert.equal(bad.status, 422);
+  assert.deepEqual(bad.body, { error: "Invalid channel", details: [{ field: "name", message: "name is required" }] });
+  const broken = (await dispatch(router, "GET", "/broken")).res;
+  assert.equal(broken.status, 500);
+  assert.deepEqual(broken.body, { error: "Internal server error" });
+});
+
+test("readJson rejects bad JSON with 400 and large bodies with 413", async () => {
+  assert.deepEqual(await readJson(Readable.from([Buffer.from('{"a":1}')])), { a: 1 });
+  await assert.rejects(readJson(Readable.from([Buffer.from("{nope")])), e => e.status === 400);
+  await assert.rejects(readJson(Readable.from([Buffer.alloc(64, 0x20)]), 16), e => e.status === 413);
+});
@@ -0,0 +1,46 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { typeFromBytes, typeFromContentType, typeFromUrl } from "../lib/sniff.js";
+
+test("typeFromUrl reads the extension of the path only", () => {
+  assert.equal(typeFromUrl("https://a/live/index.m3u8?token=x.mpd"), "hls");
+  assert.equal(typeFromUrl("https://a/live/.mpd"), "dash");
+  assert.equal(typeFromUrl("https://a/vod/Movie.MP4#t=10"), "progressive");
+  assert.equal(typeFromUrl("https://a/radio/stream.aac"), "progressive");
+  assert.equal(typeFromUrl("https://a/play?file=x.m3u8"), null);
+  assert.equal(typeFromUrl("/relative/list.m3u?x=1"), "hls");
+  assert.equal(typeFromUrl(""), null);
+});
+
+test("typeFromUrl understands Smooth Streaming format selectors", () => {
+  assert.equal(typeFromUrl("https://a/ch.isml/manifest(format=m3u8-aapl)"), "hls");
+  assert.equal(typeFromUrl("https://a/ch.isml/manifest(format=mpd-time-csf)"), "dash");
+});
+
+test("typeFromContentType ignores parameters and case", () => {
+  assert.equal(typeFromContentType("application/vnd.apple.mpegurl"), "hls");
+  assert.equal(typeFromContentType("Audio/X-MpegURL; charset=utf-8"), "hls");
+  assert.equal(typeFromContentType("application/dash+xml"), "dash");
+  assert.equal(typeFromContentType("video/mp2t"), "progressive");
+  assert.equal(typeFromContentType("application/octet-stream"), null);
+  assert.equal(typeFromContentType(undefined), null);
+});
+
+test("typeFromBytes recognises playlists, manifests and media containers", () => {
+  const bytes = (...values) => Uint8Array.from(values);
+  const text = s => new TextEncoder().encode(s);
+  assert.equal(typeFromBytes(text("\uFEFF\n#EXTM3U\n#EXT-X-VERSION:3")), "hls");
+  assert.equal(typeFromBytes(text('<?xml version="1.0"?>\n<MPD xmlns="urn:mpeg:dash:schema:mpd:2011">')), "dash");
+  assert.equal(typeFromBytes(bytes(0, 0, 0, 0x20, 0x66, 0x74, 0x79, 0x70)), "progressive");
+  const ts = new Uint8Array(376);
+  ts[0] = ts[188] = 0x47;
+  assert.equal(typeFromBytes(ts), "progressive");
+  ts[188] = 0;
+  assert.equal(typeFromBytes(ts), null);
+  assert.equal(typeFromBytes(text("ID3\u0004")), "progressive");
+  assert.equal(typeFromBytes(bytes(0xff, 0xfb, 0x90)), "progressive");
+  assert.equal(typeFromBytes(text("OggS")), "progressive");
+  assert.equal(typeFromBytes(bytes(0x1a, 0x45, 0xdf, 0xa3)), "progressive");
+  assert.equal(typeFromBytes(text("<html><body>Not found</body></html>")), null);
+  assert.equal(typeFromBytes(new Uint8Array(0)), null);
+});
@@ -0,0 +1,54 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { createStaticHandler, resolveInside } from "../lib/static.js";
+
+const root = path.resolve("/srv/public");
+
+test("resolveInside maps request paths into the root", () => {
+  assert.equal(resolveInside(root, "/"), root);
+  assert.equal(resolveInside(root, "/css/app%20main.css"), path.join(root, "css", "app main.css"));
+  assert.equal(resolveInside(root, "/a/../index.html"), path.join(root, "index.html"));
+});
+
+test("resolveInside refuses traversal, NUL bytes and malformed escapes", () => {
+  assert.equal(resolveInside(root, "/../etc/passwd"), null);
+  assert.equal(resolveInside(root, "/%2e%2e/%2e%2e/etc/passwd"), null);
+  assert.equal(resolveInside(root, "/..%2fpublic-old/secret"), null);
+  assert.equal(resolveInside(root, "/index.html%00.png"), null);
+  assert.equal(resolveInside(root, "/%E0%A4%A"), null);
+});
+
+test("static handler serves ranges and answers conditional requests with 304", async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "static-test-"));
+  fs.writeFileSync(path.join(dir, "clip.ts"), "0123456789");
+  const serve = createStaticHandler(dir);
+  const server = http.createServer((req, res) => serve(req, res, new URL(req.url, "http://x").pathname));
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const part = await fetch(`${base}/clip.ts`, { headers: { Range: "bytes=2-5" } });
+  assert.equal(part.status, 206);
+  assert.equal(part.headers.get("content-range"), "bytes 2-5/10");
+  assert.equal(await part.text(), "2345");
+
+  const beyond = await fetch(`${base}/clip.ts`, { headers: { Range: "bytes=20-" } });
+  assert.equal(beyond.status, 416);
+  await beyond.arrayBuffer();
+
+  const full = await fetch(`${base}/clip.ts`);
+  assert.equal(await full.text(), "0123456789");
+  const cached = await fetch(`${base}/clip.ts`, { headers: { "If-None-Match": full.headers.get("etag") } });
+  assert.equal(cached.status, 304);
+
+  const missing = await fetch(`${base}/nope.ts`);
+  assert.equal(missing.status, 404);
+  await missing.arrayBuffer();
+});
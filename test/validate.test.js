@@ -0,0 +1,59 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { checkChannel, lintCatalogue } from "../lib/validate.js";
+
+const ok = { name: "TV5", logo: "https://l/tv5.png", category: "Local", url: "https://a/tv5.m3u8" };
+
+test("checkChannel accepts a complete entry", () => {
+  assert.deepEqual(checkChannel(ok), { errors: [], warnings: [] });
+});
+
+test("checkChannel reports bad fields as errors and soft problems as warnings", () => {
+  const { errors, warnings } = checkChannel({ name: "", category: "Cooking", url: "ftp://a/x", clearKey: { nothex: "00" } });
+  assert.deepEqual(errors.map(e => e.field), ["name", "category", "url", "clearKey", "clearKey"]);
+  assert.deepEqual(warnings.map(w => w.field), ["logo"]);
+  assert.deepEqual(checkChannel({ ...ok, url: "http://a/x.m3u8" }).warnings.map(w => w.field), ["url"]);
+  assert.equal(checkChannel({ ...ok, url: undefined }).errors[0].message, "Entry has no url, manifestUri or sources");
+});
+
+test("checkChannel only accepts http(s) logos", () => {
+  for (const logo of ["javascript:alert(1)", 'x" onerror="alert(1)', "data:image/svg+xml,<svg/>", "/logos/tv5.png"]) {
+    assert.deepEqual(checkChannel({ ...ok, logo }).errors.map(e => e.field), ["logo"], logo);
+  }
+  assert.deepEqual(checkChannel({ ...ok, logo: "http://l/tv5.png" }).errors, []);
+});
+
+test("lintCatalogue quarantines broken entries and keeps the rest", () => {
+  const text = JSON.stringify([ok, { name: "Broken", category: "Local" }, { ...ok, name: "Other", url: "https://a/other.m3u8" }], null, 2);
+  const { channels, valid, report } = lintCatalogue(text);
+  assert.equal(channels.length, 3);
+  assert.deepEqual(valid.map(ch => ch.id), ["tv5", "other"]);
+  assert.equal(report.total, 3);
+  assert.equal(report.valid, 2);
+  assert.equal(report.quarantined, 1);
+  const [entry] = report.entries;
+  assert.equal(entry.id, "broken");
+  assert.equal(entry.status, "quarantined");
+  assert.equal(entry.line, 8);
+});
+
+test("lintCatalogue warns about duplicate names and URLs with the first line", () => {
+  const text = "[\n" + JSON.stringify(ok) + ",\n" + JSON.stringify({ ...ok, name: "tv5" }) + "\n]";
+  const { report } = lintCatalogue(text);
+  assert.equal(report.quarantined, 0);
+  assert.deepEqual(report.entries[0].warnings.map(w => w.message), [
+    "Duplicate name, first seen on line 2",
+    "Duplicate URL, first seen on line 2"
+  ]);
+  assert.equal(report.entries[0].line, 3);
+});
+
+test("lintCatalogue reports where the JSON breaks", () => {
+  const { valid, report } = lintCatalogue('[\n  {"name": "a"},\n  {"name": }\n]');
+  assert.deepEqual(valid, []);
+  assert.equal(report.error.line, 3);
+  assert.equal(lintCatalogue('[\n  {"a": 1,}\n]').report.error.line, 2);
+  assert.equal(lintCatalogue('[\n  "unterminated\n]').report.error.line, 2);
+  assert.equal(lintCatalogue("[1]\n\nx").report.error.line, 3);
+  assert.equal(lintCatalogue('{"name": "a"}').report.error.message, "channels.json must be an array");
+});
@@ -0,0 +1,88 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { hashPassword, verifyPassword } from "../lib/passwords.js";
+import {
+  createXtreamAuth, streamIdOf, categoryIdOf, liveCategories, liveStreams, findByStreamId, accountInfo, shortEpg,
+  isXtreamPlayable, servesFormat
+} from "../lib/xtream.js";
+
+const users = [
+  { username: "alice", password: hashPassword("s3cret!") },
+  { username: "bob", password: hashPassword("hunter22"), enabled: false },
+  { username: "carol", password: hashPassword("expired1"), expiresAt: "2000-01-01T00:00:00Z" }
+];
+
+const channels = [
+  { id: "tv5", name: "TV5", category: "Local", lcn: 5, logo: "https://l/tv5.png", tvgId: "tv5.ph" },
+  { id: "cnn", name: "CNN", category: "News" },
+  { id: "spice", name: "Spice", category: "Zzz Other", rating: "R-18" }
+];
+
+test("passwords are salted scrypt hashes", () => {
+  const a = hashPassword("pw123456");
+  assert.match(a, /^scrypt\$[\w-]+\$[\w-]+$/);
+  assert.notEqual(a, hashPassword("pw123456"));
+  assert.equal(verifyPassword("pw123456", a), true);
+  assert.equal(verifyPassword("pw1234567", a), false);
+  assert.equal(verifyPassword("pw123456", "plain"), false);
+});
+
+test("Xtream auth accepts active users with the right password only", () => {
+  const authenticate = createXtreamAuth({ loadUsers: () => users });
+  assert.equal(authenticate("alice", "s3cret!").username, "alice");
+  assert.equal(authenticate("alice", "s3cret!").username, "alice");
+  assert.equal(authenticate("alice", "wrong"), null);
+  assert.equal(authenticate("Alice", "s3cret!"), null);
+  assert.equal(authenticate("bob", "hunter22"), null);
+  assert.equal(authenticate("carol", "expired1"), null);
+  assert.equal(authenticate("nobody", "s3cret!"), null);
+  assert.equal(authenticate("alice", ""), null);
+});
+
+test("Xtream auth fails closed when the users file is unreadable", t => {
+  t.mock.method(console, "error", () => {});
+  const authenticate = createXtreamAuth({ loadUsers: () => { throw new Error("xtream-users.json must be an array"); } });
+  assert.equal(authenticate("alice", "s3cret!"), null);
+});
+
+test("stream and category ids are stable numbers", () => {
+  assert.equal(streamIdOf("tv5"), streamIdOf("tv5"));
+  assert.notEqual(streamIdOf("tv5"), streamIdOf("cnn"));
+  assert.ok(Number.isInteger(streamIdOf("tv5")));
+  assert.equal(findByStreamId(channels, String(streamIdOf("cnn"))), channels[1]);
+  assert.equal(findByStreamId(channels, "1"), null);
+  assert.match(categoryIdOf("Zzz Other"), /^1\d{3}$/);
+});
+
+test("live categories and streams follow the app's category order", () => {
+  const categories = liveCategories(channels);
+  assert.deepEqual(categories.map(c => c.category_name), ["Local", "News", "Zzz Other"]);
+  const streams = liveStreams(channels);
+  assert.deepEqual(streams.map(s => [s.num, s.name, s.is_adult]), [[5, "TV5", "0"], [2, "CNN", "0"], [3, "Spice", "1"]]);
+  assert.equal(streams[0].epg_channel_id, "tv5.ph");
+  assert.equal(streams[1].stream_icon, "");
+  assert.deepEqual(liveStreams(channels, { categoryId: categories[1].category_id }).map(s => s.name), ["CNN"]);
+});
+
+test("account info and short EPG use the Xtream wire format", () => {
+  const info = accountInfo({ username: "alice", expiresAt: "2030-01-01T00:00:00Z" }, "s3cret!", { origin: "https://tv.example" });
+  assert.equal(info.user_info.auth, 1);
+  assert.equal(info.user_info.exp_date, String(Date.UTC(2030, 0, 1) / 1000));
+  assert.deepEqual([info.server_info.url, info.server_info.port, info.server_info.server_protocol], ["tv.example", "443", "https"]);
+
+  const epg = shortEpg([{ start: "2024-01-01T00:00:00.000Z", stop: "2024-01-01T01:00:00.000Z", title: "Balita" }], "tv5", 4);
+  const [listing] = epg.epg_listings;
+  assert.equal(Buffer.from(listing.title, "base64").toString(), "Balita");
+  assert.equal(listing.description, "");
+  assert.deepEqual([listing.start, listing.end, listing.start_timestamp], ["2024-01-01 00:00:00", "2024-01-01 01:00:00", "1704067200"]);
+});
+
+test("only channels an Xtream app can play are offered, in the format asked for", () => {
+  const hls = { id: "a", url: "https://a/live.m3u8" };
+  const ts = { id: "b", url: "https://a/live.ts" };
+  const dash = { id: "c", manifestUri: "https://a/live.mpd" };
+  const clearKey = { ...hls, clearKey: { "00112233445566778899aabbccddeeff": "ffeeddccbbaa99887766554433221100" } };
+  assert.deepEqual([hls, ts, dash, clearKey].map(isXtreamPlayable), [true, true, false, false]);
+  assert.deepEqual([servesFormat(hls, "m3u8"), servesFormat(hls, "ts")], [true, false]);
+  assert.deepEqual([servesFormat(ts, "m3u8"), servesFormat(ts, "ts")], [false, true]);
+});